@@ -0,0 +1,43 @@
+// Frontend domenləri (.env-dən). OAuth redirect-ləri də bu siyahı ilə yoxlanır.
+const allowedOrigins = (process.env.CORS_ORIGINS || "https://genca-deploy-uwbg.vercel.app")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const isAllowedOrigin = (origin) => allowedOrigins.includes(origin);
+
+// Redirect URL-nin origin-i allowlist-dədirsə true
+const isAllowedRedirect = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (!["http:", "https:"].includes(parsed.protocol)) return false;
+    return isAllowedOrigin(parsed.origin);
+  } catch (e) {
+    return false;
+  }
+};
+
+// Redirect verilməyibsə ilk icazəli frontend
+const defaultRedirect = () => process.env.FRONTEND_URL || allowedOrigins[0];
+
+const corsOptions = {
+  origin: function (origin, cb) {
+    // Postman və server daxili çağırışlar üçün origin yoxdursa icazə verək
+    if (!origin) return cb(null, true);
+    if (isAllowedOrigin(origin)) return cb(null, true);
+    return cb(new Error("CORS: origin not allowed: " + origin));
+  },
+  credentials: true,
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization"],
+  // Frontend impersonation banner-i və Retry-After üçün
+  exposedHeaders: ["X-Impersonated-By", "Retry-After"],
+};
+
+module.exports = {
+  allowedOrigins,
+  isAllowedOrigin,
+  isAllowedRedirect,
+  defaultRedirect,
+  corsOptions,
+};
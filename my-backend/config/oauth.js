@@ -0,0 +1,50 @@
+const GoogleStrategy = require("passport-google-oauth20").Strategy;
+
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 8001}`;
+
+// OAuth provider reyestri. Yeni provider əlavə etmək üçün eyni formada
+// { isConfigured, createStrategy, scope, mapProfile } yazmaq kifayətdir.
+// mapProfile nəticəsi: { provider_id, email, email_verified, full_name, avatar }
+const providers = {
+  google: {
+    label: "Google",
+    scope: ["profile", "email"],
+    isConfigured: () =>
+      Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    createStrategy: (verify) =>
+      new GoogleStrategy(
+        {
+          clientID: process.env.GOOGLE_CLIENT_ID,
+          clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+          callbackURL:
+            process.env.GOOGLE_CALLBACK_URL ||
+            `${apiUrl()}/api/auth/oauth/google/callback`,
+          passReqToCallback: true,
+        },
+        verify
+      ),
+    mapProfile: (profile) => {
+      const email = profile.emails?.[0];
+      return {
+        provider_id: profile.id,
+        email: email?.value?.toLowerCase(),
+        email_verified: email?.verified === true || email?.verified === "true",
+        full_name: profile.displayName,
+        avatar: profile.photos?.[0]?.value,
+      };
+    },
+  },
+};
+
+const getProvider = (name) =>
+  Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+
+// Yalnız env-də açarları olan provider-lər
+const getConfiguredProviders = () =>
+  Object.keys(providers).filter((name) => providers[name].isConfigured());
+
+module.exports = {
+  providers,
+  getProvider,
+  getConfiguredProviders,
+};
@@ -1,41 +1,25 @@
 const passport = require("passport");
-const GoogleStrategy = require("passport-google-oauth20").Strategy;
-const User = require("../models/User");
-const { v4: uuidv4 } = require("uuid");
+const { providers, getConfiguredProviders } = require("./oauth");
+const { resolveOAuthUser } = require("../utils/oauth");
 
-passport.use(
-  new GoogleStrategy(
-    {
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: "http://localhost:8001/api/auth/google/callback",
-    },
-    async (accessToken, refreshToken, profile, done) => {
-      try {
-        let user = await User.findOne({ googleId: profile.id });
-
-        if (!user) {
-          user = await User.findOne({ email: profile.emails[0].value });
-
-          if (!user) {
-            user = await User.create({
-              googleId: profile.id,
-              email: profile.emails[0].value,
-              full_name: profile.displayName,
-              password: uuidv4(),
-              phone: phone || "",
-              location: location || ""
-            });
-          } else {
-            user.googleId = profile.id;
-            await user.save();
-          }
-        }
+// Hər konfiqurasiya olunmuş provider üçün strategiya qeydiyyatı.
+// Açarlar yoxdursa provider sadəcə söndürülür (server çökmür).
+getConfiguredProviders().forEach((name) => {
+  const provider = providers[name];
 
+  passport.use(
+    name,
+    provider.createStrategy(async (req, accessToken, refreshToken, profile, done) => {
+      try {
+        const user = await resolveOAuthUser(name, provider.mapProfile(profile), {
+          linkUserId: req.oauthState?.link_user_id,
+        });
         return done(null, user);
       } catch (err) {
+        // Gözlənilən xətalar (məs. artıq bağlanmış hesab) redirect-də göstərilir
+        if (err.oauthCode) return done(null, false, { code: err.oauthCode });
         return done(err, null);
       }
-    }
-  )
-);
+    })
+  );
+});
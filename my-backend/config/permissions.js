@@ -0,0 +1,65 @@
+// Rollar və onların icazələri.
+// "*" bütün icazələr deməkdir (yalnız admin).
+const PERMISSIONS = [
+  "users:read",
+  "users:write",
+  "users:delete",
+  "users:roles",
+  // başqa istifadəçi adından baxmaq (yalnız admin)
+  "users:impersonate",
+  "audit:read",
+  "venues:write",
+  "venues:delete",
+  // yalnız sahibi/meneceri olduğu venue-lar üçün
+  "venues:manage_own",
+  "appointments:read_all",
+  "appointments:manage",
+  "appointments:manage_own",
+  "blogs:moderate",
+  "partners:write",
+  // yalnız hesabla bağlı partner profili üçün
+  "partners:manage_own",
+  "reviews:read_all",
+  "reviews:moderate",
+  "contacts:read",
+  "contacts:resolve",
+  "contacts:delete",
+  "dashboard:read",
+  "settings:write",
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: ["*"],
+  venue_manager: ["venues:manage_own", "appointments:manage_own"],
+  editor: ["blogs:moderate", "reviews:read_all", "reviews:moderate"],
+  support: [
+    "users:read",
+    "contacts:read",
+    "contacts:resolve",
+    "reviews:read_all",
+    "appointments:read_all",
+    "dashboard:read",
+  ],
+  partner: ["partners:manage_own"],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Get all permissions of a role
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Does the user have the given permission?
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const granted = getRolePermissions(user.role);
+  return granted.includes("*") || granted.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getRolePermissions,
+  hasPermission,
+};
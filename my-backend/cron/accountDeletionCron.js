@@ -0,0 +1,17 @@
+const cron = require("node-cron");
+const { purgeDueAccounts } = require("../utils/accountDeletion");
+
+function registerAccountDeletionCron() {
+  cron.schedule("0 * * * *", async () => {
+    try {
+      const purged = await purgeDueAccounts();
+      if (purged) {
+        console.log(`✅ Deleted: ${purged} accounts`);
+      }
+    } catch (e) {
+      console.error("⛔ account deletion cron error:", e);
+    }
+  });
+}
+
+module.exports = { registerAccountDeletionCron };
@@ -1,16 +1,19 @@
 const cron = require("node-cron");
-const Appointment = require("../models/Appointment");
+const { advanceAppointmentStatuses } = require("../utils/appointmentStatus");
 
 function registerAppointmentCron() {
   cron.schedule("*/15 * * * *", async () => {
     try {
-      const now = new Date();
-      const result = await Appointment.updateMany(
-        { appointment_date: { $lt: now }, status: { $in: ["pending", "confirmed"] } },
-        { $set: { status: "completed", updated_at: now } }
-      );
-      if (result.modifiedCount) {
-        console.log(`✅ Completed: ${result.modifiedCount} appointments`);
+      // Status keçidləri state machine-dən keçir və tarixçəyə yazılır
+      const { expired, completed, no_show: noShows } = await advanceAppointmentStatuses();
+      if (completed) {
+        console.log(`✅ Completed: ${completed} appointments`);
+      }
+      if (noShows) {
+        console.log(`✅ No-show: ${noShows} appointments without check-in`);
+      }
+      if (expired) {
+        console.log(`✅ Expired: ${expired} unconfirmed appointments`);
       }
     } catch (e) {
       console.error("⛔ appointment cron error:", e);
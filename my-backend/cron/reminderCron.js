@@ -0,0 +1,17 @@
+const cron = require("node-cron");
+const { sendDueReminders } = require("../utils/reminders");
+
+function registerReminderCron() {
+  cron.schedule("*/5 * * * *", async () => {
+    try {
+      const sent = await sendDueReminders();
+      if (sent) {
+        console.log(`✅ Sent: ${sent} appointment reminders`);
+      }
+    } catch (e) {
+      console.error("⛔ reminder cron error:", e);
+    }
+  });
+}
+
+module.exports = { registerReminderCron };
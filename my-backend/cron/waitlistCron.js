@@ -0,0 +1,17 @@
+const cron = require("node-cron");
+const { expireWaitlist } = require("../utils/waitlist");
+
+function registerWaitlistCron() {
+  cron.schedule("* * * * *", async () => {
+    try {
+      const expired = await expireWaitlist();
+      if (expired) {
+        console.log(`✅ Expired: ${expired} waitlist entries`);
+      }
+    } catch (e) {
+      console.error("⛔ waitlist cron error:", e);
+    }
+  });
+}
+
+module.exports = { registerWaitlistCron };
@@ -15,7 +15,19 @@ async function linkPartners() {
 
   for (let i = 0; i < partners.length && i < testUsers.length; i++) {
     partners[i].user = testUsers[i]._id;
+    partners[i].claim = {
+      user: testUsers[i]._id,
+      status: "approved",
+      requested_at: new Date(),
+      reviewed_at: new Date(),
+    };
     await partners[i].save();
+
+    // Portal icazələri üçün partner rolu
+    if (testUsers[i].role === "user") {
+      testUsers[i].role = "partner";
+      await testUsers[i].save();
+    }
     console.log(`Partner ${partners[i].company_name} -> User ${testUsers[i].full_name}`);
   }
 
@@ -1,12 +1,13 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-
-
-function extractToken(req) {
-  const authHeader = req.headers["authorization"];
-  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
-  return authHeader.split(" ")[1]; // Bearer token
-}
+const {
+  extractToken,
+  verifyToken,
+  isTokenRevoked,
+  touchSession,
+} = require("../utils/auth");
+const { isTwoFactorRequired } = require("../utils/twoFactor");
+const { hasPermission } = require("../config/permissions");
+const { loadImpersonator, applyImpersonation } = require("../utils/impersonation");
 
 // Protect routes - JWT authentication middleware
 const protect = async (req, res, next) => {
@@ -14,8 +15,8 @@ const protect = async (req, res, next) => {
     const token = extractToken(req);
     if (!token) return res.status(401).json({ message: "No token provided" });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select("_id full_name role email");
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.id).select("_id full_name role email token_version two_factor.enabled");
     console.log("Authenticated user:", user)
 
     if (!user) {
@@ -23,38 +24,108 @@ const protect = async (req, res, next) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    if (await isTokenRevoked(decoded, user)) {
+      return res.status(401).json({ message: "Token has been revoked" });
+    }
+
+    // Impersonation tokeni: real admin hələ də icazəlidirmi?
+    let impersonator = null;
+    if (decoded.act) {
+      impersonator = await loadImpersonator(decoded);
+      if (!impersonator) {
+        return res.status(401).json({ message: "Impersonation is no longer valid" });
+      }
+    }
+
+    touchSession(decoded.fid, req);
 
     req.user = user;
+    req.auth = decoded;
+    if (impersonator) applyImpersonation(req, res, impersonator);
     next();
   } catch (err) {
     console.error("Auth error:", err);
     res.status(401).json({ message: "Invalid token" });
   }
 };
+// 2FA məcburi olan rolda 2FA aktiv deyilsə 403 qaytarır
+const rejectWithoutTwoFactor = async (req, res) => {
+  if (req.user.two_factor?.enabled) return false;
+  if (!(await isTwoFactorRequired(req.user.role))) return false;
+
+  res.status(403).json({
+    success: false,
+    code: "TWO_FACTOR_REQUIRED",
+    message: "Two-factor authentication must be enabled for this role",
+  });
+  return true;
+};
+
 // Admin only middleware
-const adminOnly = (req, res, next) => {
-  if (req.user && req.user.role === "admin") {
-    next();
-  } else {
+const adminOnly = async (req, res, next) => {
+  if (!req.user || req.user.role !== "admin") {
     return res.status(403).json({
       success: false,
       message: "Admin access required",
     });
   }
+
+  try {
+    if (await rejectWithoutTwoFactor(req, res)) return;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Permission middleware - bütün göstərilən icazələr tələb olunur
+// İstifadə: router.put("/:id", protect, requirePermission("venues:write"), ...)
+const requirePermission = (...permissions) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: "Not authenticated" });
+  }
+
+  const missing = permissions.filter((p) => !hasPermission(req.user, p));
+  if (missing.length) {
+    return res.status(403).json({
+      success: false,
+      message: `Permission required: ${missing.join(", ")}`,
+    });
+  }
+
+  try {
+    if (await rejectWithoutTwoFactor(req, res)) return;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Impersonation zamanı həssas əməliyyatları blokla (şifrə, 2FA, hesab silmə və s.)
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      code: "IMPERSONATION_FORBIDDEN",
+      message: "This action is not allowed while impersonating a user",
+    });
+  }
+  next();
 };
 
 // Optional auth middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
-  let token;
+  const token = extractToken(req);
 
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
+  if (token) {
     try {
-      token = req.headers.authorization.split(" ")[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
+      const decoded = verifyToken(token);
+      const user = await User.findById(decoded.id).select("-password");
+      req.user = user && !(await isTokenRevoked(decoded, user)) ? user : null;
+      const impersonator = req.user && decoded.act ? await loadImpersonator(decoded) : null;
+      if (decoded.act && !impersonator) req.user = null;
+      if (req.user) req.auth = decoded;
+      if (impersonator) applyImpersonation(req, res, impersonator);
     } catch (error) {
       req.user = null; // If token invalid, just continue
     }
@@ -66,5 +137,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   adminOnly,
+  requirePermission,
+  blockImpersonation,
   optionalAuth,
 };
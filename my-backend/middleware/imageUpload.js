@@ -0,0 +1,27 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Şəkillər üçün qovluq (server.js /uploads kimi statik verir)
+const uploadDir = path.join(__dirname, '../uploads');
+if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, uploadDir),
+  filename: (req, file, cb) =>
+    cb(null, Date.now() + '-' + Math.round(Math.random() * 1e9) + path.extname(file.originalname))
+});
+
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 3 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!/\.jpe?g|\.png|\.webp$/.test(ext)) return cb(new Error("Yalnız JPG, PNG və WEBP"));
+    cb(null, true);
+  }
+});
+
+module.exports = upload;
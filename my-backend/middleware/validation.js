@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { ROLES } = require('../config/permissions');
+const { isValidTimeZone } = require('../utils/timezone');
 
 // Handle validation results
 const handleValidationErrors = (req, res, next) => {
@@ -28,8 +30,8 @@ const validateUserRegistration = [
     .withMessage('Full name must be between 2 and 100 characters'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   handleValidationErrors
 ];
 
@@ -68,6 +70,18 @@ const validateVenue = [
     .optional()
     .isArray()
     .withMessage('Amenities must be an array'),
+  body('booking_mode')
+    .optional()
+    .isIn(['exclusive', 'shared'])
+    .withMessage('Booking mode must be exclusive or shared'),
+  body('check_in_enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('check_in_enabled must be a boolean'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be a valid IANA timezone (e.g. Asia/Baku)'),
   body('contact_phone')
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
     .withMessage('Please provide a valid phone number'),
@@ -191,6 +205,11 @@ const validateAppointment = [
     .optional()
     .isInt({ min: 1, max: 24 })
     .withMessage('Duration must be between 1 and 24 hours'),
+  body('participants')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Participants must be a positive integer')
+    .toInt(),
   body('purpose')
     .trim()
     .isLength({ min: 1, max: 500 })
@@ -203,11 +222,45 @@ const validateAppointment = [
   handleValidationErrors
 ];
 
+// Appointment update validation (bütün sahələr könüllüdür, aralıqlar POST ilə eynidir)
+const validateAppointmentUpdate = [
+  body('appointment_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  body('duration_hours')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('Duration must be between 1 and 24 hours')
+    .toInt(),
+  body('participants')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Participants must be a positive integer')
+    .toInt(),
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Purpose must be between 1 and 500 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  handleValidationErrors
+];
+
 // Appointment status validation
 const validateAppointmentStatus = [
   body('status')
-    .isIn(['pending', 'confirmed', 'cancelled', 'completed'])
-    .withMessage('Status must be pending, confirmed, cancelled, or completed'),
+    .isIn(['pending', 'confirmed', 'rejected', 'cancelled', 'checked_in', 'no_show', 'completed', 'expired'])
+    .withMessage('Invalid appointment status'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
   handleValidationErrors
 ];
 
@@ -241,6 +294,7 @@ module.exports = {
   validateReview,
   validateContact,
   validateAppointment,
+  validateAppointmentUpdate,
   validateAppointmentStatus,
   validateObjectId,
   validatePagination,
@@ -1,5 +1,40 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TIMEZONE, toLocalISOString } = require('../utils/timezone');
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  actor_id: {
+    type: String,
+    default: null
+  },
+  actor_name: {
+    type: String,
+    default: ''
+  },
+  actor_type: {
+    type: String,
+    enum: ['admin', 'staff', 'owner', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const appointmentSchema = new mongoose.Schema({
   id: {
@@ -28,11 +63,35 @@ const appointmentSchema = new mongoose.Schema({
     required: [true, 'Venue name is required'],
     trim: true
   },
+  // Venue-nun resursu (meydança/kort); resursu olmayan venue-larda null
+  resource_id: {
+    type: String,
+    default: null
+  },
+  resource_name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Venue-nun vaxt zonası (rezerv anındakı), yerli vaxtı göstərmək üçün
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE
+  },
+  // Təkrarlanan seriyanın üzvüdürsə AppointmentSeries.id
+  series_id: {
+    type: String,
+    default: null,
+    ref: 'AppointmentSeries'
+  },
   appointment_date: {
     type: Date,
     required: [true, 'Appointment date is required'],
     validate: {
+      // Yalnız yeni və ya vaxtı dəyişən rezervasiyada; keçmiş rezervasiyanın
+      // statusu (completed, no_show) dəyişəndə yoxlanmamalıdır
       validator: function (value) {
+        if (!this.isNew && !this.isModified('appointment_date')) return true;
         return value > new Date();
       },
       message: 'Appointment date must be in the future'
@@ -45,6 +104,12 @@ const appointmentSchema = new mongoose.Schema({
     max: [24, 'Duration cannot exceed 24 hours'],
     default: 1
   },
+  // Neçə yer tutur (shared rejimdə slotun tutumundan çıxılır)
+  participants: {
+    type: Number,
+    min: [1, 'Participants must be at least 1'],
+    default: 1
+  },
   purpose: {
     type: String,
     required: [true, 'Purpose is required'],
@@ -53,7 +118,7 @@ const appointmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: ['pending', 'confirmed', 'rejected', 'cancelled', 'checked_in', 'no_show', 'completed', 'expired'],
     default: 'pending',
     required: true
   },
@@ -62,6 +127,40 @@ const appointmentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
+  // Venue-nun ləğv qaydası üzrə
+  reschedule_count: {
+    type: Number,
+    default: 0
+  },
+  late_cancellation: {
+    type: Boolean,
+    default: false
+  },
+  // Rezerv anındakı qiymət (utils/pricing)
+  price: {
+    amount: {
+      type: Number,
+      min: [0, 'Price cannot be negative'],
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: 'AZN'
+    }
+  },
+  // Ödənişin vəziyyəti Payment-dən əks olunur (utils/payments)
+  payment_status: {
+    type: String,
+    enum: ['unpaid', 'authorized', 'paid', 'refunded'],
+    default: 'unpaid'
+  },
+  // QR kodla girişin vaxtı (utils/checkIn)
+  checked_in_at: {
+    type: Date,
+    default: null
+  },
+  // Status keçidləri: kim, nə vaxt, niyə (utils/appointmentStatus)
+  status_history: [statusChangeSchema],
   created_at: {
     type: Date,
     default: Date.now
@@ -79,10 +178,28 @@ const appointmentSchema = new mongoose.Schema({
 // appointmentSchema.index({ id: 1 });
 appointmentSchema.index({ user_id: 1 });
 appointmentSchema.index({ venue_id: 1 });
+appointmentSchema.index({ venue_id: 1, resource_id: 1, appointment_date: 1 });
+appointmentSchema.index({ series_id: 1, appointment_date: 1 });
 appointmentSchema.index({ status: 1 });
+appointmentSchema.index({ payment_status: 1 });
 appointmentSchema.index({ appointment_date: 1 });
 appointmentSchema.index({ created_at: -1 });
 
+// Yaradılma da tarixçənin ilk qeydidir (insertMany də validate-dən keçir)
+appointmentSchema.pre('validate', function (next) {
+  if (this.isNew && !this.status_history.length) {
+    this.status_history.push({
+      from: null,
+      to: this.status,
+      actor_id: this.user_id,
+      actor_name: this.user_name,
+      actor_type: 'owner',
+      at: this.created_at
+    });
+  }
+  next();
+});
+
 // Update updated_at field before saving
 appointmentSchema.pre('save', function (next) {
   this.updated_at = new Date();
@@ -93,6 +210,12 @@ appointmentSchema.pre('save', function (next) {
 appointmentSchema.methods.toJSON = function () {
   const appointmentObject = this.toObject();
   appointmentObject.id = this.id;
+  // UTC ilə yanaşı venue-nun yerli vaxtı
+  appointmentObject.appointment_date_local = toLocalISOString(this.appointment_date, this.timezone);
+  appointmentObject.end_date_local = toLocalISOString(
+    new Date(this.appointment_date.getTime() + this.duration_hours * 60 * 60 * 1000),
+    this.timezone
+  );
   delete appointmentObject._id;
   delete appointmentObject.__v;
   return appointmentObject;
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Təkrarlanan rezervasiya (məs. hər çərşənbə axşamı 19:00, bütün mövsüm).
+// Hər təkrar ayrıca Appointment-dir və series_id ilə bura bağlanır.
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: uuidv4,
+      unique: true,
+      required: true,
+    },
+    user_id: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+    },
+    venue_id: {
+      type: String,
+      required: [true, "Venue ID is required"],
+      ref: "Venue",
+    },
+    venue_name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    resource_id: {
+      type: String,
+      default: null,
+    },
+    // Normallaşdırılmış RRULE, məs. "FREQ=WEEKLY;BYDAY=TU;COUNT=20"
+    rrule: {
+      type: String,
+      required: [true, "Recurrence rule is required"],
+    },
+    starts_at: {
+      type: Date,
+      required: [true, "Series start is required"],
+    },
+    duration_hours: {
+      type: Number,
+      min: [1, "Duration must be at least 1 hour"],
+      max: [24, "Duration cannot exceed 24 hours"],
+      default: 1,
+    },
+    purpose: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Purpose cannot exceed 500 characters"],
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    // Yaradılarkən toqquşduğu üçün buraxılan təkrarlar
+    skipped: [
+      {
+        _id: false,
+        date: Date,
+        reason: { type: String, enum: ["conflict", "closed", "past"] },
+        conflicting_appointment_id: { type: String, default: null },
+      },
+    ],
+    cancelled_at: {
+      type: Date,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+appointmentSeriesSchema.index({ user_id: 1, created_at: -1 });
+appointmentSeriesSchema.index({ venue_id: 1 });
+
+appointmentSeriesSchema.methods.toJSON = function () {
+  const seriesObject = this.toObject();
+  delete seriesObject._id;
+  return seriesObject;
+};
+
+appointmentSeriesSchema.statics.findByCustomId = function (customId) {
+  return this.findOne({ id: customId });
+};
+
+module.exports = mongoose.model("AppointmentSeries", appointmentSeriesSchema);
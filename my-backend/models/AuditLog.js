@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// Admin/support əməliyyatlarının izi (impersonation və s.)
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Əməliyyatı faktiki edən şəxs (məs. admin)
+    actor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Actor ID is required"],
+    },
+    // Adından əməliyyat edilən istifadəçi
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      trim: true,
+    },
+    method: {
+      type: String,
+      default: "",
+    },
+    path: {
+      type: String,
+      default: "",
+    },
+    status_code: {
+      type: Number,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    user_agent: {
+      type: String,
+      default: "",
+    },
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+auditLogSchema.index({ actor_id: 1, created_at: -1 });
+auditLogSchema.index({ user_id: 1, created_at: -1 });
+auditLogSchema.index({ action: 1 });
+auditLogSchema.index({ created_at: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Rezervasiya yoxlaması + yazılışı üçün qısa ömürlü kilid.
+// key unikal olduğundan eyni açarla yalnız bir sorğu kilidi tuta bilər.
+const bookingLockSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Lock key is required"],
+      unique: true,
+    },
+    // Kilidi kim tutur (yalnız sahibi azad edə bilər)
+    owner: {
+      type: String,
+      required: [true, "Lock owner is required"],
+    },
+    expires_at: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Proses çöksə də kilid qalmasın (Mongo TTL ~60 san. gecikmə ilə silir,
+// ona görə vaxtı keçmiş kilidi acquireLock özü də ələ keçirir)
+bookingLockSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("BookingLock", bookingLockSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Təqvim abunəliyi (Google/Apple Calendar) üçün yalnız-oxu feed.
+// URL-dəki token yalnız yaradılanda göstərilir, bazada hash saxlanılır.
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: uuidv4,
+      unique: true,
+      required: true,
+    },
+    user_id: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+    },
+    // user: istifadəçinin öz rezervasiyaları, venue: venue-nun təqvimi
+    type: {
+      type: String,
+      enum: ["user", "venue"],
+      required: [true, "Feed type is required"],
+    },
+    venue_id: {
+      type: String,
+      default: null,
+      ref: "Venue",
+    },
+    token_hash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    last_accessed_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+calendarFeedSchema.index({ user_id: 1, revoked_at: 1 });
+
+calendarFeedSchema.methods.toJSON = function () {
+  const feedObject = this.toObject();
+  delete feedObject._id;
+  delete feedObject.token_hash;
+  return feedObject;
+};
+
+calendarFeedSchema.statics.findByCustomId = function (customId) {
+  return this.findOne({ id: customId });
+};
+
+module.exports = mongoose.model("CalendarFeed", calendarFeedSchema);
@@ -7,6 +7,8 @@ const leadSchema = new mongoose.Schema(
         status: { type: String, enum: ["new", "contacted", "done"], default: "new" },
         note: { type: String },
         ip: { type: String },
+        // Konkret partner səhifəsindən gələn sorğu üçün
+        partner: { type: mongoose.Schema.Types.ObjectId, ref: "Partner", default: null },
     },
     { timestamps: true }
 );
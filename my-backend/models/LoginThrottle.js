@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Uğursuz login cəhdlərinin sayğacı. key: "ip:<ip>" və ya "email:<email>"
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Throttle key is required"],
+      unique: true,
+    },
+    failed_attempts: {
+      type: Number,
+      default: 0,
+    },
+    // cari sayma pəncərəsinin başlanğıcı
+    window_started_at: {
+      type: Date,
+      default: Date.now,
+    },
+    lock_until: {
+      type: Date,
+      default: null,
+    },
+    // ardıcıl kilidlərin sayı — hər dəfə kilid müddəti ikiqat artır
+    lockout_count: {
+      type: Number,
+      default: 0,
+    },
+    last_failed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Bir gün heç bir uğursuz cəhd olmasa sayğac tam sıfırlanır
+loginThrottleSchema.index({ last_failed_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
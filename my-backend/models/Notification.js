@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Tətbiqdaxili bildiriş (in_app kanalı)
+const notificationSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: uuidv4,
+      unique: true,
+      required: true,
+    },
+    user_id: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+    },
+    // məs. appointment_reminder
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Body cannot exceed 1000 characters"],
+      default: "",
+    },
+    // Frontend üçün əlaqəli obyekt (məs. { appointment_id })
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    read_at: {
+      type: Date,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+notificationSchema.index({ user_id: 1, read_at: 1, created_at: -1 });
+
+notificationSchema.methods.toJSON = function () {
+  const notificationObject = this.toObject();
+  delete notificationObject._id;
+  return notificationObject;
+};
+
+notificationSchema.statics.findByCustomId = function (customId) {
+  return this.findOne({ id: customId });
+};
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// Göndərilmiş (və ya göndərilən) xatırlatmaların qeydi. Unikal açar eyni
+// xatırlatmanın eyni kanalla iki dəfə getməsinin qarşısını alır: cron bir
+// neçə instansda işləsə də yalnız qeydi yarada bilən göndərir.
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    appointment_id: {
+      type: String,
+      required: [true, "Appointment ID is required"],
+      ref: "Appointment",
+    },
+    user_id: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+    },
+    // Başlanğıcdan neçə dəqiqə əvvəl (1440 = 24 saat)
+    offset_minutes: {
+      type: Number,
+      required: [true, "Offset is required"],
+    },
+    channel: {
+      type: String,
+      required: [true, "Channel is required"],
+    },
+    // Vaxt dəyişəndə (reschedule) yeni vaxt üçün xatırlatma yenidən gedir
+    appointment_date: {
+      type: Date,
+      required: [true, "Appointment date is required"],
+    },
+    status: {
+      type: String,
+      enum: ["sending", "sent", "failed"],
+      default: "sending",
+    },
+    error: {
+      type: String,
+      default: "",
+    },
+    sent_at: {
+      type: Date,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+notificationDeliverySchema.index(
+  { appointment_id: 1, offset_minutes: 1, channel: 1, appointment_date: 1 },
+  { unique: true }
+);
+notificationDeliverySchema.index({ user_id: 1, created_at: -1 });
+
+module.exports = mongoose.model("NotificationDelivery", notificationDeliverySchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// Telefonla giriş üçün birdəfəlik SMS kodu (nömrə başına bir aktiv kod)
+const otpCodeSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: [true, "Phone is required"],
+      unique: true,
+      trim: true,
+    },
+    // Kod özü saxlanmır, yalnız HMAC hash-i
+    code_hash: {
+      type: String,
+      required: [true, "Code hash is required"],
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    expires_at: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    consumed_at: {
+      type: Date,
+      default: null,
+    },
+    // Göndərmə limiti (saatlıq pəncərə)
+    send_count: {
+      type: Number,
+      default: 0,
+    },
+    window_started_at: {
+      type: Date,
+      default: Date.now,
+    },
+    last_sent_at: {
+      type: Date,
+      default: Date.now,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Son göndərişdən 1 saat sonra sənəd silinir (limit pəncərəsi ilə birlikdə)
+otpCodeSchema.index({ last_sent_at: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model("OtpCode", otpCodeSchema);
@@ -67,6 +67,25 @@ const partnerSchema = new mongoose.Schema(
       default: true,
       // required: true,
     },
+    // Partner portalına daxil olan hesab (admin claim-i təsdiqləyəndən sonra)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Partner profilinə sahiblik sorğusu
+    claim: {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+      },
+      message: { type: String, trim: true, maxlength: 1000 },
+      requested_at: { type: Date },
+      reviewed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reviewed_at: { type: Date },
+      review_note: { type: String, trim: true, maxlength: 1000 },
+    },
     created_at: {
       type: Date,
       default: Date.now,
@@ -86,6 +105,8 @@ const partnerSchema = new mongoose.Schema(
 // partnerSchema.index({ id: 1 });
 partnerSchema.index({ is_active: 1 });
 partnerSchema.index({ partnership_type: 1 });
+partnerSchema.index({ user: 1 });
+partnerSchema.index({ "claim.status": 1 });
 partnerSchema.index({ company_name: "text", description: "text" });
 
 // Update updated_at field before saving
@@ -97,7 +118,9 @@ partnerSchema.pre("save", function (next) {
 // Transform output
 partnerSchema.methods.toJSON = function () {
   const partnerObject = this.toObject();
+  partnerObject.id = partnerObject._id;
   delete partnerObject._id;
+  delete partnerObject.claim;
   delete partnerObject.__v;
   return partnerObject;
 };
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { PAYMENT_STATUSES } = require("../utils/payments/status");
+
+// Provider-dən gələn (və ya sinxron cavabdan yazılan) hadisə
+const paymentEventSchema = new mongoose.Schema(
+  {
+    // Webhook hadisəsinin id-si (təkrar emalın qarşısını alır); sinxron cavabda null
+    event_id: {
+      type: String,
+      default: null,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Rezervasiyanın ödənişi (utils/payments)
+const paymentSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: uuidv4,
+      unique: true,
+      required: true,
+    },
+    appointment_id: {
+      type: String,
+      required: [true, "Appointment ID is required"],
+      ref: "Appointment",
+    },
+    user_id: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+    },
+    provider: {
+      type: String,
+      required: [true, "Provider is required"],
+    },
+    provider_payment_id: {
+      type: String,
+      required: [true, "Provider payment ID is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "AZN",
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "pending",
+    },
+    // Provider-in ödəniş səhifəsi (mock-da yoxdur)
+    checkout_url: {
+      type: String,
+      default: null,
+    },
+    events: [paymentEventSchema],
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+paymentSchema.index({ provider: 1, provider_payment_id: 1 }, { unique: true });
+paymentSchema.index({ appointment_id: 1, created_at: -1 });
+paymentSchema.index({ user_id: 1, created_at: -1 });
+
+paymentSchema.pre("save", function (next) {
+  this.updated_at = new Date();
+  next();
+});
+
+paymentSchema.methods.toJSON = function () {
+  const paymentObject = this.toObject();
+  delete paymentObject._id;
+  return paymentObject;
+};
+
+paymentSchema.statics.findByCustomId = function (customId) {
+  return this.findOne({ id: customId });
+};
+
+module.exports = mongoose.model("Payment", paymentSchema);
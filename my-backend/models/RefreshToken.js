@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    // Token özü saxlanmır, yalnız sha256 hash-i
+    token_hash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    // Eyni login-dən rotate olunan bütün tokenlər bir family-dir
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+    },
+    device_id: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    user_agent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    expires_at: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_reason: {
+      type: String,
+      enum: [
+        "rotated",
+        "logout",
+        "logout_all",
+        "reuse_detected",
+        "admin",
+        "password_reset",
+        "password_change",
+        null,
+      ],
+      default: null,
+    },
+    replaced_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+refreshTokenSchema.index({ user_id: 1, device_id: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Vaxtı keçmiş tokenləri Mongo özü silsin
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
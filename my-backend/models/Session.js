@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Hər login bir sessiyadır; refresh token family-si ilə 1-1 bağlıdır
+const sessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+      unique: true,
+    },
+    // OAuth ilə girişdə provider adı (google və s.)
+    method: {
+      type: String,
+      enum: ["password", "google", "two_factor", "otp"],
+      default: "password",
+    },
+    device_id: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    user_agent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    last_seen_at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Refresh olunduqca uzanır; keçəndə Mongo sessiyanı silir
+    expires_at: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_reason: {
+      type: String,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+sessionSchema.index({ user_id: 1, revoked_at: 1, last_seen_at: -1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
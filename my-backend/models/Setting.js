@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// Admin tərəfindən idarə olunan platforma ayarları (key/value)
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Setting key is required"],
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Hər sorğuda DB-yə getməmək üçün qısa müddətli yaddaş keşi
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Get a setting value (cached)
+settingSchema.statics.getValue = async function (key, defaultValue = null) {
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.value;
+
+  const setting = await this.findOne({ key });
+  const value = setting ? setting.value : defaultValue;
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// Set a setting value
+settingSchema.statics.setValue = async function (key, value, userId) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $set: { value, updated_by: userId, updated_at: new Date() } },
+    { upsert: true, new: true }
+  );
+  cache.delete(key);
+  return setting;
+};
+
+module.exports = mongoose.model("Setting", settingSchema);
@@ -1,14 +1,22 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const { v4: uuidv4 } = require("uuid");
+const { ROLES } = require("../config/permissions");
 
 const userSchema = new mongoose.Schema(
   {
     isAdmin: { type: Boolean, default: false },
+    // Telefonla (OTP) qeydiyyatdan keçənlərdə email və şifrə olmaya bilər
     email: {
       type: String,
-      required: [true, "Email is required"],
+      required: [
+        function () {
+          return !this.is_phone_verified;
+        },
+        "Email is required",
+      ],
       unique: true,
+      sparse: true,
       lowercase: true,
       match: [
         /^\w+([.-]?\w+)@\w+([.-]?\w+)(\.\w{2,3})+$/,
@@ -17,7 +25,13 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      // OAuth və ya telefonla yaradılan hesablarda şifrə olmaya bilər
+      required: [
+        function () {
+          return !this.is_phone_verified && !(this.identities && this.identities.length);
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters"],
       select: false,
     },
@@ -29,7 +43,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ROLES,
       default: "user",
       required: true,
     },
@@ -38,6 +52,10 @@ const userSchema = new mongoose.Schema(
       default: true,
       required: true,
     },
+    is_email_verified: {
+      type: Boolean,
+      default: false,
+    },
     last_login: {
       type: Date,
     },
@@ -46,11 +64,88 @@ const userSchema = new mongoose.Schema(
       trim: true,
       default: "",
     },
+    is_phone_verified: {
+      type: Boolean,
+      default: false,
+    },
     location: {
       type: String,
       trim: true,
       default: "",
     },
+    // TOTP iki faktorlu autentifikasiya
+    two_factor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // enroll edilib, hələ təsdiqlənməyib
+      pending_secret: { type: String, select: false },
+      // birdəfəlik bərpa kodlarının hash-ləri
+      recovery_codes: { type: [String], select: false },
+      // eyni kodun təkrar istifadəsinin qarşısını almaq üçün
+      last_used_step: { type: Number, select: false },
+      enabled_at: { type: Date },
+    },
+    // Bağlı OAuth hesabları (google və s.)
+    identities: [
+      {
+        _id: false,
+        provider: { type: String, required: true },
+        provider_id: { type: String, required: true },
+        email: { type: String, lowercase: true },
+        linked_at: { type: Date, default: Date.now },
+      },
+    ],
+    // Login kilidləri tarixçəsi (support üçün)
+    lockout_events: [
+      {
+        _id: false,
+        type: { type: String, enum: ["locked", "unlocked"] },
+        scope: { type: String, enum: ["account", "ip"] },
+        ip: String,
+        until: Date,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Gec ləğv və gəlməmə qeydləri (utils/bookingPolicy)
+    booking_strikes: [
+      {
+        _id: false,
+        type: { type: String, enum: ["late_cancel", "no_show"] },
+        appointment_id: String,
+        venue_id: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Admin məhdudiyyəti götürəndə bu tarixdən əvvəlki qeydlər sayılmır
+    booking_strikes_reset_at: {
+      type: Date,
+      default: null,
+    },
+    booking_restricted_until: {
+      type: Date,
+      default: null,
+    },
+    // Rezervasiya xatırlatmaları: ümumi imtina və kanal üzrə seçim
+    notification_preferences: {
+      reminders: { type: Boolean, default: true },
+      channels: {
+        email: { type: Boolean, default: true },
+        sms: { type: Boolean, default: true },
+        in_app: { type: Boolean, default: true },
+      },
+    },
+    // Hesabın silinməsi tələb olunub (möhlət bitəndə cron silir)
+    deletion: {
+      requested_at: { type: Date },
+      scheduled_for: { type: Date },
+      reason: { type: String, trim: true, maxlength: 500 },
+    },
+    // Artırılanda istifadəçinin bütün access tokenləri etibarsız olur
+    token_version: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true, 
@@ -58,8 +153,25 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+// Bir nömrə yalnız bir hesabda təsdiqlənmiş ola bilər (OTP girişi bununla tapır)
+userSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { is_phone_verified: true } }
+);
+userSchema.index({ "deletion.scheduled_for": 1 }, { sparse: true });
+userSchema.index(
+  { "identities.provider": 1, "identities.provider_id": 1 },
+  { unique: true, partialFilterExpression: { "identities.provider": { $exists: true } } }
+);
+
+// Nömrə kodsuz dəyişəndə təsdiq sıfırlanır (təsdiqli dəyişiklik PUT /api/users/me/phone ilə)
+userSchema.pre("validate", function (next) {
+  if (!this.isNew && this.isModified("phone") && !this.isModified("is_phone_verified")) {
+    this.is_phone_verified = false;
+  }
+  next();
+});
 
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -83,9 +195,26 @@ userSchema.methods.toJSON = function () {
   // delete userObject._id;
   delete userObject.__v;
   delete userObject.password;
+  delete userObject.token_version;
+  delete userObject.lockout_events;
   return userObject;
 };
 
+// Köhnə bazalarda email_1 sparse olmayan unique indeksdir: emailsiz (telefonla)
+// ikinci hesab E11000 alır. Startup-da onu unique + sparse kimi yenidən qururuq.
+userSchema.statics.ensureEmailIndex = async function () {
+  const indexes = await this.collection.indexes().catch(() => []);
+  const current = indexes.find((index) => index.name === "email_1");
+  if (current && current.unique && current.sparse) return false;
+
+  if (current) await this.collection.dropIndex("email_1");
+  await this.collection.createIndex(
+    { email: 1 },
+    { name: "email_1", unique: true, sparse: true }
+  );
+  return true;
+};
+
 // userSchema.statics.findByCustomId = function (customId) {
 //   return this.findOne({ id: customId });
 // };
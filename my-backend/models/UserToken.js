@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Birdəfəlik tokenlər (şifrə bərpası, e-poçt təsdiqi)
+const userTokenSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    type: {
+      type: String,
+      enum: ["password_reset", "email_verification", "oauth_code"],
+      required: [true, "Token type is required"],
+    },
+    token_hash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    expires_at: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    // Əlavə məlumat (məs. oauth_code üçün provider adı)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    used_at: {
+      type: Date,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+userTokenSchema.index({ user_id: 1, type: 1 });
+userTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
@@ -1,6 +1,183 @@
 const mongoose = require('mongoose');
+const { TIME_REGEX, DATE_KEY_REGEX, parseTime } = require('../utils/schedule');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
 // const { v4: uuidv4 } = require('uuid');
 
+// Həftəlik iş saatı intervalı (gün ərzində bir neçə interval ola bilər)
+const openingHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: [true, 'Weekday is required'],
+    min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  open: {
+    type: String,
+    required: [true, 'Opening time is required'],
+    match: [TIME_REGEX, 'Time must be in HH:mm format']
+  },
+  close: {
+    type: String,
+    required: [true, 'Closing time is required'],
+    match: [TIME_REGEX, 'Time must be in HH:mm format'],
+    validate: {
+      validator: function (value) {
+        return parseTime(value) > parseTime(this.open);
+      },
+      message: 'Closing time must be after opening time'
+    }
+  }
+}, { _id: false });
+
+// Bayram və ya blackout günü (bütün gün bağlıdır)
+const closedDateSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [DATE_KEY_REGEX, 'Date must be in YYYY-MM-DD format']
+  },
+  type: {
+    type: String,
+    enum: ['holiday', 'blackout'],
+    default: 'blackout'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+// Ləğv və vaxt dəyişmə qaydaları
+const cancellationPolicySchema = new mongoose.Schema({
+  // Başlanğıcdan neçə saat əvvələ qədər pulsuz ləğv (0 = həmişə pulsuz)
+  free_cancel_hours: {
+    type: Number,
+    min: [0, 'Free cancellation window cannot be negative'],
+    max: [720, 'Free cancellation window cannot exceed 720 hours'],
+    default: 0
+  },
+  // true: pəncərədən sonra ləğv istifadəçiyə "strike" yazır, vaxt dəyişmək olmur
+  late_cancel_penalty: {
+    type: Boolean,
+    default: false
+  },
+  // Bir rezervasiyanın vaxtı ən çox neçə dəfə dəyişə bilər (null = limitsiz)
+  max_reschedules: {
+    type: Number,
+    min: [0, 'Reschedule limit cannot be negative'],
+    default: null
+  }
+}, { _id: false });
+
+// Pik saat intervalı (məs. iş günləri 18:00-22:00, x1.5)
+const peakWindowSchema = new mongoose.Schema({
+  // Boş massiv: hər gün
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+  },
+  start: {
+    type: String,
+    required: [true, 'Peak window start is required'],
+    match: [TIME_REGEX, 'Time must be in HH:mm format']
+  },
+  end: {
+    type: String,
+    required: [true, 'Peak window end is required'],
+    match: [TIME_REGEX, 'Time must be in HH:mm format']
+  },
+  multiplier: {
+    type: Number,
+    min: [0, 'Multiplier cannot be negative'],
+    default: 1.5
+  }
+}, { _id: false });
+
+peakWindowSchema.pre('validate', function (next) {
+  if (this.start && this.end && parseTime(this.end) <= parseTime(this.start)) {
+    this.invalidate('end', 'Peak window end must be after start');
+  }
+  next();
+});
+
+// Qiymət qaydaları (utils/pricing)
+const pricingSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'AZN'
+  },
+  hourly_rate: {
+    type: Number,
+    min: [0, 'Hourly rate cannot be negative'],
+    default: 0
+  },
+  peak_windows: [peakWindowSchema],
+  // Həftə sonu günləri və onların əmsalı (pik əmsalı ilə vurulur)
+  weekend_days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: () => [0, 6]
+  },
+  weekend_multiplier: {
+    type: Number,
+    min: [0, 'Multiplier cannot be negative'],
+    default: 1
+  },
+  // Hər iştirakçı üçün rezervasiya başına əlavə haqq
+  per_participant_fee: {
+    type: Number,
+    min: [0, 'Fee cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+// Ayrıca rezerv olunan vahid (meydança, kort, otaq, zolaq)
+const resourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Resource name is required'],
+    trim: true,
+    maxlength: [100, 'Resource name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['pitch', 'court', 'room', 'lane', 'table', 'other'],
+    default: 'other'
+  },
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    default: 1
+  },
+  // AZN / saat
+  price_per_hour: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: 0
+  },
+  // null: venue-nun qiymət qaydaları (price_per_hour verilibsə saatlıq qiymət kimi)
+  pricing: {
+    type: pricingSchema,
+    default: null
+  },
+  // null: venue-nun booking_mode-u işlənir (məs. yoga zalı "shared" ola bilər)
+  booking_mode: {
+    type: String,
+    enum: ['exclusive', 'shared'],
+    default: null
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const venueSchema = new mongoose.Schema({
   // id: {
   //   type: String,
@@ -66,6 +243,59 @@ const venueSchema = new mongoose.Schema({
     type: String,
     default: ""
   },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  managers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Təyin olunmayıbsa (köhnə venue-lar) venue hər gün 24 saat açıq sayılır
+  opening_hours: {
+    type: [openingHoursSchema],
+    default: undefined
+  },
+  closed_dates: [closedDateSchema],
+  resources: [resourceSchema],
+  cancellation_policy: {
+    type: cancellationPolicySchema,
+    default: () => ({})
+  },
+  pricing: {
+    type: pricingSchema,
+    default: () => ({})
+  },
+  // QR ilə giriş tələb olunurmu? Açıqdırsa giriş edilməmiş rezervasiya
+  // cron tərəfindən no_show sayılır (utils/appointmentStatus)
+  check_in_enabled: {
+    type: Boolean,
+    default: false
+  },
+  // exclusive: rezervasiya bütün slotu tutur; shared: yer (participants) tutur,
+  // slot capacity dolana qədər açıq qalır (yoga, açıq zal sessiyaları)
+  booking_mode: {
+    type: String,
+    enum: ['exclusive', 'shared'],
+    default: 'exclusive'
+  },
+  // IANA vaxt zonası: iş saatları, günlər və slotlar bu zonadadır
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be a valid IANA timezone (e.g. Asia/Baku)'
+    }
+  },
+  // Slotların addımı (dəqiqə)
+  slot_minutes: {
+    type: Number,
+    min: [15, 'Slot granularity must be at least 15 minutes'],
+    max: [240, 'Slot granularity cannot exceed 240 minutes'],
+    default: 60
+  },
   is_active: {
     type: Boolean,
     default: true,
@@ -88,6 +318,8 @@ const venueSchema = new mongoose.Schema({
 // venueSchema.index({ id: 1 });
 venueSchema.index({ venue_type: 1 });
 venueSchema.index({ is_active: 1 });
+venueSchema.index({ owner_id: 1 });
+venueSchema.index({ managers: 1 });
 venueSchema.index({ name: 'text', description: 'text', location: 'text' });
 
 // Update updated_at field before saving
@@ -96,12 +328,42 @@ venueSchema.pre('save', function (next) {
   next();
 });
 
+// Rezerv üçün açıq resurslar
+venueSchema.methods.getActiveResources = function () {
+  return (this.resources || []).filter((r) => r.is_active);
+};
+
+// Rezervasiya rejimi və tutum: resursun öz dəyərləri venue-nunkunu üstələyir
+venueSchema.methods.getBookingRules = function (resource = null) {
+  const mode = (resource && resource.booking_mode) || this.booking_mode || 'exclusive';
+  return {
+    booking_mode: mode,
+    capacity: resource ? resource.capacity : this.capacity
+  };
+};
+
+// Qiymət qaydaları: resursun öz qaydaları, yoxdursa venue-nunku
+// (resursun price_per_hour-u saatlıq qiyməti üstələyir)
+venueSchema.methods.getPricingRules = function (resource = null) {
+  const toPlain = (pricing) => (pricing && pricing.toObject ? pricing.toObject() : pricing || {});
+  if (resource && resource.pricing) return toPlain(resource.pricing);
+
+  const rules = toPlain(this.pricing);
+  if (resource && resource.price_per_hour > 0) {
+    return { ...rules, hourly_rate: resource.price_per_hour };
+  }
+  return rules;
+};
+
 // Transform output
 venueSchema.methods.toJSON = function () {
   const venueObject = this.toObject();
   venueObject.id = venueObject._id;
   delete venueObject._id;
   delete venueObject.__v;
+  // İşçilərin user id-ləri ictimai cavablarda göstərilmir (GET /:id/managers)
+  delete venueObject.owner_id;
+  delete venueObject.managers;
   return venueObject;
 };
 
@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Dolu slot üçün növbə. Slot boşalanda ilk uyğun giriş ya avtomatik
+// rezerv olunur (auto_book), ya da müddətli təklif (offered) alır.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: uuidv4,
+      unique: true,
+      required: true,
+    },
+    user_id: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+    },
+    user_name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    venue_id: {
+      type: String,
+      required: [true, "Venue ID is required"],
+      ref: "Venue",
+    },
+    venue_name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    resource_id: {
+      type: String,
+      default: null,
+    },
+    resource_name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    start_at: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    end_at: {
+      type: Date,
+      required: [true, "End time is required"],
+    },
+    duration_hours: {
+      type: Number,
+      min: [1, "Duration must be at least 1 hour"],
+      max: [24, "Duration cannot exceed 24 hours"],
+      default: 1,
+    },
+    participants: {
+      type: Number,
+      min: [1, "Participants must be at least 1"],
+      default: 1,
+    },
+    purpose: {
+      type: String,
+      required: [true, "Purpose is required"],
+      trim: true,
+      maxlength: [500, "Purpose cannot exceed 500 characters"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+      default: "",
+    },
+    // true: slot boşalan kimi birbaşa rezerv et, false: təklif göndər
+    auto_book: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+      default: "waiting",
+    },
+    offered_at: {
+      type: Date,
+      default: null,
+    },
+    // Təklif bu vaxta qədər slotu saxlayır
+    offer_expires_at: {
+      type: Date,
+      default: null,
+    },
+    appointment_id: {
+      type: String,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for performance
+waitlistEntrySchema.index({ venue_id: 1, status: 1, start_at: 1 });
+waitlistEntrySchema.index({ user_id: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, offer_expires_at: 1 });
+
+waitlistEntrySchema.pre("save", function (next) {
+  this.updated_at = new Date();
+  next();
+});
+
+waitlistEntrySchema.methods.toJSON = function () {
+  const entryObject = this.toObject();
+  delete entryObject._id;
+  return entryObject;
+};
+
+waitlistEntrySchema.statics.findByCustomId = function (customId) {
+  return this.findOne({ id: customId });
+};
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -1,6 +1,7 @@
 const express = require("express");
 const Appointment = require("../models/Appointment");
 const Venue = require("../models/Venue");
+const AppointmentSeries = require("../models/AppointmentSeries");
 const {
   success,
   error,
@@ -10,9 +11,64 @@ const {
   badRequest,
   forbidden,
 } = require("../utils/response");
-const { protect, adminOnly } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { hasPermission } = require("../config/permissions");
+const {
+  canManageVenueAppointments,
+  getManagedVenueIds,
+} = require("../utils/venueAccess");
+const {
+  DATE_KEY_REGEX,
+  fromDateKey,
+  addDaysToKey,
+  getVenueTimeZone,
+  isWithinOpeningHours,
+  generateFreeSlots,
+} = require("../utils/schedule");
+const {
+  DEFAULT_TIMEZONE,
+  parseInTimeZone,
+  toLocalISOString,
+} = require("../utils/timezone");
+const { parseRRule, formatRRule, expandOccurrences } = require("../utils/recurrence");
+const {
+  promoteWaitlist,
+  promoteForAppointment,
+} = require("../utils/waitlist");
+const {
+  STATUSES,
+  FINAL_STATUSES,
+  applyTransition,
+  transitionMany,
+  getAllowedTransitions,
+} = require("../utils/appointmentStatus");
+const { withLock, venueLockKey } = require("../utils/bookingLock");
+const { buildEvent, buildCalendar, sendCalendar } = require("../utils/ical");
+const { quoteBooking, toAppointmentPrice } = require("../utils/pricing");
+const { releaseAppointmentPayment } = require("../utils/payments");
+const { toAppointmentPaymentStatus } = require("../utils/payments/status");
+const {
+  signCheckInCode,
+  parseCheckInCode,
+  getCheckInWindow,
+  assertCheckInAllowed,
+} = require("../utils/checkIn");
+const {
+  getCancellationTerms,
+  getRescheduleBlock,
+  findBookingRestriction,
+  restrictionMessage,
+  recordStrike,
+} = require("../utils/bookingPolicy");
+const {
+  ACTIVE_STATUSES,
+  appointmentEnd,
+  findSlotConflict,
+  resolveResource,
+} = require("../utils/appointmentConflicts");
 const {
   validateAppointment,
+  validateAppointmentUpdate,
   validateAppointmentStatus,
   validatePagination,
   validateObjectId,
@@ -20,7 +76,63 @@ const {
 
 const router = express.Router();
 
+// Venue işçisi (sahib/menecer) və ya qlobal icazəsi olan staff-dırmı?
+const canManageAppointment = async (user, appointment) => {
+  if (hasPermission(user, "appointments:manage")) return true;
+  if (!hasPermission(user, "appointments:manage_own")) return false;
+  const venue = await Venue.findByCustomId(appointment.venue_id);
+  return canManageVenueAppointments(user, venue);
+};
+
+// Siyahıdakı rezervasiyalara seriya xülasəsini əlavə et
+const attachSeries = async (appointments) => {
+  const seriesIds = [...new Set(appointments.map((a) => a.series_id).filter(Boolean))];
+  const seriesList = seriesIds.length
+    ? await AppointmentSeries.find({ id: { $in: seriesIds } }).select("id rrule status")
+    : [];
+  const seriesById = new Map(
+    seriesList.map((s) => [s.id, { id: s.id, rrule: s.rrule, status: s.status }])
+  );
 
+  return appointments.map((appointment) => ({
+    ...appointment.toJSON(),
+    series: appointment.series_id ? seriesById.get(appointment.series_id) || null : null,
+  }));
+};
+
+// Status keçidi üçün aktor: admin, venue işçisi (staff) və ya rezervasiya sahibi
+const getAppointmentActor = async (user, appointment) => {
+  let type = null;
+  if (hasPermission(user, "appointments:manage")) type = "admin";
+  else if (await canManageAppointment(user, appointment)) type = "staff";
+  else if (appointment.user_id === user.id) type = "owner";
+  return type ? { id: user.id, name: user.full_name, type } : null;
+};
+
+// Sahib gec ləğv edibsə və venue cəza tətbiq edirsə qeyd yazılır.
+// Ləğv cavabında göstərilən şərtləri qaytarır.
+const applyCancellationPolicy = async (appointment, venue, actor) => {
+  const terms = getCancellationTerms(venue, appointment);
+  if (actor.type === "owner" && terms.penalty_applied) {
+    appointment.late_cancellation = true;
+    terms.strike = await recordStrike(appointment.user_id, "late_cancel", appointment);
+  }
+  return terms;
+};
+
+// Ləğv olunan rezervasiyanın ödənişi buraxılır; xəta ləğvi dayandırmır
+const releasePayment = (appointment) =>
+  releaseAppointmentPayment(appointment)
+    .then((payment) => {
+      if (payment) appointment.payment_status = toAppointmentPaymentStatus(payment.status);
+    })
+    .catch((err) => console.error("Payment release error:", err));
+
+// Shared slotda yer qalıbsa bunu bildir
+const slotUnavailableMessage = (conflict) =>
+  conflict.seats_left > 0
+    ? `Only ${conflict.seats_left} seat(s) left for this time slot`
+    : "Time slot is not available";
 
 // @desc    Create appointment
 // @route   POST /api/appointments
@@ -33,16 +145,36 @@ router.post("/", protect, validateAppointment, async (req, res) => {
       duration_hours = 1,
       purpose,
       notes = "",
+      resource_id,
+      participants = 1,
     } = req.body; // ⬅️ venue_name-ı bura almağa ehtiyac yoxdur
 
+    // Tez-tez gec ləğv / gəlməmə səbəbindən məhdudiyyət
+    const restrictedUntil = await findBookingRestriction(req.user.id);
+    if (restrictedUntil) {
+      return forbidden(res, restrictionMessage(restrictedUntil));
+    }
+
     // 1) Venue var və aktivdir?
     const venue = await Venue.findByCustomId(venue_id);
     if (!venue || venue.is_active === false) {
       return notFound(res, "Venue not found or inactive");
     }
 
-    // 2) Tarixi obyektə çevir və gələcək olmasını yoxla
-    const dt = new Date(appointment_date); // FE ISO string göndərsin
+    const { resource, message, status } = resolveResource(venue, resource_id);
+    if (message) {
+      return status === 404 ? notFound(res, message) : badRequest(res, message);
+    }
+
+    const { capacity } = venue.getBookingRules(resource);
+    if (participants > capacity) {
+      return badRequest(res, `Participants cannot exceed capacity (${capacity})`);
+    }
+
+    // 2) Tarixi obyektə çevir və gələcək olmasını yoxla.
+    // Ofsetsiz vaxt ("2025-05-01T19:00") venue-nun yerli vaxtı sayılır.
+    const timezone = getVenueTimeZone(venue);
+    const dt = parseInTimeZone(appointment_date, timezone);
     if (isNaN(dt.getTime())) {
       return badRequest(res, "Invalid appointment date");
     }
@@ -50,34 +182,56 @@ router.post("/", protect, validateAppointment, async (req, res) => {
       return badRequest(res, "Appointment date must be in the future");
     }
 
-    // 3) Zaman toqquşması (basic overlap)
+    // 3) Venue həmin vaxt açıqdır?
     const windowMs = duration_hours * 60 * 60 * 1000;
-    const conflictingAppointment = await Appointment.findOne({
-      venue_id,
-      appointment_date: {
-        $gte: new Date(dt.getTime() - windowMs),
-        $lte: new Date(dt.getTime() + windowMs),
-      },
-      status: { $in: ["pending", "confirmed"] },
-    });
-    if (conflictingAppointment) {
-      return badRequest(res, "Time slot is not available");
+    if (!isWithinOpeningHours(venue, dt, new Date(dt.getTime() + windowMs))) {
+      return badRequest(res, "Venue is closed at the requested time");
     }
 
-    const appointment = await Appointment.create({
-      id: undefined, 
-      user_id: req.user.id,
-      user_name: req.user.full_name,
-      venue_id,
-      venue_name: venue.name, 
-      appointment_date: dt,  
-      duration_hours,
-      purpose: (purpose || "").trim(),
-      notes: (notes || "").trim(),
+    // 4) Zaman toqquşması (interval overlap, shared rejimdə tutum) və yazılış
+    // eyni venue kilidi altında, ki, paralel iki sorğu eyni slotu tuta bilməsin.
+    // Növbədən təklif alan başqa istifadəçi üçün saxlanılan slot da nəzərə alınır.
+    let conflict = null;
+    const appointment = await withLock(venueLockKey(venue_id), async () => {
+      conflict = await findSlotConflict({
+        venue,
+        resourceId: resource?._id,
+        start: dt,
+        end: new Date(dt.getTime() + windowMs),
+        participants,
+        userId: req.user.id,
+      });
+      if (conflict) return null;
+
+      return Appointment.create({
+        id: undefined,
+        user_id: req.user.id,
+        user_name: req.user.full_name,
+        venue_id,
+        venue_name: venue.name,
+        timezone,
+        resource_id: resource ? String(resource._id) : null,
+        resource_name: resource ? resource.name : "",
+        appointment_date: dt,
+        duration_hours,
+        participants,
+        price: toAppointmentPrice(
+          quoteBooking(venue, resource, { start: dt, durationHours: duration_hours, participants })
+        ),
+        purpose: (purpose || "").trim(),
+        notes: (notes || "").trim(),
+      });
     });
 
+    if (!appointment) {
+      return badRequest(res, slotUnavailableMessage(conflict));
+    }
+
     return created(res, appointment, "Appointment booked successfully");
   } catch (err) {
+    if (err.statusCode === 409) {
+      return error(res, err.message, 409);
+    }
     // Validation error-ları açıq qaytar
     if (err.name === "ValidationError") {
       return badRequest(res, {
@@ -92,6 +246,276 @@ router.post("/", protect, validateAppointment, async (req, res) => {
   }
 });
 
+// @desc    Create recurring booking (e.g. every Tuesday 19:00 for the season)
+// @route   POST /api/appointments/recurring
+// @access  Private
+router.post("/recurring", protect, validateAppointment, async (req, res) => {
+  try {
+    const {
+      venue_id,
+      appointment_date,
+      duration_hours = 1,
+      purpose,
+      notes = "",
+      resource_id,
+      rrule,
+      skip_conflicts = true,
+      participants = 1,
+    } = req.body;
+
+    const restrictedUntil = await findBookingRestriction(req.user.id);
+    if (restrictedUntil) {
+      return forbidden(res, restrictionMessage(restrictedUntil));
+    }
+
+    const venue = await Venue.findByCustomId(venue_id);
+    if (!venue || venue.is_active === false) {
+      return notFound(res, "Venue not found or inactive");
+    }
+
+    const { resource, message, status } = resolveResource(venue, resource_id);
+    if (message) {
+      return status === 404 ? notFound(res, message) : badRequest(res, message);
+    }
+
+    const { capacity } = venue.getBookingRules(resource);
+    if (participants > capacity) {
+      return badRequest(res, `Participants cannot exceed capacity (${capacity})`);
+    }
+
+    // appointment_date seriyanın ilk təkrarıdır (RRULE-dakı DTSTART)
+    // Günlər və həftənin günləri venue-nun vaxt zonasına görədir
+    const timezone = getVenueTimeZone(venue);
+    const rule = parseRRule(rrule, timezone);
+    const occurrences = expandOccurrences(parseInTimeZone(appointment_date, timezone), rule, timezone);
+    if (!occurrences.length) {
+      return badRequest(res, "Recurrence rule produces no occurrences");
+    }
+
+    const windowMs = duration_hours * 60 * 60 * 1000;
+    const allowPartial = skip_conflicts !== false && skip_conflicts !== "false";
+
+    const result = await withLock(
+      venueLockKey(venue_id),
+      async () => {
+        const bookable = [];
+        const skipped = [];
+        for (const start of occurrences) {
+          const end = new Date(start.getTime() + windowMs);
+          if (!isWithinOpeningHours(venue, start, end)) {
+            skipped.push({ date: start, reason: "closed" });
+            continue;
+          }
+          const conflict = await findSlotConflict({
+            venue,
+            resourceId: resource?._id,
+            start,
+            end,
+            participants,
+            userId: req.user.id,
+          });
+          if (conflict) {
+            skipped.push({
+              date: start,
+              reason: "conflict",
+              conflicting_appointment_id: conflict.appointment?.id || null,
+            });
+            continue;
+          }
+          bookable.push(start);
+        }
+
+        if (!bookable.length || (skipped.length && !allowPartial)) {
+          return { series: null, skipped };
+        }
+
+        const series = await AppointmentSeries.create({
+          user_id: req.user.id,
+          venue_id,
+          venue_name: venue.name,
+          resource_id: resource ? String(resource._id) : null,
+          rrule: formatRRule(rule),
+          starts_at: occurrences[0],
+          duration_hours,
+          purpose: (purpose || "").trim(),
+          skipped,
+        });
+
+        const appointments = await Appointment.insertMany(
+          bookable.map((start) => ({
+            user_id: req.user.id,
+            user_name: req.user.full_name,
+            venue_id,
+            venue_name: venue.name,
+            timezone,
+            resource_id: resource ? String(resource._id) : null,
+            resource_name: resource ? resource.name : "",
+            series_id: series.id,
+            appointment_date: start,
+            duration_hours,
+            participants,
+            price: toAppointmentPrice(
+              quoteBooking(venue, resource, { start, durationHours: duration_hours, participants })
+            ),
+            purpose: (purpose || "").trim(),
+            notes: (notes || "").trim(),
+          }))
+        );
+
+        return { series, appointments, skipped };
+      },
+      // Uzun seriyada yazılış bir az çəkə bilər
+      { ttlMs: 30 * 1000 }
+    );
+
+    if (!result.series) {
+      return error(
+        res,
+        result.skipped.length === occurrences.length
+          ? "No occurrence of the series is available"
+          : "Some occurrences are not available",
+        409,
+        result.skipped
+      );
+    }
+
+    created(
+      res,
+      {
+        series: result.series,
+        appointments: result.appointments,
+        booked_count: result.appointments.length,
+        conflicts: result.skipped,
+      },
+      `Recurring booking created: ${result.appointments.length} of ${occurrences.length} occurrences booked`
+    );
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return badRequest(res, err.message);
+    }
+    if (err.statusCode === 409) {
+      return error(res, err.message, 409);
+    }
+    if (err.name === "ValidationError") {
+      return badRequest(res, {
+        message: "Validation failed",
+        errors: Object.fromEntries(
+          Object.entries(err.errors).map(([k, v]) => [k, v.message])
+        ),
+      });
+    }
+    console.error("Create recurring appointment error:", err);
+    error(res, "Failed to create recurring booking", 500);
+  }
+});
+
+// @desc    Get recurring series with its occurrences
+// @route   GET /api/appointments/series/:seriesId
+// @access  Private
+router.get("/series/:seriesId", protect, async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findByCustomId(req.params.seriesId);
+    if (!series) {
+      return notFound(res, "Series not found");
+    }
+
+    if (
+      series.user_id !== req.user.id &&
+      !hasPermission(req.user, "appointments:read_all") &&
+      !(await canManageAppointment(req.user, series))
+    ) {
+      return forbidden(res, "Not authorized to view this series");
+    }
+
+    const appointments = await Appointment.find({ series_id: series.id }).sort({
+      appointment_date: 1,
+    });
+
+    success(res, { series, appointments }, "Series retrieved successfully");
+  } catch (err) {
+    console.error("Get series error:", err);
+    error(res, "Failed to retrieve series", 500);
+  }
+});
+
+// @desc    Cancel one occurrence, all future occurrences or the whole series
+// @route   PUT /api/appointments/series/:seriesId/cancel
+// @access  Private
+router.put("/series/:seriesId/cancel", protect, async (req, res) => {
+  try {
+    const { scope = "all", appointment_id, reason } = req.body;
+    if (!["occurrence", "future", "all"].includes(scope)) {
+      return badRequest(res, "Scope must be occurrence, future or all");
+    }
+
+    const series = await AppointmentSeries.findByCustomId(req.params.seriesId);
+    if (!series) {
+      return notFound(res, "Series not found");
+    }
+
+    const actor = await getAppointmentActor(req.user, series);
+    if (!actor) {
+      return forbidden(res, "Not authorized to cancel this series");
+    }
+
+    const query = { series_id: series.id, status: { $in: ACTIVE_STATUSES } };
+
+    // "occurrence" və "future" üçün istinad təkrarı
+    let pivot = null;
+    if (appointment_id) {
+      pivot = await Appointment.findOne({ id: appointment_id, series_id: series.id });
+      if (!pivot) {
+        return notFound(res, "Occurrence not found in this series");
+      }
+    } else if (scope === "occurrence") {
+      return badRequest(res, "Appointment ID is required to cancel one occurrence");
+    }
+
+    if (scope === "occurrence") {
+      query.id = pivot.id;
+    } else if (scope === "future") {
+      query.appointment_date = { $gte: pivot ? pivot.appointment_date : new Date() };
+    }
+
+    const cancelled = await transitionMany(query, "cancelled", { actor, reason });
+
+    // Sahib ləğv edəndə hər təkrar üçün ləğv siyasəti ayrıca yoxlanılır
+    if (actor.type === "owner" && cancelled.length) {
+      const venue = await Venue.findByCustomId(series.venue_id);
+      for (const appointment of cancelled) {
+        await applyCancellationPolicy(appointment, venue, actor);
+        if (appointment.late_cancellation) {
+          await appointment.save({ validateBeforeSave: false });
+        }
+      }
+    }
+    const lateCount = cancelled.filter((a) => a.late_cancellation).length;
+
+    // Boşalan slotlar növbədəkilərə təklif olunur
+    for (const appointment of cancelled) {
+      await releasePayment(appointment);
+      await promoteForAppointment(appointment).catch((err) =>
+        console.error("Waitlist promotion error:", err)
+      );
+    }
+
+    if (scope === "all") {
+      series.status = "cancelled";
+      series.cancelled_at = new Date();
+      await series.save();
+    }
+
+    success(
+      res,
+      { series, cancelled_count: cancelled.length, late_cancelled_count: lateCount },
+      `${cancelled.length} occurrence(s) cancelled`
+    );
+  } catch (err) {
+    console.error("Cancel series error:", err);
+    error(res, "Failed to cancel series", 500);
+  }
+});
+
 // @desc    Get appointments
 // @route   GET /api/appointments
 // @access  Private
@@ -104,44 +528,75 @@ router.get("/", protect, validatePagination, async (req, res) => {
     // Build query based on user role
     let query = {};
 
-    if (req.user.role === "admin") {
-      // Admin can see all appointments
+    if (hasPermission(req.user, "appointments:read_all")) {
+      // Admin/support can see all appointments
       // Filter by user if specified
       if (req.query.user_id) {
         query.user_id = req.query.user_id;
       }
+      if (req.query.venue_id) {
+        query.venue_id = req.query.venue_id;
+      }
     } else {
-      // Regular users can only see their own appointments
-      query.user_id = req.user.id;
+      const managedVenueIds = await getManagedVenueIds(req.user);
+
+      if (req.query.venue_id && managedVenueIds.includes(req.query.venue_id)) {
+        // Venue staff sees every booking of their venue
+        query.venue_id = req.query.venue_id;
+      } else if (req.query.scope === "managed") {
+        query.venue_id = { $in: managedVenueIds };
+      } else {
+        // Regular users can only see their own appointments
+        query.user_id = req.user.id;
+        if (req.query.venue_id) {
+          query.venue_id = req.query.venue_id;
+        }
+      }
     }
 
-    // Filter by venue
-    if (req.query.venue_id) {
-      query.venue_id = req.query.venue_id;
+    // Filter by recurring series
+    if (req.query.series_id) {
+      query.series_id = String(req.query.series_id);
+    }
+
+    // Filter by resource (meydança/kort)
+    if (req.query.resource_id) {
+      query.resource_id = String(req.query.resource_id);
     }
 
     // Filter by status
-    if (
-      req.query.status &&
-      ["pending", "confirmed", "cancelled", "completed"].includes(
-        req.query.status
-      )
-    ) {
+    if (req.query.status && STATUSES.includes(req.query.status)) {
       query.status = req.query.status;
     }
 
-    // Date range filter
-    if (req.query.date_from) {
-      query.appointment_date = {
-        ...query.appointment_date,
-        $gte: new Date(req.query.date_from),
-      };
-    }
-    if (req.query.date_to) {
-      query.appointment_date = {
-        ...query.appointment_date,
-        $lte: new Date(req.query.date_to),
+    // Date range filter: tarixlər venue-nun (venue seçilməyibsə default)
+    // vaxt zonasındadır, "YYYY-MM-DD" date_to günü tam daxildir
+    if (req.query.date_from || req.query.date_to) {
+      let timezone = DEFAULT_TIMEZONE;
+      if (typeof query.venue_id === "string") {
+        const filterVenue = await Venue.findByCustomId(query.venue_id).select("timezone");
+        timezone = getVenueTimeZone(filterVenue);
+      }
+      const parseFilterDate = (value) => {
+        const date = parseInTimeZone(String(value), timezone);
+        return isNaN(date.getTime()) ? null : date;
       };
+
+      const dateFrom = req.query.date_from && parseFilterDate(req.query.date_from);
+      if (dateFrom) {
+        query.appointment_date = { ...query.appointment_date, $gte: dateFrom };
+      }
+      if (req.query.date_to && DATE_KEY_REGEX.test(req.query.date_to)) {
+        query.appointment_date = {
+          ...query.appointment_date,
+          $lt: fromDateKey(addDaysToKey(req.query.date_to, 1), timezone),
+        };
+      } else if (req.query.date_to && parseFilterDate(req.query.date_to)) {
+        query.appointment_date = {
+          ...query.appointment_date,
+          $lte: parseFilterDate(req.query.date_to),
+        };
+      }
     }
 
     // Get appointments and total count
@@ -160,14 +615,14 @@ router.get("/", protect, validatePagination, async (req, res) => {
       });
       return success(
         res,
-        allAppointments,
+        await attachSeries(allAppointments),
         "Appointments retrieved successfully"
       );
     }
 
     paginated(
       res,
-      appointments,
+      await attachSeries(appointments),
       page,
       limit,
       total,
@@ -189,8 +644,12 @@ router.get("/:id", protect, validateObjectId, async (req, res) => {
       return notFound(res, "Appointment not found");
     }
 
-    // Check if user owns the appointment or is admin
-    if (appointment.user_id !== req.user.id && req.user.role !== "admin") {
+    // Check if user owns the appointment, is venue staff or admin
+    if (
+      appointment.user_id !== req.user.id &&
+      !hasPermission(req.user, "appointments:read_all") &&
+      !(await canManageAppointment(req.user, appointment))
+    ) {
       return forbidden(res, "Not authorized to view this appointment");
     }
 
@@ -201,12 +660,152 @@ router.get("/:id", protect, validateObjectId, async (req, res) => {
   }
 });
 
+// @desc    Get appointment status history
+// @route   GET /api/appointments/:id/history
+// @access  Private
+router.get("/:id/history", protect, validateObjectId, async (req, res) => {
+  try {
+    const appointment = await Appointment.findByCustomId(req.params.id);
+    if (!appointment) {
+      return notFound(res, "Appointment not found");
+    }
+
+    const actor = await getAppointmentActor(req.user, appointment);
+    if (!actor && !hasPermission(req.user, "appointments:read_all")) {
+      return forbidden(res, "Not authorized to view this appointment");
+    }
+
+    success(
+      res,
+      {
+        id: appointment.id,
+        status: appointment.status,
+        allowed_transitions: actor
+          ? getAllowedTransitions(appointment.status, actor.type)
+          : [],
+        history: appointment.status_history,
+      },
+      "Appointment history retrieved successfully"
+    );
+  } catch (err) {
+    console.error("Get appointment history error:", err);
+    error(res, "Failed to retrieve appointment history", 500);
+  }
+});
+
+// @desc    Download appointment as an iCalendar (.ics) event
+// @route   GET /api/appointments/:id/ics
+// @access  Private
+router.get("/:id/ics", protect, validateObjectId, async (req, res) => {
+  try {
+    const appointment = await Appointment.findByCustomId(req.params.id);
+    if (!appointment) {
+      return notFound(res, "Appointment not found");
+    }
+
+    const actor = await getAppointmentActor(req.user, appointment);
+    if (!actor && !hasPermission(req.user, "appointments:read_all")) {
+      return forbidden(res, "Not authorized to view this appointment");
+    }
+
+    const calendar = buildCalendar({
+      events: [buildEvent(appointment, { description: appointment.purpose })],
+    });
+    sendCalendar(res, calendar, `gencfit-${appointment.id}.ics`);
+  } catch (err) {
+    console.error("Get appointment ics error:", err);
+    error(res, "Failed to export appointment", 500);
+  }
+});
+
+// @desc    Get the signed check-in code (QR payload) of a confirmed appointment
+// @route   GET /api/appointments/:id/check-in-code
+// @access  Private (owner)
+router.get("/:id/check-in-code", protect, validateObjectId, async (req, res) => {
+  try {
+    const appointment = await Appointment.findByCustomId(req.params.id);
+    if (!appointment) {
+      return notFound(res, "Appointment not found");
+    }
+
+    if (
+      appointment.user_id !== req.user.id &&
+      !hasPermission(req.user, "appointments:manage")
+    ) {
+      return forbidden(res, "Not authorized to view this appointment");
+    }
+    if (!["confirmed", "checked_in"].includes(appointment.status)) {
+      return badRequest(res, "Check-in code is only available for confirmed appointments");
+    }
+
+    const code = signCheckInCode(appointment);
+    success(
+      res,
+      {
+        appointment_id: appointment.id,
+        code,
+        // Frontend bu string-i QR kimi göstərir
+        qr_payload: code,
+        ...getCheckInWindow(appointment),
+        checked_in_at: appointment.checked_in_at,
+      },
+      "Check-in code retrieved successfully"
+    );
+  } catch (err) {
+    console.error("Get check-in code error:", err);
+    error(res, "Failed to retrieve check-in code", 500);
+  }
+});
+
+// @desc    Check in a booked user by scanning their QR code
+// @route   POST /api/appointments/check-in
+// @access  Private (venue staff)
+router.post("/check-in", protect, async (req, res) => {
+  try {
+    const parsed = parseCheckInCode(req.body.code);
+    if (!parsed) {
+      return badRequest(res, "Invalid check-in code");
+    }
+
+    const appointment = await Appointment.findByCustomId(parsed.appointmentId);
+    if (!appointment) {
+      return notFound(res, "Appointment not found");
+    }
+
+    // Yalnız venue işçisi (və ya admin) giriş qeyd edə bilər
+    const actor = await getAppointmentActor(req.user, appointment);
+    if (!actor || actor.type === "owner") {
+      return forbidden(res, "Not authorized to check in this appointment");
+    }
+
+    assertCheckInAllowed(appointment, req.body.code);
+
+    applyTransition(appointment, "checked_in", { actor, reason: "QR check-in" });
+    appointment.checked_in_at = new Date();
+    await appointment.save();
+
+    success(res, appointment, "Checked in successfully");
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return badRequest(res, err.message);
+    }
+    if (err.statusCode === 403) {
+      return forbidden(res, err.message);
+    }
+    if (err.statusCode === 409) {
+      return error(res, err.message, 409);
+    }
+    console.error("Check-in error:", err);
+    error(res, "Failed to check in", 500);
+  }
+});
+
 // @desc    Update appointment
 // @route   PUT /api/appointments/:id
 // @access  Private
-router.put("/:id", protect, validateObjectId, async (req, res) => {
+router.put("/:id", protect, validateObjectId, validateAppointmentUpdate, async (req, res) => {
   try {
-    const { appointment_date, duration_hours, purpose, notes } = req.body;
+    const { appointment_date, duration_hours, participants, purpose, notes } = req.body;
 
     const appointment = await Appointment.findByCustomId(req.params.id);
     if (!appointment) {
@@ -214,35 +813,125 @@ router.put("/:id", protect, validateObjectId, async (req, res) => {
     }
 
     // Check if user owns the appointment or is admin
-    if (appointment.user_id !== req.user.id && req.user.role !== "admin") {
+    if (
+      appointment.user_id !== req.user.id &&
+      !hasPermission(req.user, "appointments:manage")
+    ) {
       return forbidden(res, "Not authorized to update this appointment");
     }
 
-    // Don't allow updates to completed or cancelled appointments
-    if (["completed", "cancelled"].includes(appointment.status)) {
+    // Yalnız hələ slot tutan (pending/confirmed) rezervasiya dəyişdirilə bilər
+    if (!["pending", "confirmed"].includes(appointment.status)) {
       return badRequest(
         res,
-        "Cannot update completed or cancelled appointments"
+        `Cannot update ${appointment.status} appointments`
       );
     }
 
+    // Köhnə slot növbəyə ötürülmək üçün
+    const previousSlot = {
+      start: appointment.appointment_date,
+      end: appointmentEnd(appointment),
+    };
+
     // Update fields
     if (appointment_date) {
-      const newDate = new Date(appointment_date);
+      const newDate = parseInTimeZone(appointment_date, appointment.timezone);
+      if (isNaN(newDate.getTime())) {
+        return badRequest(res, "Invalid appointment date");
+      }
       if (newDate <= new Date()) {
         return badRequest(res, "Appointment date must be in the future");
       }
       appointment.appointment_date = newDate;
     }
 
-    if (duration_hours) appointment.duration_hours = duration_hours;
+    if (duration_hours !== undefined) appointment.duration_hours = duration_hours;
+    if (participants !== undefined) appointment.participants = participants;
     if (purpose) appointment.purpose = purpose;
     if (notes !== undefined) appointment.notes = notes;
 
-    await appointment.save();
+    // Vaxt və ya yer sayı dəyişibsə slot yenidən yoxlanılır
+    const isRescheduled = Boolean(
+      appointment_date || duration_hours !== undefined || participants !== undefined
+    );
+    // Yalnız vaxt dəyişikliyi ləğv siyasətinə tabedir
+    const isTimeChanged = appointment.isModified("appointment_date") || appointment.isModified("duration_hours");
+    let venue = null;
+    if (isRescheduled) {
+      venue = await Venue.findByCustomId(appointment.venue_id);
+      if (!venue) {
+        return notFound(res, "Venue not found");
+      }
+      if (isTimeChanged && !hasPermission(req.user, "appointments:manage")) {
+        // Siyasət köhnə başlanğıca görə yoxlanılır
+        const rescheduleBlock = getRescheduleBlock(venue, {
+          appointment_date: previousSlot.start,
+          reschedule_count: appointment.reschedule_count,
+        });
+        if (rescheduleBlock) {
+          return badRequest(res, rescheduleBlock);
+        }
+      }
+      if (isTimeChanged) appointment.reschedule_count += 1;
+      // Yeni vaxt da iş saatlarına düşməlidir
+      if (!isWithinOpeningHours(venue, appointment.appointment_date, appointmentEnd(appointment))) {
+        return badRequest(res, "Venue is closed at the requested time");
+      }
+      const resource = appointment.resource_id
+        ? venue.resources.find((r) => String(r._id) === appointment.resource_id)
+        : null;
+      const { capacity } = venue.getBookingRules(resource);
+      if (appointment.participants > capacity) {
+        return badRequest(res, `Participants cannot exceed capacity (${capacity})`);
+      }
+      // Ödəniş başlamayıbsa qiymət yeni vaxta görə yenilənir
+      if (appointment.payment_status === "unpaid") {
+        appointment.price = toAppointmentPrice(
+          quoteBooking(venue, resource, {
+            start: appointment.appointment_date,
+            durationHours: appointment.duration_hours,
+            participants: appointment.participants,
+          })
+        );
+      }
+    }
+
+    // POST ilə eyni toqquşma yoxlaması, eyni kilid altında
+    let conflict = null;
+    const saved = await withLock(venueLockKey(appointment.venue_id), async () => {
+      if (isRescheduled) {
+        conflict = await findSlotConflict({
+          venue,
+          resourceId: appointment.resource_id,
+          start: appointment.appointment_date,
+          end: appointmentEnd(appointment),
+          participants: appointment.participants,
+          excludeId: appointment.id,
+          userId: appointment.user_id,
+        });
+        if (conflict) return null;
+      }
+      return appointment.save();
+    });
+
+    if (!saved) {
+      return badRequest(res, slotUnavailableMessage(conflict));
+    }
+
+    if (isRescheduled) {
+      await promoteWaitlist({
+        venueId: appointment.venue_id,
+        resourceId: appointment.resource_id,
+        ...previousSlot,
+      }).catch((err) => console.error("Waitlist promotion error:", err));
+    }
 
     success(res, appointment, "Appointment updated successfully");
   } catch (err) {
+    if (err.statusCode === 409) {
+      return error(res, err.message, 409);
+    }
     console.error("Update appointment error:", err);
     error(res, "Failed to update appointment", 500);
   }
@@ -258,115 +947,360 @@ router.put(
   validateAppointmentStatus,
   async (req, res) => {
     try {
-      const { status } = req.body;
+      const { status, reason } = req.body;
 
       const appointment = await Appointment.findByCustomId(req.params.id);
       if (!appointment) {
         return notFound(res, "Appointment not found");
       }
 
-      // Check permissions
-      if (req.user.role === "admin") {
-        // Admin can update any status
-      } else if (appointment.user_id === req.user.id) {
-        // Users can only cancel their own appointments
-        if (status !== "cancelled") {
-          return forbidden(res, "Users can only cancel appointments");
-        }
-      } else {
+      const actor = await getAppointmentActor(req.user, appointment);
+      if (!actor) {
         return forbidden(res, "Not authorized to update this appointment");
       }
 
-      // Prevent certain status transitions
-      if (appointment.status === "completed" && status !== "completed") {
-        return badRequest(
-          res,
-          "Cannot change status of completed appointments"
-        );
+      // Keçid state machine-dən keçir və tarixçəyə yazılır
+      const wasActive = ACTIVE_STATUSES.includes(appointment.status);
+      applyTransition(appointment, status, { actor, reason });
+
+      if (status === "checked_in") {
+        appointment.checked_in_at = new Date();
       }
 
-      appointment.status = status;
+      let cancellation = null;
+      if (status === "cancelled") {
+        const venue = await Venue.findByCustomId(appointment.venue_id);
+        cancellation = await applyCancellationPolicy(appointment, venue, actor);
+      }
       await appointment.save();
 
-      success(res, appointment, `Appointment status updated to ${status}`);
+      if (status === "no_show") {
+        await recordStrike(appointment.user_id, "no_show", appointment, appointment.appointment_date);
+      }
+
+      if (["cancelled", "rejected"].includes(status)) {
+        await releasePayment(appointment);
+      }
+
+      // Ləğv / imtina ilə boşalan slot növbədəki ilk istifadəçiyə keçir
+      if (wasActive && !ACTIVE_STATUSES.includes(status)) {
+        await promoteForAppointment(appointment).catch((err) =>
+          console.error("Waitlist promotion error:", err)
+        );
+      }
+
+      success(
+        res,
+        cancellation ? { ...appointment.toJSON(), cancellation } : appointment,
+        `Appointment status updated to ${status}`
+      );
     } catch (err) {
+      if (err.statusCode === 400) {
+        return badRequest(res, err.message);
+      }
+      if (err.statusCode === 403) {
+        return forbidden(res, err.message);
+      }
       console.error("Update appointment status error:", err);
       error(res, "Failed to update appointment status", 500);
     }
   }
 );
 
-// @desc    Delete appointment
+// @desc    Delete appointment: an active booking is cancelled, not removed
+//          (history, strikes, stats and calendar feeds keep it)
 // @route   DELETE /api/appointments/:id
 // @access  Private
 router.delete("/:id", protect, validateObjectId, async (req, res) => {
   try {
-    const appointment = await Appointment.findOne({ id: req.params.id });
+    const appointment = await Appointment.findByCustomId(req.params.id);
     if (!appointment) {
       return notFound(res, "Appointment not found");
     }
 
     // Check if user owns the appointment or is admin
-    if (appointment.user_id !== req.user.id && req.user.role !== "admin") {
+    if (
+      appointment.user_id !== req.user.id &&
+      !hasPermission(req.user, "appointments:manage")
+    ) {
       return forbidden(res, "Not authorized to delete this appointment");
     }
 
-    await Appointment.deleteOne({ id: req.params.id });
+    // Bitmiş rezervasiyalar (completed, no_show, ləğv olunmuş) tarixçədə qalır
+    if (FINAL_STATUSES.includes(appointment.status)) {
+      return badRequest(res, `Cannot delete ${appointment.status} appointments`);
+    }
+
+    // Sahib üçün bu ləğv sayılır (ləğv siyasəti ilə)
+    const isOwner = appointment.user_id === req.user.id;
+    const actor = {
+      id: req.user.id,
+      name: req.user.full_name,
+      type: isOwner ? "owner" : "admin",
+    };
+    applyTransition(appointment, "cancelled", { actor, reason: req.body?.reason });
 
-    success(res, null, "Appointment deleted successfully");
+    let cancellation = null;
+    if (isOwner) {
+      const venue = await Venue.findByCustomId(appointment.venue_id);
+      cancellation = await applyCancellationPolicy(appointment, venue, actor);
+    }
+    await appointment.save({ validateBeforeSave: false });
+
+    await releasePayment(appointment);
+    await promoteForAppointment(appointment).catch((err) =>
+      console.error("Waitlist promotion error:", err)
+    );
+
+    success(
+      res,
+      cancellation ? { ...appointment.toJSON(), cancellation } : appointment,
+      "Appointment cancelled successfully"
+    );
   } catch (err) {
+    if (err.statusCode === 400) {
+      return badRequest(res, err.message);
+    }
+    if (err.statusCode === 403) {
+      return forbidden(res, err.message);
+    }
     console.error("Delete appointment error:", err);
     error(res, "Failed to delete appointment", 500);
   }
 });
 
+// Availability üçün maksimum aralıq (gün)
+const MAX_AVAILABILITY_DAYS = 31;
+
+// Bir neçə resursun günlərini birləşdir (eyni başlanğıclı slot bir dəfə,
+// shared resurslarda boş yerlər toplanır)
+const mergeFreeDays = (dayLists) =>
+  dayLists[0].map((day, index) => {
+    const slots = new Map();
+    dayLists.forEach((days) => {
+      days[index].free_slots.forEach((slot) => {
+        const key = slot.start.getTime();
+        const existing = slots.get(key);
+        if (existing && existing.seats_left !== undefined && slot.seats_left !== undefined) {
+          slots.set(key, { ...existing, seats_left: existing.seats_left + slot.seats_left });
+        } else if (!existing) {
+          slots.set(key, slot);
+        }
+      });
+    });
+    return {
+      ...day,
+      is_open: dayLists.some((days) => days[index].is_open),
+      free_slots: [...slots.values()].sort((a, b) => a.start - b.start),
+    };
+  });
+
+// @desc    Get a price quote for a booking (no slot is held)
+// @route   POST /api/appointments/quote
+// @access  Public
+router.post("/quote", async (req, res) => {
+  try {
+    const { venue_id, appointment_date, duration_hours = 1, resource_id, participants = 1 } = req.body;
+
+    if (!venue_id || !appointment_date) {
+      return badRequest(res, "Venue ID and appointment date are required");
+    }
+
+    const durationHours = Number(duration_hours);
+    if (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > 24) {
+      return badRequest(res, "Duration must be between 1 and 24 hours");
+    }
+
+    const participantCount = Number(participants);
+    if (!Number.isInteger(participantCount) || participantCount < 1) {
+      return badRequest(res, "Participants must be a positive integer");
+    }
+
+    const venue = await Venue.findByCustomId(venue_id).catch(() => null);
+    if (!venue || venue.is_active === false) {
+      return notFound(res, "Venue not found or inactive");
+    }
+
+    const { resource, message, status } = resolveResource(venue, resource_id);
+    if (message) {
+      return status === 404 ? notFound(res, message) : badRequest(res, message);
+    }
+
+    const { capacity } = venue.getBookingRules(resource);
+    if (participantCount > capacity) {
+      return badRequest(res, `Participants cannot exceed capacity (${capacity})`);
+    }
+
+    const timezone = getVenueTimeZone(venue);
+    const start = parseInTimeZone(appointment_date, timezone);
+    if (isNaN(start.getTime())) {
+      return badRequest(res, "Invalid appointment date");
+    }
+
+    const quote = quoteBooking(venue, resource, {
+      start,
+      durationHours,
+      participants: participantCount,
+    });
+
+    success(
+      res,
+      {
+        venue_id,
+        resource_id: resource ? String(resource._id) : null,
+        timezone,
+        appointment_date: start,
+        appointment_date_local: toLocalISOString(start, timezone),
+        duration_hours: durationHours,
+        participants: participantCount,
+        ...quote,
+        breakdown: quote.breakdown.map((item) => ({
+          ...item,
+          start_local: toLocalISOString(item.start, timezone),
+          end_local: toLocalISOString(item.end, timezone),
+        })),
+      },
+      "Quote calculated successfully"
+    );
+  } catch (err) {
+    console.error("Quote appointment error:", err);
+    error(res, "Failed to calculate quote", 500);
+  }
+});
+
 // @desc    Get appointment availability for a venue
-// @route   GET /api/appointments/availability/:venue_id
+// @route   GET /api/appointments/availability/:venue_id?date= | ?date_from=&date_to=&duration_hours=
 // @access  Public
 router.get("/availability/:venue_id", async (req, res) => {
   try {
     const { venue_id } = req.params;
-    const { date } = req.query;
+    // ISO tarix gəlsə də yalnız gün hissəsi götürülür
+    const toKey = (value) => (value ? String(value).slice(0, 10) : undefined);
+    const dateFrom = toKey(req.query.date_from || req.query.date);
+    const dateTo = toKey(req.query.date_to) || dateFrom;
 
-    if (!date) {
+    if (!dateFrom) {
       return badRequest(res, "Date parameter is required");
     }
+    if (!DATE_KEY_REGEX.test(dateFrom) || !DATE_KEY_REGEX.test(dateTo)) {
+      return badRequest(res, "Dates must be in YYYY-MM-DD format");
+    }
+
+    const durationHours = parseInt(req.query.duration_hours) || 1;
+    if (durationHours < 1 || durationHours > 24) {
+      return badRequest(res, "Duration must be between 1 and 24 hours");
+    }
+
+    // Shared rejimdə neçə yer lazımdır
+    const participants = parseInt(req.query.participants) || 1;
+    if (participants < 1) {
+      return badRequest(res, "Participants must be a positive integer");
+    }
 
     // Check if venue exists
     const venue = await Venue.findByCustomId(venue_id);
-    if (!venue) {
+    if (!venue || venue.is_active === false) {
       return notFound(res, "Venue not found");
     }
 
-    const queryDate = new Date(date);
-    const startOfDay = new Date(queryDate.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(queryDate.setHours(23, 59, 59, 999));
+    // Gün sərhədləri venue-nun vaxt zonasındadır
+    const timezone = getVenueTimeZone(venue);
+    const rangeStart = fromDateKey(dateFrom, timezone);
+    const rangeEnd = new Date(fromDateKey(addDaysToKey(dateTo, 1), timezone).getTime() - 1);
+    if (rangeEnd < rangeStart) {
+      return badRequest(res, "date_to must not be before date_from");
+    }
+    if ((rangeEnd - rangeStart) / (24 * 60 * 60 * 1000) > MAX_AVAILABILITY_DAYS) {
+      return badRequest(res, `Date range cannot exceed ${MAX_AVAILABILITY_DAYS} days`);
+    }
 
-    // Get all appointments for the venue on the specified date
+    // Aralığa düşən (və ya aralıqdan əvvəl başlayıb davam edən) rezervasiyalar
     const appointments = await Appointment.find({
       venue_id,
       appointment_date: {
-        $gte: startOfDay,
-        $lte: endOfDay,
+        $gte: new Date(rangeStart.getTime() - 24 * 60 * 60 * 1000),
+        $lte: rangeEnd,
       },
-      status: { $in: ["pending", "confirmed"] },
+      status: { $in: ACTIVE_STATUSES },
     }).sort({ appointment_date: 1 });
 
-    const bookedSlots = appointments.map((apt) => ({
-      start: apt.appointment_date,
-      end: new Date(
-        apt.appointment_date.getTime() + apt.duration_hours * 60 * 60 * 1000
-      ),
-      duration: apt.duration_hours,
-    }));
+    const bookedSlots = appointments
+      .map((apt) => ({
+        start: apt.appointment_date,
+        end: new Date(
+          apt.appointment_date.getTime() + apt.duration_hours * 60 * 60 * 1000
+        ),
+        start_local: toLocalISOString(apt.appointment_date, timezone),
+        duration: apt.duration_hours,
+        participants: apt.participants || 1,
+        resource_id: apt.resource_id || null,
+      }))
+      .filter((slot) => slot.end > rangeStart);
+
+    // exclusive rejimdə capacity null-dır: istənilən rezervasiya slotu bağlayır
+    const slotOptions = (resource = null) => {
+      const rules = venue.getBookingRules(resource);
+      return {
+        durationMinutes: durationHours * 60,
+        capacity: rules.booking_mode === "shared" ? rules.capacity : null,
+        participants,
+      };
+    };
+
+    // Resurs üzrə: resurssuz (bütün venue-nu tutan) rezervasiyalar hamısını bloklayır
+    let resources = venue.getActiveResources();
+    if (req.query.resource_id) {
+      resources = resources.filter((r) => String(r._id) === String(req.query.resource_id));
+      if (!resources.length) {
+        return notFound(res, "Resource not found");
+      }
+    }
+
+    const resourceAvailability = resources.map((resource) => {
+      const resourceDays = generateFreeSlots(venue, rangeStart, rangeEnd, {
+        ...slotOptions(resource),
+        booked: bookedSlots.filter(
+          (b) => !b.resource_id || b.resource_id === String(resource._id)
+        ),
+      });
+      return {
+        resource_id: String(resource._id),
+        name: resource.name,
+        type: resource.type,
+        booking_mode: venue.getBookingRules(resource).booking_mode,
+        capacity: resource.capacity,
+        price_per_hour: resource.price_per_hour,
+        free_slots: resourceDays.flatMap((d) => d.free_slots),
+        days: resourceDays,
+      };
+    });
+
+    // Ümumi görünüş: ən azı bir resursun boş olduğu slotlar
+    const days = resourceAvailability.length
+      ? mergeFreeDays(resourceAvailability.map((r) => r.days))
+      : generateFreeSlots(venue, rangeStart, rangeEnd, {
+          ...slotOptions(),
+          booked: bookedSlots,
+        });
 
     success(
       res,
       {
         venue_id,
-        date: date,
+        date: dateFrom,
+        date_from: dateFrom,
+        date_to: dateTo,
+        duration_hours: durationHours,
+        participants,
+        timezone,
+        booking_mode: venue.booking_mode,
+        capacity: venue.capacity,
+        slot_minutes: venue.slot_minutes,
         booked_slots: bookedSlots,
         total_bookings: bookedSlots.length,
+        free_slots: days.flatMap((d) => d.free_slots),
+        days,
+        resources: resourceAvailability,
       },
       "Availability retrieved successfully"
     );
@@ -379,7 +1313,7 @@ router.get("/availability/:venue_id", async (req, res) => {
 // @desc    Get appointment statistics
 // @route   GET /api/appointments/stats/overview
 // @access  Private/Admin
-router.get("/stats/overview", protect, adminOnly, async (req, res) => {
+router.get("/stats/overview", protect, requirePermission("dashboard:read"), async (req, res) => {
   try {
     const [
       totalAppointments,
@@ -395,6 +1329,35 @@ router.get("/stats/overview", protect, adminOnly, async (req, res) => {
       Appointment.countDocuments({ status: "completed" }),
     ]);
 
+    // Bütün statuslar üzrə say (rejected, no_show və s. daxil)
+    const statusCounts = await Appointment.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const appointmentsByStatus = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+    statusCounts.forEach((s) => {
+      appointmentsByStatus[s._id] = s.count;
+    });
+
+    // Gəlməmə nisbəti: no_show / (gəlməli olan və vaxtı bitmiş rezervasiyalar)
+    const noShowRate = (noShows, attended) =>
+      noShows + attended ? Math.round((noShows / (noShows + attended)) * 1000) / 10 : 0;
+    const attendedCount = appointmentsByStatus.checked_in + appointmentsByStatus.completed;
+
+    const noShowsByVenue = await Appointment.aggregate([
+      { $match: { status: { $in: ["no_show", "checked_in", "completed"] } } },
+      {
+        $group: {
+          _id: "$venue_id",
+          venue_name: { $first: "$venue_name" },
+          no_shows: { $sum: { $cond: [{ $eq: ["$status", "no_show"] }, 1, 0] } },
+          attended: { $sum: { $cond: [{ $eq: ["$status", "no_show"] }, 0, 1] } },
+        },
+      },
+      { $match: { no_shows: { $gt: 0 } } },
+      { $sort: { no_shows: -1 } },
+      { $limit: 10 },
+    ]);
+
     // Get appointments by venue
     const appointmentsByVenue = await Appointment.aggregate([
       {
@@ -411,9 +1374,33 @@ router.get("/stats/overview", protect, adminOnly, async (req, res) => {
     // Get upcoming appointments
     const upcomingAppointments = await Appointment.countDocuments({
       appointment_date: { $gte: new Date() },
-      status: { $in: ["pending", "confirmed"] },
+      status: { $in: ACTIVE_STATUSES },
     });
 
+    // Resurs (meydança/kort) üzrə bölgü
+    const appointmentsByResource = await Appointment.aggregate([
+      { $match: { resource_id: { $ne: null } } },
+      {
+        $group: {
+          _id: { venue_id: "$venue_id", resource_id: "$resource_id" },
+          count: { $sum: 1 },
+          booked_hours: {
+            $sum: {
+              $cond: [
+                { $in: ["$status", [...ACTIVE_STATUSES, "completed"]] },
+                "$duration_hours",
+                0,
+              ],
+            },
+          },
+          venue_name: { $first: "$venue_name" },
+          resource_name: { $first: "$resource_name" },
+        },
+      },
+      { $sort: { count: -1 } },
+      { $limit: 20 },
+    ]);
+
     const stats = {
       total_appointments: totalAppointments,
       pending_appointments: pendingAppointments,
@@ -421,7 +1408,25 @@ router.get("/stats/overview", protect, adminOnly, async (req, res) => {
       cancelled_appointments: cancelledAppointments,
       completed_appointments: completedAppointments,
       upcoming_appointments: upcomingAppointments,
+      appointments_by_status: appointmentsByStatus,
+      no_show_appointments: appointmentsByStatus.no_show,
+      no_show_rate: noShowRate(appointmentsByStatus.no_show, attendedCount),
+      no_shows_by_venue: noShowsByVenue.map((v) => ({
+        venue_id: v._id,
+        venue_name: v.venue_name,
+        no_shows: v.no_shows,
+        attended: v.attended,
+        no_show_rate: noShowRate(v.no_shows, v.attended),
+      })),
       appointments_by_venue: appointmentsByVenue,
+      appointments_by_resource: appointmentsByResource.map((r) => ({
+        venue_id: r._id.venue_id,
+        resource_id: r._id.resource_id,
+        venue_name: r.venue_name,
+        resource_name: r.resource_name,
+        count: r.count,
+        booked_hours: r.booked_hours,
+      })),
     };
 
     success(res, stats, "Appointment statistics retrieved successfully");
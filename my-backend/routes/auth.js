@@ -1,51 +1,77 @@
 const router = require("express").Router();
-const passport = require("passport");
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const rateLimit = require("express-rate-limit");
 const User = require("../models/User"); // User mongoose modelini özün yaratmısan deyə fərz edirəm
-const { protect } = require("../middleware/auth");
-// Token yaratmaq funksiyası
-const createToken = (user) =>
-  jwt.sign(
-    { id: user._id.toString(), email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: "1h" }
-  );
+const RefreshToken = require("../models/RefreshToken");
+const { protect, blockImpersonation } = require("../middleware/auth");
+const {
+  signPurposeToken,
+  getClientIp,
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllUserTokens,
+} = require("../utils/auth");
+const { createUserToken, consumeUserToken } = require("../utils/userTokens");
+const { isTwoFactorRequired } = require("../utils/twoFactor");
+const {
+  checkLoginLock,
+  registerLoginFailure,
+  registerLoginSuccess,
+  fakePasswordCompare,
+} = require("../utils/loginGuard");
+const { sendMail } = require("../utils/mail");
+const mailTemplates = require("../utils/mail/templates");
+
+// Email-in mövcudluğunu bildirməmək üçün bütün hallarda eyni mesaj
+const INVALID_CREDENTIALS_MESSAGE = "Invalid email or password";
+const LOCKED_MESSAGE = "Too many failed login attempts. Please try again later.";
+
+// Məktub göndərən endpoint-lər üçün IP üzrə limit (mail bombing qarşısına)
+const mailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+});
+
+// Eyni ünvana fərqli IP-lərdən də çox məktub getməsin
+const forgotPasswordEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: (req) => String(req.body.email || "").trim().toLowerCase(),
+});
+
+// Şifrə bərpası məktubu; cavabı gözlətmir, xəta yalnız loga yazılır
+const sendPasswordResetEmail = async (user) => {
+  try {
+    const token = await createUserToken(user._id, "password_reset");
+    await sendMail(mailTemplates.passwordReset(user, token));
+  } catch (err) {
+    console.error("Forgot password mail error:", err);
+  }
+};
+
+// Təsdiq məktubu göndər; mail xətası qeydiyyatı dayandırmasın
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await createUserToken(user._id, "email_verification");
+    await sendMail(mailTemplates.emailVerification(user, token));
+  } catch (err) {
+    console.error("Verification email error:", err);
+  }
+};
 
 //
 // =============================
-//   Google OAuth Routes
+//   Google OAuth (köhnə link)
 // =============================
-router.get(
-  "/google",
-  passport.authenticate("google", { scope: ["profile", "email"] })
-);
-
-router.get(
-  "/google/callback",
-  passport.authenticate("google", {
-    session: false,
-    failureRedirect: "/?error=unauthorized",
-  }),
-  (req, res) => {
-    console.log("=== CALLBACK ROUTE ===");
-    console.log("req.user:", req.user);
-
-    if (!req.user) {
-      console.log("req.user undefined!");
-      return res.redirect("/?error=unauthorized");
-    }
-
-    try {
-      const token = createToken(req.user);
-      console.log("TOKEN:", token);
-      res.redirect(`http://localhost:3000?token=${token}`);
-    } catch (err) {
-      console.error("JWT create error:", err);
-      res.status(500).json({ message: "JWT yaratmaq alınmadı" });
-    }
-  }
-);
+// OAuth axını /api/auth/oauth altına köçüb; köhnə linklər işləsin deyə
+router.get("/google", (req, res) => {
+  const query = req.originalUrl.includes("?")
+    ? req.originalUrl.slice(req.originalUrl.indexOf("?"))
+    : "";
+  res.redirect(`${req.baseUrl}/oauth/google${query}`);
+});
 
 //
 // =============================
@@ -78,9 +104,10 @@ router.post("/register", async (req, res) => {
     });
 
     await newUser.save();
+    await sendVerificationEmail(newUser);
 
-    const token = createToken(newUser);
-    res.status(201).json({ token, user: newUser });
+    const tokens = await issueTokens(newUser, req, { deviceId: req.body.device_id });
+    res.status(201).json({ ...tokens, user: newUser });
   } catch (err) {
     console.error("Register error:", err);
     res.status(500).json({ message: "Server error" });
@@ -93,28 +120,238 @@ router.post("/register", async (req, res) => {
 // =============================
 router.post("/login", async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const { password } = req.body;
+    const ip = getClientIp(req);
+
+    // IP və ya hesab kilidlidirsə şifrəni yoxlamırıq belə
+    const lockedUntil = await checkLoginLock(email, ip);
+    if (lockedUntil) {
+      res.set("Retry-After", String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+      return res.status(429).json({ message: LOCKED_MESSAGE });
+    }
 
     // user tap
     const user = await User.findOne({ email }).select("+password");
-    if (!user) {
-      return res.status(401).json({ message: "User not found" });
+
+    // şifrəni yoxla (user yoxdursa da eyni cavab və eyni müddət)
+    const isMatch = user?.password
+      ? await bcrypt.compare(String(password || ""), user.password)
+      : await fakePasswordCompare(password);
+    if (!user || !isMatch) {
+      await registerLoginFailure(email, ip, user);
+      return res.status(401).json({ message: INVALID_CREDENTIALS_MESSAGE });
     }
 
-    // şifrəni yoxla
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials" });
+    await registerLoginSuccess(email);
+
+    // 2FA aktivdirsə tam token yerinə qısa ömürlü challenge token veririk
+    if (user.two_factor?.enabled) {
+      return res.json({
+        two_factor_required: true,
+        challenge_token: signPurposeToken(
+          { id: user._id.toString() },
+          "2fa_challenge",
+          "5m"
+        ),
+      });
     }
 
-    const token = createToken(user);
-    res.json({ token, user });
+    await User.updateOne({ _id: user._id }, { $set: { last_login: new Date() } });
+
+    const tokens = await issueTokens(user, req, { deviceId: req.body.device_id });
+    res.json({
+      ...tokens,
+      user,
+      two_factor_enrollment_required: await isTwoFactorRequired(user.role),
+      // Silinmə gözləyir: frontend bərpa təklif edə bilər
+      account_deletion_scheduled_for: user.deletion?.scheduled_for || null,
+    });
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+//
+// =============================
+//   Refresh / Logout
+// =============================
+
+// @desc    Refresh tokeni yenisi ilə dəyiş (rotation)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token ilə)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { tokens } = await rotateRefreshToken(req.body.refresh_token, req);
+    res.json(tokens);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Cari cihazdan çıxış (token family revoke olunur)
+// @route   POST /api/auth/logout
+// @access  Private
+router.post("/logout", protect, async (req, res) => {
+  try {
+    let family = req.auth.fid;
+
+    // Body-də refresh token gəlibsə, onun family-si bağlanır
+    if (req.body.refresh_token) {
+      const stored = await RefreshToken.findOne({
+        token_hash: hashToken(req.body.refresh_token),
+        user_id: req.user._id,
+      });
+      if (stored) family = stored.family;
+    }
+
+    if (family) await revokeFamily(family, "logout");
+
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Bütün cihazlardan çıxış
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post("/logout-all", protect, blockImpersonation, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user._id, "logout_all");
+    res.json({ message: "Logged out from all devices" });
+  } catch (err) {
+    console.error("Logout-all error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+//
+// =============================
+//   Password reset / Email verification
+// =============================
+
+// @desc    Şifrə bərpası linki göndər
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post("/forgot-password", mailLimiter, forgotPasswordEmailLimiter, async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ message: "Email tələb olunur" });
+    }
+
+    // İstifadəçinin mövcudluğunu cavabda bildirmirik. Məktub cavabdan sonra
+    // göndərilir ki, cavab müddəti də email-in varlığını bildirməsin.
+    const user = await User.findOne({ email });
+
+    res.json({
+      message: "Əgər bu email qeydiyyatdadırsa, bərpa linki göndərildi",
+    });
+
+    if (user && user.is_active) sendPasswordResetEmail(user);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Token ilə yeni şifrə təyin et
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token və yeni şifrə tələb olunur" });
+    }
+    if (String(password).length < 6) {
+      return res.status(400).json({ message: "Şifrə ən azı 6 simvol olmalıdır" });
+    }
+
+    const userToken = await consumeUserToken(token, "password_reset");
+    if (!userToken) {
+      return res.status(400).json({ message: "Token etibarsızdır və ya vaxtı keçib" });
+    }
+
+    const user = await User.findById(userToken.user_id).select("+password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // password schema-da avtomatik hash olunur
+    user.password = password;
+    await user.save();
+
+    // Köhnə sessiyalar bağlansın
+    await revokeAllUserTokens(user._id, "password_reset");
+
+    res.json({ message: "Şifrə uğurla yeniləndi" });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    E-poçtu təsdiqlə
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post("/verify-email", async (req, res) => {
+  try {
+    if (!req.body.token) {
+      return res.status(400).json({ message: "Token tələb olunur" });
+    }
+
+    const userToken = await consumeUserToken(req.body.token, "email_verification");
+    if (!userToken) {
+      return res.status(400).json({ message: "Token etibarsızdır və ya vaxtı keçib" });
+    }
+
+    await User.updateOne(
+      { _id: userToken.user_id },
+      { $set: { is_email_verified: true } }
+    );
+
+    res.json({ message: "E-poçt təsdiqləndi" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Təsdiq məktubunu yenidən göndər
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+router.post("/verify-email/resend", mailLimiter, protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!user.email) {
+      return res.status(400).json({ message: "Hesabda e-poçt yoxdur" });
+    }
+
+    if (user.is_email_verified) {
+      return res.status(400).json({ message: "E-poçt artıq təsdiqlənib" });
+    }
+
+    const token = await createUserToken(user._id, "email_verification");
+    await sendMail(mailTemplates.emailVerification(user, token));
+
+    res.json({ message: "Təsdiq məktubu göndərildi" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 router.get("/me", protect, async (req, res) => {
   try {
     if (!req.user) return res.status(404).json({ message: "User not found" });
@@ -9,7 +9,8 @@ const {
   paginated,
   forbidden,
 } = require("../utils/response");
-const { protect, adminOnly, optionalAuth } = require("../middleware/auth");
+const { protect, requirePermission, optionalAuth } = require("../middleware/auth");
+const { hasPermission } = require("../config/permissions");
 const {
   validateBlog,
   validatePagination,
@@ -177,7 +178,10 @@ router.put(
       }
 
       // Check if user owns the blog or is admin
-      if (blog.author_id !== req.user.id && req.user.role !== "admin") {
+      if (
+        String(blog.author_id) !== req.user.id &&
+        !hasPermission(req.user, "blogs:moderate")
+      ) {
         return forbidden(res, "Not authorized to update this blog");
       }
 
@@ -208,7 +212,10 @@ router.delete("/:id", protect, validateObjectId, async (req, res) => {
     }
 
     // Check if user owns the blog or is admin
-    if (blog.author_id !== req.user.id && req.user.role !== "admin") {
+    if (
+      String(blog.author_id) !== req.user.id &&
+      !hasPermission(req.user, "blogs:moderate")
+    ) {
       return forbidden(res, "Not authorized to delete this blog");
     }
 
@@ -261,7 +268,7 @@ router.get("/my/posts", protect, validatePagination, async (req, res) => {
 // @desc    Get blog statistics
 // @route   GET /api/blogs/stats/overview
 // @access  Private/Admin
-router.get("/stats/overview", protect, adminOnly, async (req, res) => {
+router.get("/stats/overview", protect, requirePermission("dashboard:read"), async (req, res) => {
   try {
     const [totalBlogs, publishedBlogs, unpublishedBlogs, recentBlogs] =
       await Promise.all([
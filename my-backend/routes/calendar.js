@@ -0,0 +1,189 @@
+const express = require("express");
+const crypto = require("crypto");
+const User = require("../models/User");
+const Venue = require("../models/Venue");
+const Appointment = require("../models/Appointment");
+const CalendarFeed = require("../models/CalendarFeed");
+const {
+  success,
+  error,
+  created,
+  notFound,
+  badRequest,
+  forbidden,
+} = require("../utils/response");
+const { protect, blockImpersonation } = require("../middleware/auth");
+const { hashToken } = require("../utils/auth");
+const { canManageVenueAppointments } = require("../utils/venueAccess");
+const { getVenueTimeZone } = require("../utils/schedule");
+const { buildEvent, buildCalendar, sendCalendar } = require("../utils/ical");
+
+const router = express.Router();
+
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 8001}`;
+
+// Feed-ə düşən aralıq: keçmiş FEED_PAST_DAYS gün və bütün gələcək
+const FEED_PAST_DAYS = 90;
+const FEED_LIMIT = 1000;
+
+// Venue təqvimində təsdiqlənmiş rezervasiyalar; ləğv olunanlar CANCELLED
+// kimi qalır ki, abunə olan təqvim hadisəni silsin
+const VENUE_FEED_STATUSES = ["confirmed", "checked_in", "completed", "no_show", "cancelled"];
+
+const feedUrls = (token) => {
+  const url = `${apiUrl()}/api/calendar/feeds/${token}.ics`;
+  return { url, webcal_url: url.replace(/^https?:/, "webcal:") };
+};
+
+// @desc    Get my calendar feeds
+// @route   GET /api/calendar/feeds
+// @access  Private
+router.get("/feeds", protect, async (req, res) => {
+  try {
+    const feeds = await CalendarFeed.find({ user_id: req.user.id, revoked_at: null }).sort({
+      created_at: -1,
+    });
+
+    success(res, feeds, "Calendar feeds retrieved successfully");
+  } catch (err) {
+    console.error("Get calendar feeds error:", err);
+    error(res, "Failed to retrieve calendar feeds", 500);
+  }
+});
+
+// @desc    Create a calendar subscription URL (replaces the previous one)
+// @route   POST /api/calendar/feeds
+// @access  Private
+router.post("/feeds", protect, blockImpersonation, async (req, res) => {
+  try {
+    const { type = "user", venue_id } = req.body;
+    if (!["user", "venue"].includes(type)) {
+      return badRequest(res, "Feed type must be user or venue");
+    }
+
+    let venue = null;
+    if (type === "venue") {
+      if (!venue_id) {
+        return badRequest(res, "Venue ID is required for a venue feed");
+      }
+      venue = await Venue.findByCustomId(venue_id).catch(() => null);
+      if (!venue) {
+        return notFound(res, "Venue not found");
+      }
+      if (!canManageVenueAppointments(req.user, venue)) {
+        return forbidden(res, "Not authorized to access this venue's calendar");
+      }
+    }
+
+    // Eyni təqvim üçün köhnə URL etibarsız olur
+    const scope = { user_id: req.user.id, type, venue_id: venue ? String(venue._id) : null };
+    await CalendarFeed.updateMany({ ...scope, revoked_at: null }, { $set: { revoked_at: new Date() } });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const feed = await CalendarFeed.create({ ...scope, token_hash: hashToken(token) });
+
+    // Token yalnız bir dəfə göstərilir
+    created(res, { ...feed.toJSON(), ...feedUrls(token) }, "Calendar feed created successfully");
+  } catch (err) {
+    console.error("Create calendar feed error:", err);
+    error(res, "Failed to create calendar feed", 500);
+  }
+});
+
+// @desc    Revoke a calendar feed
+// @route   DELETE /api/calendar/feeds/:id
+// @access  Private
+router.delete("/feeds/:id", protect, blockImpersonation, async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findByCustomId(req.params.id);
+    if (!feed || feed.revoked_at) {
+      return notFound(res, "Calendar feed not found");
+    }
+    if (feed.user_id !== req.user.id) {
+      return forbidden(res, "Not authorized to revoke this calendar feed");
+    }
+
+    feed.revoked_at = new Date();
+    await feed.save();
+
+    success(res, null, "Calendar feed revoked successfully");
+  } catch (err) {
+    console.error("Revoke calendar feed error:", err);
+    error(res, "Failed to revoke calendar feed", 500);
+  }
+});
+
+// @desc    Serve a calendar feed (tokenized, read-only)
+// @route   GET /api/calendar/feeds/:token.ics
+// @access  Public (token)
+router.get("/feeds/:token.ics", async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({
+      token_hash: hashToken(req.params.token),
+      revoked_at: null,
+    });
+    if (!feed) {
+      return notFound(res, "Calendar feed not found");
+    }
+
+    const user = await User.findById(feed.user_id).select("_id full_name role");
+    if (!user) {
+      return notFound(res, "Calendar feed not found");
+    }
+
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    let calendar;
+
+    if (feed.type === "venue") {
+      // Menecer venue-dan çıxarılıbsa feed işləmir
+      const venue = await Venue.findByCustomId(feed.venue_id);
+      if (!venue || !canManageVenueAppointments(user, venue)) {
+        return forbidden(res, "Not authorized to access this venue's calendar");
+      }
+
+      const appointments = await Appointment.find({
+        venue_id: feed.venue_id,
+        status: { $in: VENUE_FEED_STATUSES },
+        appointment_date: { $gte: since },
+      })
+        .sort({ appointment_date: 1 })
+        .limit(FEED_LIMIT);
+
+      calendar = buildCalendar({
+        name: venue.name,
+        timezone: getVenueTimeZone(venue),
+        events: appointments.map((appointment) =>
+          buildEvent(appointment, {
+            summary: [appointment.resource_name, appointment.user_name].filter(Boolean).join(": "),
+            description: appointment.purpose,
+          })
+        ),
+      });
+    } else {
+      const appointments = await Appointment.find({
+        user_id: feed.user_id,
+        appointment_date: { $gte: since },
+      })
+        .sort({ appointment_date: 1 })
+        .limit(FEED_LIMIT);
+
+      calendar = buildCalendar({
+        name: "GencFit",
+        events: appointments.map((appointment) =>
+          buildEvent(appointment, { description: appointment.purpose })
+        ),
+      });
+    }
+
+    CalendarFeed.updateOne({ _id: feed._id }, { $set: { last_accessed_at: new Date() } }).catch(
+      (err) => console.error("Calendar feed touch error:", err)
+    );
+
+    sendCalendar(res, calendar);
+  } catch (err) {
+    console.error("Serve calendar feed error:", err);
+    error(res, "Failed to load calendar feed", 500);
+  }
+});
+
+module.exports = router;
@@ -7,7 +7,7 @@ const {
   notFound,
   paginated,
 } = require("../utils/response");
-const { protect, adminOnly } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 const {
   validateContact,
   validatePagination,
@@ -41,7 +41,7 @@ router.post("/", validateContact, async (req, res) => {
 // @desc    Get all contact messages
 // @route   GET /api/contacts
 // @access  Private/Admin
-router.get("/", protect, adminOnly, validatePagination, async (req, res) => {
+router.get("/", protect, requirePermission("contacts:read"), validatePagination, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -111,7 +111,7 @@ router.get("/", protect, adminOnly, validatePagination, async (req, res) => {
 // @desc    Get single contact message
 // @route   GET /api/contacts/:id
 // @access  Private/Admin
-router.get("/:id", protect, adminOnly, validateObjectId, async (req, res) => {
+router.get("/:id", protect, requirePermission("contacts:read"), validateObjectId, async (req, res) => {
   try {
     const contact = await Contact.findByCustomId(req.params.id);
     if (!contact) {
@@ -131,7 +131,7 @@ router.get("/:id", protect, adminOnly, validateObjectId, async (req, res) => {
 router.put(
   "/:id/resolve",
   protect,
-  adminOnly,
+  requirePermission("contacts:resolve"),
   validateObjectId,
   async (req, res) => {
     try {
@@ -162,7 +162,7 @@ router.put(
 router.put(
   "/:id/unresolve",
   protect,
-  adminOnly,
+  requirePermission("contacts:resolve"),
   validateObjectId,
   async (req, res) => {
     try {
@@ -193,7 +193,7 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  adminOnly,
+  requirePermission("contacts:delete"),
   validateObjectId,
   async (req, res) => {
     try {
@@ -215,7 +215,7 @@ router.delete(
 // @desc    Get contact statistics
 // @route   GET /api/contacts/stats/overview
 // @access  Private/Admin
-router.get("/stats/overview", protect, adminOnly, async (req, res) => {
+router.get("/stats/overview", protect, requirePermission("contacts:read"), async (req, res) => {
   try {
     const [totalContacts, resolvedContacts, pendingContacts, recentContacts] =
       await Promise.all([
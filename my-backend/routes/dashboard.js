@@ -7,14 +7,14 @@ const Review = require("../models/Review");
 const Contact = require("../models/Contact");
 const Appointment = require("../models/Appointment");
 const { success, error } = require("../utils/response");
-const { protect, adminOnly } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 
 const router = express.Router();
 
 // @desc    Get dashboard statistics
 // @route   GET /api/dashboard/stats
 // @access  Private/Admin
-router.get("/stats", protect, adminOnly, async (req, res) => {
+router.get("/stats", protect, requirePermission("dashboard:read"), async (req, res) => {
   try {
     // Get basic counts
     const [
@@ -58,7 +58,7 @@ router.get("/stats", protect, adminOnly, async (req, res) => {
 // @desc    Get detailed analytics
 // @route   GET /api/dashboard/analytics
 // @access  Private/Admin
-router.get("/analytics", protect, adminOnly, async (req, res) => {
+router.get("/analytics", protect, requirePermission("dashboard:read"), async (req, res) => {
   try {
     // User analytics
     const userRegistrationTrends = await User.aggregate([
@@ -164,7 +164,7 @@ router.get("/analytics", protect, adminOnly, async (req, res) => {
 // @desc    Get recent activities
 // @route   GET /api/dashboard/activities
 // @access  Private/Admin
-router.get("/activities", protect, adminOnly, async (req, res) => {
+router.get("/activities", protect, requirePermission("dashboard:read"), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
 
@@ -216,7 +216,7 @@ router.get("/activities", protect, adminOnly, async (req, res) => {
 // @desc    Get system health
 // @route   GET /api/dashboard/health
 // @access  Private/Admin
-router.get("/health", protect, adminOnly, async (req, res) => {
+router.get("/health", protect, requirePermission("dashboard:read"), async (req, res) => {
   try {
     const health = {
       server: {
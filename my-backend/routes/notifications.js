@@ -0,0 +1,97 @@
+const express = require("express");
+const Notification = require("../models/Notification");
+const {
+  success,
+  error,
+  notFound,
+  paginated,
+  forbidden,
+} = require("../utils/response");
+const { protect } = require("../middleware/auth");
+const { validatePagination } = require("../middleware/validation");
+
+const router = express.Router();
+
+router.use(protect);
+
+// @desc    Get my in-app notifications
+// @route   GET /api/notifications?unread=true&page=&limit=
+// @access  Private
+router.get("/", validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { user_id: req.user.id };
+    if (req.query.unread === "true") {
+      query.read_at = null;
+    }
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query).sort({ created_at: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(query),
+    ]);
+
+    paginated(res, notifications, page, limit, total, "Notifications retrieved successfully");
+  } catch (err) {
+    console.error("Get notifications error:", err);
+    error(res, "Failed to retrieve notifications", 500);
+  }
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get("/unread-count", async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user_id: req.user.id, read_at: null });
+    success(res, { count }, "Unread count retrieved successfully");
+  } catch (err) {
+    console.error("Get unread count error:", err);
+    error(res, "Failed to retrieve unread count", 500);
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put("/read-all", async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user_id: req.user.id, read_at: null },
+      { $set: { read_at: new Date() } }
+    );
+    success(res, { updated: result.modifiedCount }, "Notifications marked as read");
+  } catch (err) {
+    console.error("Mark all notifications read error:", err);
+    error(res, "Failed to update notifications", 500);
+  }
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put("/:id/read", async (req, res) => {
+  try {
+    const notification = await Notification.findByCustomId(req.params.id);
+    if (!notification) {
+      return notFound(res, "Notification not found");
+    }
+    if (notification.user_id !== req.user.id) {
+      return forbidden(res, "Not authorized to update this notification");
+    }
+
+    if (!notification.read_at) {
+      notification.read_at = new Date();
+      await notification.save();
+    }
+
+    success(res, notification, "Notification marked as read");
+  } catch (err) {
+    console.error("Mark notification read error:", err);
+    error(res, "Failed to update notification", 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require("express");
+const passport = require("passport");
+const User = require("../models/User");
+const { success, error, badRequest, notFound } = require("../utils/response");
+const { protect, blockImpersonation } = require("../middleware/auth");
+const { issueTokens, signPurposeToken } = require("../utils/auth");
+const { createUserToken, consumeUserToken } = require("../utils/userTokens");
+const { isTwoFactorRequired } = require("../utils/twoFactor");
+const { providers, getProvider, getConfiguredProviders } = require("../config/oauth");
+const { isAllowedRedirect, defaultRedirect } = require("../config/cors");
+const {
+  createOAuthState,
+  readOAuthState,
+  setLinkIntent,
+  takeLinkIntent,
+  buildRedirectUrl,
+} = require("../utils/oauth");
+
+const router = express.Router();
+
+// :provider parametri üçün — yalnız konfiqurasiya olunmuş provider-lər
+const loadProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider || !provider.isConfigured()) {
+    return notFound(res, "OAuth provider is not available");
+  }
+  req.oauthProvider = provider;
+  next();
+};
+
+// Redirect yalnız CORS allowlist-dəki origin-lərə
+const resolveRedirect = (redirect) => {
+  if (!redirect) return defaultRedirect();
+  return isAllowedRedirect(redirect) ? redirect : null;
+};
+
+// @desc    Mövcud OAuth provider-lər
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+router.get("/providers", (req, res) => {
+  success(
+    res,
+    getConfiguredProviders().map((name) => ({ name, label: providers[name].label })),
+    "OAuth providers retrieved successfully"
+  );
+});
+
+// @desc    Hesaba bağlı OAuth identity-ləri
+// @route   GET /api/auth/oauth/identities
+// @access  Private
+router.get("/identities", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("identities");
+    success(res, user?.identities || [], "Linked accounts retrieved successfully");
+  } catch (err) {
+    console.error("Get identities error:", err);
+    error(res, "Failed to retrieve linked accounts", 500);
+  }
+});
+
+// @desc    Callback-dən gələn birdəfəlik kodu tokenlərə dəyiş
+// @route   POST /api/auth/oauth/exchange
+// @access  Public (birdəfəlik kod ilə)
+router.post("/exchange", async (req, res) => {
+  try {
+    const { code, device_id } = req.body;
+    if (!code) return res.status(400).json({ message: "Code is required" });
+
+    const stored = await consumeUserToken(String(code), "oauth_code");
+    if (!stored) {
+      return res.status(400).json({ message: "Code is invalid or expired" });
+    }
+
+    const user = await User.findById(stored.user_id);
+    if (!user || !user.is_active) {
+      return res.status(401).json({ message: "User not found or inactive" });
+    }
+
+    // OAuth ilə giriş də 2FA addımından keçir
+    if (user.two_factor?.enabled) {
+      return res.json({
+        two_factor_required: true,
+        challenge_token: signPurposeToken(
+          { id: user._id.toString() },
+          "2fa_challenge",
+          "5m"
+        ),
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { last_login: new Date() } });
+
+    const tokens = await issueTokens(user, req, {
+      deviceId: device_id,
+      method: stored.data?.provider,
+    });
+    res.json({
+      ...tokens,
+      user,
+      two_factor_enrollment_required: await isTwoFactorRequired(user.role),
+    });
+  } catch (err) {
+    console.error("OAuth exchange error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Provider-i hesaba bağlamaq üçün authorize URL al.
+//          Niyyət sessiya cookie-sində saxlanır: sorğu credentials ilə göndərilməli,
+//          URL isə eyni brauzerdə açılmalıdır.
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+router.post("/:provider/link", protect, blockImpersonation, loadProvider, (req, res) => {
+  const redirect = resolveRedirect(req.body.redirect);
+  if (!redirect) return badRequest(res, "Redirect URL is not allowed");
+
+  setLinkIntent(req.session, req.user._id, req.params.provider);
+  const authorizeUrl = new URL(
+    `${req.protocol}://${req.get("host")}${req.baseUrl}/${req.params.provider}`
+  );
+  authorizeUrl.searchParams.set("redirect", redirect);
+
+  success(res, { authorize_url: authorizeUrl.toString() }, "Open this URL to link the account");
+});
+
+// @desc    Provider-i hesabdan ayır
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+router.delete("/:provider", protect, blockImpersonation, async (req, res) => {
+  try {
+    const provider = req.params.provider;
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user.identities.some((i) => i.provider === provider)) {
+      return notFound(res, "This provider is not linked");
+    }
+
+    // Son giriş üsulunu silmək hesabı kilidləyər
+    const otherIdentities = user.identities.filter((i) => i.provider !== provider);
+    if (!user.password && !user.is_phone_verified && !otherIdentities.length) {
+      return badRequest(
+        res,
+        "Set a password (via forgot password) before unlinking your last sign-in method"
+      );
+    }
+
+    await User.updateOne({ _id: user._id }, { $pull: { identities: { provider } } });
+    success(res, null, "Account unlinked successfully");
+  } catch (err) {
+    console.error("Unlink provider error:", err);
+    error(res, "Failed to unlink account", 500);
+  }
+});
+
+// @desc    OAuth axınını başlat (login və ya sessiyadakı link niyyəti ilə bağlama)
+// @route   GET /api/auth/oauth/:provider?redirect=
+// @access  Public
+router.get("/:provider", loadProvider, (req, res, next) => {
+  const redirect = resolveRedirect(req.query.redirect);
+  if (!redirect) return badRequest(res, "Redirect URL is not allowed");
+
+  const linkUserId = takeLinkIntent(req.session, req.params.provider);
+  const state = createOAuthState(req.session, {
+    provider: req.params.provider,
+    redirect,
+    linkUserId,
+  });
+
+  // nonce provider-ə yönləndirmədən əvvəl sessiyaya yazılmalıdır
+  req.session.save((err) => {
+    if (err) return next(err);
+    passport.authenticate(req.params.provider, {
+      scope: req.oauthProvider.scope,
+      session: false,
+      state,
+    })(req, res, next);
+  });
+});
+
+// @desc    Provider callback: frontend-ə birdəfəlik kodla qayıt
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public (provider redirect-i)
+router.get("/:provider/callback", loadProvider, (req, res, next) => {
+  const name = req.params.provider;
+
+  try {
+    req.oauthState = readOAuthState(req.session, req.query.state, name);
+  } catch (e) {
+    return res.redirect(buildRedirectUrl(defaultRedirect(), { error: "invalid_state" }));
+  }
+
+  const { redirect, link_user_id: linkUserId } = req.oauthState;
+
+  passport.authenticate(name, { session: false }, async (err, user, info) => {
+    try {
+      if (err) {
+        console.error("OAuth callback error:", err);
+        return res.redirect(buildRedirectUrl(redirect, { error: "oauth_failed" }));
+      }
+      if (!user) {
+        return res.redirect(buildRedirectUrl(redirect, { error: info?.code || "unauthorized" }));
+      }
+
+      if (linkUserId) {
+        return res.redirect(buildRedirectUrl(redirect, { linked: name }));
+      }
+
+      if (!user.is_active) {
+        return res.redirect(buildRedirectUrl(redirect, { error: "account_inactive" }));
+      }
+
+      // Token URL-də gəzməsin: frontend kodu /exchange ilə dəyişir
+      const code = await createUserToken(user._id, "oauth_code", { provider: name });
+      res.redirect(buildRedirectUrl(redirect, { code }));
+    } catch (callbackErr) {
+      console.error("OAuth callback error:", callbackErr);
+      res.redirect(buildRedirectUrl(redirect, { error: "oauth_failed" }));
+    }
+  })(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const User = require("../models/User");
+const { success, error, badRequest, unauthorized } = require("../utils/response");
+const { issueTokens, signPurposeToken } = require("../utils/auth");
+const { isTwoFactorRequired } = require("../utils/twoFactor");
+const { normalizeAzPhone, isValidAzPhone } = require("../utils/phone");
+const { requestOtp, verifyOtp } = require("../utils/otp");
+
+const router = express.Router();
+
+// Nömrə başına limit utils/otp-dadır, bu isə IP üzrə ümumi limitdir
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+});
+
+// Kod xətalarını status kodu ilə qaytar
+const handleOtpError = (res, err) => {
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  return error(res, err.message, err.statusCode);
+};
+
+// @desc    Telefona birdəfəlik giriş kodu göndər
+// @route   POST /api/auth/otp/request
+// @access  Public
+router.post("/request", limiter, async (req, res) => {
+  try {
+    const phone = normalizeAzPhone(String(req.body.phone || "").trim());
+    if (!isValidAzPhone(phone)) {
+      return badRequest(res, "Telefon formatı yanlışdır");
+    }
+
+    const result = await requestOtp(phone);
+    success(res, { phone, ...result }, "Verification code sent");
+  } catch (err) {
+    if (err.statusCode) return handleOtpError(res, err);
+    console.error("OTP request error:", err);
+    error(res, "Failed to send verification code", 500);
+  }
+});
+
+// @desc    Kodu yoxla; istifadəçini tap və ya yarat, token ver
+// @route   POST /api/auth/otp/verify
+// @access  Public
+router.post("/verify", limiter, async (req, res) => {
+  try {
+    const { code, full_name, device_id } = req.body;
+    const phone = normalizeAzPhone(String(req.body.phone || "").trim());
+    if (!isValidAzPhone(phone) || !code) {
+      return badRequest(res, "Phone and code are required");
+    }
+
+    await verifyOtp(phone, code);
+
+    // Yalnız bu nömrəni təsdiqləmiş hesab; profildə yazılmış nömrə hesaba giriş vermir
+    let user = await User.findOne({ phone, is_phone_verified: true });
+    const isNewUser = !user;
+
+    if (!user) {
+      user = await User.create({
+        phone,
+        full_name: String(full_name || "").trim() || phone,
+        is_phone_verified: true,
+      });
+    } else if (!user.is_active) {
+      return unauthorized(res, "Account is deactivated");
+    }
+
+    // Telefonla giriş də 2FA addımından keçir
+    if (user.two_factor?.enabled) {
+      return success(
+        res,
+        {
+          two_factor_required: true,
+          challenge_token: signPurposeToken(
+            { id: user._id.toString() },
+            "2fa_challenge",
+            "5m"
+          ),
+        },
+        "Two-factor verification required"
+      );
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { last_login: new Date() } });
+
+    const tokens = await issueTokens(user, req, { deviceId: device_id, method: "otp" });
+    success(
+      res,
+      {
+        ...tokens,
+        user,
+        is_new_user: isNewUser,
+        two_factor_enrollment_required: await isTwoFactorRequired(user.role),
+      },
+      "Login successful"
+    );
+  } catch (err) {
+    if (err.statusCode) return handleOtpError(res, err);
+    // Eyni nömrə ilə paralel qeydiyyat (və ya unikal indeks toqquşması)
+    if (err.code === 11000) {
+      return error(res, "An account with this phone number already exists", 409);
+    }
+    console.error("OTP verify error:", err);
+    error(res, "Failed to verify code", 500);
+  }
+});
+
+module.exports = router;
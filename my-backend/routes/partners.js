@@ -1,7 +1,13 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Partner = require("../models/Partner");
 const Lead = require("../models/Lead")
+const Review = require("../models/Review");
+const User = require("../models/User");
 const rateLimit = require("express-rate-limit");
+const upload = require("../middleware/imageUpload");
+const { normalizeAzPhone } = require("../utils/phone");
+const { sendSMS } = require("../utils/sms");
 
 
 // const {generateToken} = require("../utils/auth")
@@ -11,8 +17,9 @@ const {
   created,
   notFound,
   paginated,
+  badRequest,
 } = require("../utils/response");
-const { protect, adminOnly, optionalAuth } = require("../middleware/auth");
+const { protect, requirePermission, optionalAuth } = require("../middleware/auth");
 const {
   validatePartner,
   validatePagination,
@@ -29,21 +36,6 @@ const limiter = rateLimit({
   max: 10,
 });
 
-function normalizeAzPhone(input) {
-  // +99450xxxxxxx, 050xxxxxxx, 50xxxxxxx -> +99450xxxxxxx
-  let p = (input || "").replace(/[^\d+]/g, "");
-  if (p.startsWith("00")) p = "+" + p.slice(2);
-  if (p.startsWith("0")) p = "+994" + p.slice(1);
-  if (/^\d{9}$/.test(p)) p = "+994" + p; // təkcə 9 rəqəm yazıbsa
-  return p;
-}
-
-// TODO: burada real SMS/Telegram inteqrasiya edə bilərsən
-async function sendSMS(to, text) {
-  // Məs: Twilio/Sinch/Nexmo SDK — hazırda no-op:
-  console.log("[SMS MOCK] to:", to, "text:", text);
-}
-
 async function notifyTelegram(message) {
   // Optional: admin-ə TG bildiriş
   if (!process.env.TG_BOT_TOKEN || !process.env.TG_CHAT_ID) return;
@@ -109,6 +101,195 @@ router.get("/", optionalAuth, validatePagination, async (req, res) => {
   }
 });
 
+// Partner portalında redaktə oluna bilən sahələr
+const SELF_EDITABLE_FIELDS = [
+  "company_name",
+  "contact_person",
+  "phone",
+  "location",
+  "description",
+  "website",
+];
+
+const claimResponse = (partner) => ({
+  partner_id: partner._id,
+  company_name: partner.company_name,
+  user: partner.claim?.user,
+  status: partner.claim?.status,
+  message: partner.claim?.message,
+  requested_at: partner.claim?.requested_at,
+  reviewed_at: partner.claim?.reviewed_at,
+  review_note: partner.claim?.review_note,
+});
+
+// Cari istifadəçiyə bağlı (təsdiqlənmiş) partner profilini yüklə
+const loadOwnPartner = async (req, res, next) => {
+  try {
+    const partner = await Partner.findOne({ user: req.user._id, is_active: true });
+    if (!partner) {
+      return notFound(res, "No approved partner profile is linked to this account");
+    }
+    req.partner = partner;
+    next();
+  } catch (err) {
+    console.error("Load own partner error:", err);
+    error(res, "Failed to load partner profile", 500);
+  }
+};
+
+// @desc    Get own partner profile
+// @route   GET /api/partners/me
+// @access  Private/Partner
+router.get("/me", protect, requirePermission("partners:manage_own"), loadOwnPartner, (req, res) => {
+  success(res, req.partner, "Partner profile retrieved successfully");
+});
+
+// @desc    Update own partner profile
+// @route   PUT /api/partners/me
+// @access  Private/Partner
+router.put("/me", protect, requirePermission("partners:manage_own"), loadOwnPartner, async (req, res) => {
+  try {
+    const partner = req.partner;
+    SELF_EDITABLE_FIELDS.forEach((field) => {
+      if (typeof req.body[field] === "string") {
+        partner[field] = req.body[field].trim();
+      }
+    });
+
+    await partner.save();
+    success(res, partner, "Partner profile updated successfully");
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return badRequest(
+        res,
+        Object.values(err.errors).map((e) => e.message).join(", ")
+      );
+    }
+    console.error("Update own partner error:", err);
+    error(res, "Failed to update partner profile", 500);
+  }
+});
+
+// @desc    Upload own partner logo (multipart/form-data)
+// @route   PUT /api/partners/me/logo
+// @access  Private/Partner
+router.put(
+  "/me/logo",
+  protect,
+  requirePermission("partners:manage_own"),
+  loadOwnPartner,
+  upload.single("image"),
+  async (req, res) => {
+    try {
+      if (!req.file) return badRequest(res, "Şəkil tapılmadı");
+
+      req.partner.image = `/uploads/${req.file.filename}`;
+      await req.partner.save();
+
+      success(res, req.partner, "Logo updated successfully");
+    } catch (err) {
+      console.error("Update partner logo error:", err);
+      error(res, "Failed to update logo", 500);
+    }
+  }
+);
+
+// @desc    Reviews left on own partner profile
+// @route   GET /api/partners/me/reviews
+// @access  Private/Partner
+router.get(
+  "/me/reviews",
+  protect,
+  requirePermission("partners:manage_own"),
+  loadOwnPartner,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const query = { entity_type: "partner", entity_id: String(req.partner._id) };
+
+      const [reviews, total] = await Promise.all([
+        Review.find(query).sort({ created_at: -1 }).skip(skip).limit(limit),
+        Review.countDocuments(query),
+      ]);
+
+      paginated(res, reviews, page, limit, total, "Partner reviews retrieved successfully");
+    } catch (err) {
+      console.error("Get own partner reviews error:", err);
+      error(res, "Failed to retrieve partner reviews", 500);
+    }
+  }
+);
+
+// @desc    Leads created for own partner profile
+// @route   GET /api/partners/me/leads
+// @access  Private/Partner
+router.get(
+  "/me/leads",
+  protect,
+  requirePermission("partners:manage_own"),
+  loadOwnPartner,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const query = { partner: req.partner._id };
+      if (["new", "contacted", "done"].includes(req.query.status)) {
+        query.status = req.query.status;
+      }
+
+      const [leads, total] = await Promise.all([
+        Lead.find(query).select("-ip").sort({ createdAt: -1 }).skip(skip).limit(limit),
+        Lead.countDocuments(query),
+      ]);
+
+      paginated(res, leads, page, limit, total, "Partner leads retrieved successfully");
+    } catch (err) {
+      console.error("Get own partner leads error:", err);
+      error(res, "Failed to retrieve partner leads", 500);
+    }
+  }
+);
+
+// @desc    Own partner claims
+// @route   GET /api/partners/my/claims
+// @access  Private
+router.get("/my/claims", protect, async (req, res) => {
+  try {
+    const partners = await Partner.find({ "claim.user": req.user._id });
+    success(res, partners.map(claimResponse), "Your claims retrieved successfully");
+  } catch (err) {
+    console.error("Get own claims error:", err);
+    error(res, "Failed to retrieve your claims", 500);
+  }
+});
+
+// @desc    List partner claims
+// @route   GET /api/partners/claims
+// @access  Private/Admin
+router.get("/claims", protect, requirePermission("partners:write"), async (req, res) => {
+  try {
+    const status = ["pending", "approved", "rejected"].includes(req.query.status)
+      ? req.query.status
+      : "pending";
+
+    const partners = await Partner.find({ "claim.status": status })
+      .populate("claim.user", "full_name email phone")
+      .sort({ "claim.requested_at": 1 });
+
+    success(res, partners.map(claimResponse), "Partner claims retrieved successfully");
+  } catch (err) {
+    console.error("Get partner claims error:", err);
+    error(res, "Failed to retrieve partner claims", 500);
+  }
+});
+
 // @desc    Get single partner
 // @route   GET /api/partners/:id
 // @access  Public
@@ -129,7 +310,7 @@ router.get("/:id", validateObjectId, async (req, res) => {
 // @desc    Create partner
 // @route   POST /api/partners
 // @access  Private/Admin
-router.post("/", protect, adminOnly, validatePartner, async (req, res) => {
+router.post("/", protect, requirePermission("partners:write"), validatePartner, async (req, res) => {
   try {
     const {
       company_name,
@@ -184,14 +365,30 @@ router.post("/inquiries", limiter, async (req, res) => {
       return res.status(409).json({ success: false, message: "Bu nömrədən artıq sorğu var. Tezliklə əlaqə saxlayacağıq." });
     }
 
+    // Konkret partnerə ünvanlanmış sorğu (opsional)
+    let partner = null;
+    if (req.body.partner_id) {
+      partner = mongoose.isValidObjectId(req.body.partner_id)
+        ? await Partner.findByCustomId(req.body.partner_id)
+        : null;
+      if (!partner) {
+        return res.status(404).json({ success: false, message: "Partner tapılmadı" });
+      }
+    }
+
     const lead = await Lead.create({
       phone,
       source: "partners_page",
+      partner: partner ? partner._id : null,
       ip: req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || req.socket.remoteAddress,
     });
 
     // opsional: istifadəçiyə SMS qəbz
-    await sendSMS(phone, "GəncFit: Sorğunuz qəbul olundu. Operatorumuz qısa zamanda əlaqə saxlayacaq.");
+    try {
+      await sendSMS(phone, "GəncFit: Sorğunuz qəbul olundu. Operatorumuz qısa zamanda əlaqə saxlayacaq.");
+    } catch (smsErr) {
+      console.error("Inquiry SMS error:", smsErr);
+    }
 
     // opsional: komanda üçün TG bildiriş
     await notifyTelegram(`Yeni tərəfdaşlıq sorğusu:\nTelefon: ${phone}\nID: ${lead._id}`);
@@ -203,13 +400,163 @@ router.post("/inquiries", limiter, async (req, res) => {
   }
 });
 
+// @desc    Claim a partner profile for the current account
+// @route   POST /api/partners/:id/claim
+// @access  Private
+router.post("/:id/claim", protect, validateObjectId, async (req, res) => {
+  try {
+    const partner = await Partner.findByCustomId(req.params.id);
+    if (!partner) {
+      return notFound(res, "Partner not found");
+    }
+    if (partner.user) {
+      return badRequest(res, "This partner profile is already linked to an account");
+    }
+    if (partner.claim?.status === "pending") {
+      return badRequest(res, "There is already a pending claim for this partner");
+    }
+
+    const alreadyLinked = await Partner.exists({ user: req.user._id });
+    if (alreadyLinked) {
+      return badRequest(res, "Your account is already linked to a partner profile");
+    }
+
+    // Hesab yalnız bir partnerə bağlana bilər: eyni anda bir gözləyən sorğu
+    const pendingClaim = await Partner.exists({
+      "claim.user": req.user._id,
+      "claim.status": "pending",
+    });
+    if (pendingClaim) {
+      return badRequest(res, "You already have a pending claim for another partner");
+    }
+
+    partner.claim = {
+      user: req.user._id,
+      status: "pending",
+      message: String(req.body.message || "").trim(),
+      requested_at: new Date(),
+    };
+    await partner.save();
+
+    created(res, claimResponse(partner), "Claim submitted and waiting for approval");
+  } catch (err) {
+    console.error("Claim partner error:", err);
+    error(res, "Failed to submit claim", 500);
+  }
+});
+
+// @desc    Approve a partner claim
+// @route   PUT /api/partners/:id/claim/approve
+// @access  Private/Admin
+router.put(
+  "/:id/claim/approve",
+  protect,
+  requirePermission("partners:write"),
+  validateObjectId,
+  async (req, res) => {
+    try {
+      const partner = await Partner.findByCustomId(req.params.id);
+      if (!partner || partner.claim?.status !== "pending") {
+        return notFound(res, "No pending claim for this partner");
+      }
+
+      const user = await User.findById(partner.claim.user);
+      if (!user || !user.is_active) {
+        return badRequest(res, "Claiming user not found or inactive");
+      }
+
+      // Sorğudan sonra başqa partnerə bağlanıbsa ikinci bağlantı yaranmasın
+      const alreadyLinked = await Partner.exists({ user: user._id });
+      if (alreadyLinked) {
+        return badRequest(res, "The claiming account is already linked to another partner profile");
+      }
+
+      partner.user = user._id;
+      partner.claim.status = "approved";
+      partner.claim.reviewed_by = req.user._id;
+      partner.claim.reviewed_at = new Date();
+      partner.claim.review_note = String(req.body.note || "").trim();
+      await partner.save();
+
+      // Portal icazələri üçün partner rolu
+      if (user.role === "user") {
+        user.role = "partner";
+        await user.save();
+      }
+
+      success(res, claimResponse(partner), "Claim approved successfully");
+    } catch (err) {
+      console.error("Approve partner claim error:", err);
+      error(res, "Failed to approve claim", 500);
+    }
+  }
+);
+
+// @desc    Reject a partner claim
+// @route   PUT /api/partners/:id/claim/reject
+// @access  Private/Admin
+router.put(
+  "/:id/claim/reject",
+  protect,
+  requirePermission("partners:write"),
+  validateObjectId,
+  async (req, res) => {
+    try {
+      const partner = await Partner.findByCustomId(req.params.id);
+      if (!partner || partner.claim?.status !== "pending") {
+        return notFound(res, "No pending claim for this partner");
+      }
+
+      partner.claim.status = "rejected";
+      partner.claim.reviewed_by = req.user._id;
+      partner.claim.reviewed_at = new Date();
+      partner.claim.review_note = String(req.body.note || "").trim();
+      await partner.save();
+
+      success(res, claimResponse(partner), "Claim rejected");
+    } catch (err) {
+      console.error("Reject partner claim error:", err);
+      error(res, "Failed to reject claim", 500);
+    }
+  }
+);
+
+// @desc    Unlink the account from a partner profile
+// @route   DELETE /api/partners/:id/user
+// @access  Private/Admin
+router.delete(
+  "/:id/user",
+  protect,
+  requirePermission("partners:write"),
+  validateObjectId,
+  async (req, res) => {
+    try {
+      const partner = await Partner.findByCustomId(req.params.id);
+      if (!partner || !partner.user) {
+        return notFound(res, "Partner has no linked account");
+      }
+
+      const userId = partner.user;
+      partner.user = null;
+      await partner.save();
+
+      await User.updateOne({ _id: userId, role: "partner" }, { $set: { role: "user" } });
+
+      success(res, null, "Partner account unlinked successfully");
+    } catch (err) {
+      console.error("Unlink partner user error:", err);
+      error(res, "Failed to unlink partner account", 500);
+    }
+  }
+);
+
 // @desc    Update partner
 // @route   PUT /api/partners/:id
 // @access  Private/Admin
 router.put(
   "/:id",
   protect,
-  adminOnly,
+  requirePermission("partners:write"),
   validateObjectId,
   validatePartner,
   async (req, res) => {
@@ -258,7 +605,7 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  adminOnly,
+  requirePermission("partners:write"),
   validateObjectId,
   async (req, res) => {
     try {
@@ -285,7 +632,7 @@ router.delete(
 router.put(
   "/:id/restore",
   protect,
-  adminOnly,
+  requirePermission("partners:write"),
   validateObjectId,
   async (req, res) => {
     try {
@@ -323,7 +670,7 @@ router.get("/types/list", async (req, res) => {
 // @desc    Get partner statistics
 // @route   GET /api/partners/stats/overview
 // @access  Private/Admin
-router.get("/stats/overview", protect, adminOnly, async (req, res) => {
+router.get("/stats/overview", protect, requirePermission("dashboard:read"), async (req, res) => {
   try {
     const [totalPartners, activePartners, recentPartners] = await Promise.all([
       Partner.countDocuments(),
@@ -0,0 +1,229 @@
+const express = require("express");
+const Appointment = require("../models/Appointment");
+const Venue = require("../models/Venue");
+const Payment = require("../models/Payment");
+const {
+  success,
+  error,
+  created,
+  notFound,
+  badRequest,
+  forbidden,
+} = require("../utils/response");
+const { protect } = require("../middleware/auth");
+const { validateObjectId } = require("../middleware/validation");
+const { hasPermission } = require("../config/permissions");
+const { canManageVenueAppointments } = require("../utils/venueAccess");
+const { EVENT_STATUS } = require("../utils/payments/status");
+const {
+  getProvider,
+  createPayment,
+  capturePayment,
+  refundPayment,
+  findOpenPayment,
+  handleWebhook,
+} = require("../utils/payments");
+
+const router = express.Router();
+
+// Rezervasiyanın venue işçisi və ya admin-dirmi?
+const canManagePayment = async (user, appointment) => {
+  if (hasPermission(user, "appointments:manage")) return true;
+  const venue = await Venue.findByCustomId(appointment.venue_id).catch(() => null);
+  return canManageVenueAppointments(user, venue);
+};
+
+const canViewPayment = async (user, appointment) =>
+  appointment.user_id === user.id || (await canManagePayment(user, appointment));
+
+// Provider xətaları (statusCode-lu) cavaba çevrilir
+const sendPaymentError = (res, err, fallback) => {
+  if (err.statusCode === 400) return badRequest(res, err.message);
+  if (err.statusCode === 404) return notFound(res, err.message);
+  if (err.statusCode === 409) return error(res, err.message, 409);
+  return error(res, fallback, 500);
+};
+
+// @desc    Payment provider webhook (signed)
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature)
+router.post("/webhook/:provider", async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+    // Naməlum və ya təkrar hadisə də 200 alır ki, provider yenidən göndərməsin
+    success(res, { handled: result.handled, reason: result.reason || null }, "Webhook received");
+  } catch (err) {
+    if (!err.statusCode) console.error("Payment webhook error:", err);
+    sendPaymentError(res, err, "Failed to process webhook");
+  }
+});
+
+// @desc    Start a payment for an appointment
+// @route   POST /api/payments
+// @access  Private (appointment owner)
+router.post("/", protect, async (req, res) => {
+  try {
+    const { appointment_id } = req.body;
+    if (!appointment_id) {
+      return badRequest(res, "Appointment ID is required");
+    }
+
+    const appointment = await Appointment.findByCustomId(appointment_id);
+    if (!appointment) {
+      return notFound(res, "Appointment not found");
+    }
+    if (appointment.user_id !== req.user.id) {
+      return forbidden(res, "Not authorized to pay for this appointment");
+    }
+    if (!["pending", "confirmed"].includes(appointment.status)) {
+      return badRequest(res, `Cannot pay for ${appointment.status} appointments`);
+    }
+    if (!appointment.price || !(appointment.price.amount > 0)) {
+      return badRequest(res, "This appointment does not require payment");
+    }
+    if (appointment.payment_status !== "unpaid" || (await findOpenPayment(appointment.id))) {
+      return error(res, "A payment for this appointment is already in progress", 409);
+    }
+
+    const payment = await createPayment(appointment);
+
+    created(res, payment, "Payment created successfully");
+  } catch (err) {
+    if (!err.statusCode) console.error("Create payment error:", err);
+    sendPaymentError(res, err, "Failed to create payment");
+  }
+});
+
+// @desc    Get payments (of an appointment, or my own)
+// @route   GET /api/payments?appointment_id=
+// @access  Private
+router.get("/", protect, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.appointment_id) {
+      const appointment = await Appointment.findByCustomId(req.query.appointment_id);
+      if (!appointment) {
+        return notFound(res, "Appointment not found");
+      }
+      if (!(await canViewPayment(req.user, appointment))) {
+        return forbidden(res, "Not authorized to view these payments");
+      }
+      query.appointment_id = appointment.id;
+    } else {
+      query.user_id = req.user.id;
+    }
+
+    const payments = await Payment.find(query).sort({ created_at: -1 }).limit(100);
+
+    success(res, payments, "Payments retrieved successfully");
+  } catch (err) {
+    console.error("Get payments error:", err);
+    error(res, "Failed to retrieve payments", 500);
+  }
+});
+
+// Mock hadisələri yalnız açıq şəkildə yandırılanda (PAYMENT_PROVIDER=mock və
+// PAYMENT_MOCK_EVENTS=true); əks halda istifadəçi öz rezervasiyasını ödənmiş edə bilərdi
+const mockEventsEnabled = () =>
+  process.env.PAYMENT_PROVIDER === "mock" && process.env.PAYMENT_MOCK_EVENTS === "true";
+
+// Payment + rezervasiya + icazə yoxlaması
+const loadPayment = async (req, res, { manage = false } = {}) => {
+  const payment = await Payment.findByCustomId(req.params.id);
+  const appointment = payment ? await Appointment.findByCustomId(payment.appointment_id) : null;
+  if (!payment || !appointment) {
+    notFound(res, "Payment not found");
+    return null;
+  }
+  const allowed = manage
+    ? await canManagePayment(req.user, appointment)
+    : await canViewPayment(req.user, appointment);
+  if (!allowed) {
+    forbidden(res, "Not authorized to access this payment");
+    return null;
+  }
+  return payment;
+};
+
+// @desc    Get a payment
+// @route   GET /api/payments/:id
+// @access  Private (owner, venue staff or admin)
+router.get("/:id", protect, validateObjectId, async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    success(res, payment, "Payment retrieved successfully");
+  } catch (err) {
+    console.error("Get payment error:", err);
+    error(res, "Failed to retrieve payment", 500);
+  }
+});
+
+// @desc    Capture an authorized payment
+// @route   POST /api/payments/:id/capture
+// @access  Private (venue staff or admin)
+router.post("/:id/capture", protect, validateObjectId, async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res, { manage: true });
+    if (!payment) return;
+
+    success(res, await capturePayment(payment), "Payment captured successfully");
+  } catch (err) {
+    if (!err.statusCode) console.error("Capture payment error:", err);
+    sendPaymentError(res, err, "Failed to capture payment");
+  }
+});
+
+// @desc    Refund a paid payment
+// @route   POST /api/payments/:id/refund
+// @access  Private (venue staff or admin)
+router.post("/:id/refund", protect, validateObjectId, async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res, { manage: true });
+    if (!payment) return;
+
+    success(res, await refundPayment(payment), "Payment refunded successfully");
+  } catch (err) {
+    if (!err.statusCode) console.error("Refund payment error:", err);
+    sendPaymentError(res, err, "Failed to refund payment");
+  }
+});
+
+// @desc    Simulate a provider event with the mock gateway (PAYMENT_MOCK_EVENTS=true only).
+//          The event is signed and goes through the same webhook handler.
+// @route   POST /api/payments/:id/mock-event  { type: "payment.authorized" }
+// @access  Private (venue staff or admin)
+router.post("/:id/mock-event", protect, validateObjectId, async (req, res) => {
+  try {
+    const provider = getProvider();
+    if (!mockEventsEnabled() || !provider.signWebhook) {
+      return notFound(res, "Route not found");
+    }
+
+    const { type } = req.body;
+    if (!EVENT_STATUS[type]) {
+      return badRequest(res, `Event type must be one of: ${Object.keys(EVENT_STATUS).join(", ")}`);
+    }
+
+    const payment = await loadPayment(req, res, { manage: true });
+    if (!payment) return;
+
+    const { body, headers } = provider.signWebhook({
+      type,
+      payment_id: payment.provider_payment_id,
+    });
+    const result = await handleWebhook(provider.name, body, headers);
+
+    success(
+      res,
+      { handled: result.handled, reason: result.reason || null, payment: result.payment },
+      "Mock event processed"
+    );
+  } catch (err) {
+    if (!err.statusCode) console.error("Mock payment event error:", err);
+    sendPaymentError(res, err, "Failed to process mock event");
+  }
+});
+
+module.exports = router;
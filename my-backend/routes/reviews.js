@@ -11,7 +11,8 @@ const {
   paginated,
   badRequest,
 } = require("../utils/response");
-const { protect, optionalAuth } = require("../middleware/auth");
+const { protect, requirePermission, optionalAuth } = require("../middleware/auth");
+const { hasPermission } = require("../config/permissions");
 const {
   validateReview,
   validatePagination,
@@ -235,7 +236,10 @@ router.delete("/:id", protect, validateObjectId, async (req, res) => {
     }
 
     // Check if user owns the review or is admin
-    if (review.user_id !== req.user.id && req.user.role !== "admin") {
+    if (
+      review.user_id !== req.user.id &&
+      !hasPermission(req.user, "reviews:moderate")
+    ) {
       return error(res, "Not authorized to delete this review", 403);
     }
 
@@ -289,13 +293,8 @@ router.get("/my/reviews", protect, validatePagination, async (req, res) => {
 // @desc    Get all reviews (admin only)
 // @route   GET /api/reviews/admin/all
 // @access  Private/Admin
-router.get("/admin/all", protect, async (req, res) => {
+router.get("/admin/all", protect, requirePermission("reviews:read_all"), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== "admin") {
-      return error(res, "Admin access required", 403);
-    }
-
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
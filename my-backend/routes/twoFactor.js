@@ -0,0 +1,243 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const { success, error, badRequest, unauthorized } = require("../utils/response");
+const { protect, requirePermission, blockImpersonation } = require("../middleware/auth");
+const { issueTokens, verifyPurposeToken, getClientIp } = require("../utils/auth");
+const { checkLoginLock, registerLoginFailure } = require("../utils/loginGuard");
+const { generateSecret, verifyTotp, buildOtpAuthUrl } = require("../utils/totp");
+const {
+  REQUIRED_ROLES_KEY,
+  getRequiredRoles,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const Setting = require("../models/Setting");
+
+const router = express.Router();
+
+// @desc    Login-in ikinci addımı: challenge token + TOTP/bərpa kodu
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token ilə)
+router.post("/verify", async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code, device_id } = req.body;
+    if (!challenge_token || (!code && !recovery_code)) {
+      return badRequest(res, "Challenge token and code are required");
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challenge_token, "2fa_challenge");
+    } catch (e) {
+      return unauthorized(res, "Challenge token is invalid or expired");
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.is_active) {
+      return unauthorized(res, "User not found or inactive");
+    }
+
+    // 2FA kodlarının brute-force-u da login kilidinə düşür
+    const ip = getClientIp(req);
+    if (await checkLoginLock(user.email, ip)) {
+      return error(res, "Too many failed login attempts. Please try again later.", 429);
+    }
+
+    const verified = await verifySecondFactor(user._id, { code, recovery_code });
+    if (!verified) {
+      await registerLoginFailure(user.email, ip, user);
+      return unauthorized(res, "Invalid two-factor code");
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { last_login: new Date() } });
+
+    const tokens = await issueTokens(user, req, {
+      deviceId: device_id,
+      method: "two_factor",
+    });
+    success(res, { ...tokens, user }, "Login successful");
+  } catch (err) {
+    console.error("2FA verify error:", err);
+    error(res, "Failed to verify two-factor code", 500);
+  }
+});
+
+// ===============================
+// BUNDAN AŞAĞISI AUTH TƏLƏB EDİR
+// ===============================
+router.use(protect);
+router.use(blockImpersonation);
+
+// @desc    2FA-nı başlat: secret və otpauth URI qaytar
+// @route   POST /api/auth/2fa/enroll
+// @access  Private
+router.post("/enroll", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.two_factor?.enabled) {
+      return badRequest(res, "Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "two_factor.pending_secret": secret } }
+    );
+
+    success(
+      res,
+      { secret, otpauth_url: buildOtpAuthUrl(secret, user.email) },
+      "Scan the QR code and confirm with a code"
+    );
+  } catch (err) {
+    console.error("2FA enroll error:", err);
+    error(res, "Failed to start two-factor enrollment", 500);
+  }
+});
+
+// @desc    Enroll-u kodla təsdiqlə və bərpa kodlarını ver
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+router.post("/confirm", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+two_factor.pending_secret");
+    const pendingSecret = user.two_factor?.pending_secret;
+    if (!pendingSecret) {
+      return badRequest(res, "Start enrollment first");
+    }
+
+    const step = verifyTotp(pendingSecret, req.body.code);
+    if (step === null) {
+      return badRequest(res, "Invalid two-factor code");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "two_factor.enabled": true,
+          "two_factor.secret": pendingSecret,
+          "two_factor.recovery_codes": hashes,
+          "two_factor.last_used_step": step,
+          "two_factor.enabled_at": new Date(),
+        },
+        $unset: { "two_factor.pending_secret": "" },
+      }
+    );
+
+    // Bərpa kodları yalnız bir dəfə göstərilir
+    success(res, { recovery_codes: codes }, "Two-factor authentication enabled");
+  } catch (err) {
+    console.error("2FA confirm error:", err);
+    error(res, "Failed to confirm two-factor authentication", 500);
+  }
+});
+
+// @desc    2FA-nı söndür (kod + şifrə; şifrəsiz hesablarda confirm: "DISABLE")
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post("/disable", async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+    if (!code && !recovery_code) {
+      return badRequest(res, "Code or recovery code is required");
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user.two_factor?.enabled) {
+      return badRequest(res, "Two-factor authentication is not enabled");
+    }
+
+    // OAuth və telefonla yaradılan hesablarda şifrə yoxdur: açıq təsdiq tələb olunur
+    if (user.password) {
+      if (!password) return badRequest(res, "Password and code are required");
+      const isMatch = await bcrypt.compare(String(password), user.password);
+      if (!isMatch) return unauthorized(res, "Invalid password or code");
+    } else if (req.body.confirm !== "DISABLE") {
+      return badRequest(res, 'Send confirm: "DISABLE" to turn off two-factor authentication');
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, recovery_code }))) {
+      return unauthorized(res, "Invalid password or code");
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "two_factor.enabled": false },
+        $unset: {
+          "two_factor.secret": "",
+          "two_factor.recovery_codes": "",
+          "two_factor.last_used_step": "",
+          "two_factor.enabled_at": "",
+        },
+      }
+    );
+
+    success(res, null, "Two-factor authentication disabled");
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    error(res, "Failed to disable two-factor authentication", 500);
+  }
+});
+
+// @desc    Yeni bərpa kodları yarat (köhnələr etibarsız olur)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post("/recovery-codes", async (req, res) => {
+  try {
+    if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+      return unauthorized(res, "Invalid two-factor code");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { "two_factor.recovery_codes": hashes } }
+    );
+
+    success(res, { recovery_codes: codes }, "Recovery codes regenerated");
+  } catch (err) {
+    console.error("2FA recovery codes error:", err);
+    error(res, "Failed to regenerate recovery codes", 500);
+  }
+});
+
+// @desc    2FA məcburi olan rollar
+// @route   GET /api/auth/2fa/policy
+// @access  Private/Admin
+router.get("/policy", requirePermission("settings:write"), async (req, res) => {
+  try {
+    success(res, { required_roles: await getRequiredRoles() }, "2FA policy retrieved");
+  } catch (err) {
+    console.error("Get 2FA policy error:", err);
+    error(res, "Failed to retrieve 2FA policy", 500);
+  }
+});
+
+// @desc    2FA məcburi olan rolları təyin et
+// @route   PUT /api/auth/2fa/policy
+// @access  Private/Admin
+router.put("/policy", requirePermission("settings:write"), async (req, res) => {
+  try {
+    const { required_roles } = req.body;
+    const allowedRoles = User.schema.path("role").enumValues;
+
+    if (
+      !Array.isArray(required_roles) ||
+      required_roles.some((r) => !allowedRoles.includes(r))
+    ) {
+      return badRequest(res, `required_roles must be a subset of: ${allowedRoles.join(", ")}`);
+    }
+
+    await Setting.setValue(REQUIRED_ROLES_KEY, required_roles, req.user._id);
+    success(res, { required_roles }, "2FA policy updated");
+  } catch (err) {
+    console.error("Update 2FA policy error:", err);
+    error(res, "Failed to update 2FA policy", 500);
+  }
+});
+
+module.exports = router;
@@ -1,43 +1,45 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../models/User");
-const { success, error, notFound, paginated } = require("../utils/response");
-const { protect, adminOnly } = require("../middleware/auth");
+const AuditLog = require("../models/AuditLog");
+const Session = require("../models/Session");
+const {
+  success,
+  error,
+  notFound,
+  paginated,
+  badRequest,
+  forbidden,
+} = require("../utils/response");
+const { protect, requirePermission, blockImpersonation } = require("../middleware/auth");
+const { ROLES, ROLE_PERMISSIONS, hasPermission } = require("../config/permissions");
+const {
+  issueTokens,
+  revokeAllUserTokens,
+  revokeFamily,
+  generateImpersonationToken,
+} = require("../utils/auth");
+const { recordAudit } = require("../utils/impersonation");
+const { unlockAccount, getAccountLock } = require("../utils/loginGuard");
+const { buildUserExport, streamExportZip } = require("../utils/dataExport");
+const { getBookingStanding } = require("../utils/bookingPolicy");
+const { normalizeAzPhone, isValidAzPhone } = require("../utils/phone");
+const { verifyOtp } = require("../utils/otp");
+const {
+  scheduleAccountDeletion,
+  restoreAccountDeletion,
+} = require("../utils/accountDeletion");
 const {
   validatePagination,
   validateObjectId,
 } = require("../middleware/validation");
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Şəkillər üçün qovluq
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) =>
-    cb(null, Date.now() + '-' + Math.round(Math.random() * 1e9) + path.extname(file.originalname))
-});
-
+const upload = require("../middleware/imageUpload");
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 3 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (!/\.jpe?g|\.png|\.webp$/.test(ext)) return cb(new Error("Yalnız JPG, PNG və WEBP"));
-    cb(null, true);
-  }
-});
-
-
-
-// Temporary public route for testing users
-router.get("/test-users", async (req, res) => {
+// Temporary route for testing users
+router.get("/test-users", protect, requirePermission("users:read"), async (req, res) => {
   try {
     const users = await User.find(); // bütün istifadəçiləri gətir
     res.json(users);
@@ -61,6 +63,7 @@ router.get("/me", protect, async (req, res) => {
       email: user.email,
       full_name: user.full_name,
       role: user.role,
+      permissions: ROLE_PERMISSIONS[user.role] || [],
       phone: user.phone || "",
       location: user.location || "",
       image: user.image,
@@ -81,7 +84,6 @@ router.get("/me", protect, async (req, res) => {
 // BUNDAN AŞAĞISI AUTH TƏLƏB EDİR
 // ===============================
 router.use(protect);
-// router.use(adminOnly); // lazım olsa aktivləşdir
 
 
 
@@ -123,6 +125,10 @@ router.put('/me/avatar', protect, upload.single('image'), async (req, res) => {
 
 
 
+// Təsdiqlənmiş nömrə (OTP girişi) yalnız kodla dəyişdirilə bilər
+const VERIFIED_PHONE_MESSAGE =
+  "Verified phone number can only be changed with a verification code (PUT /api/users/me/phone)";
+
 // @desc    Öz profil məlumatını JSON ilə yenilə (full_name, phone, location)
 // @route   PUT /api/users/me
 // @access  Private
@@ -134,7 +140,10 @@ router.put("/me", async (req, res) => {
     if (!user) return notFound(res, "User not found");
 
     if (typeof full_name === "string" && full_name.trim()) user.full_name = full_name.trim();
-    if (typeof phone === "string") user.phone = phone.trim();
+    if (typeof phone === "string" && phone.trim() !== user.phone) {
+      if (user.is_phone_verified) return badRequest(res, VERIFIED_PHONE_MESSAGE);
+      user.phone = phone.trim();
+    }
     if (typeof location === "string") user.location = location.trim();
 
     await user.save();
@@ -160,10 +169,233 @@ router.put("/me", async (req, res) => {
   }
 });
 
+// @desc    Telefon nömrəsini OTP kodu ilə təsdiqləyib dəyiş
+//          (kod əvvəlcə POST /api/auth/otp/request ilə alınır)
+// @route   PUT /api/users/me/phone
+// @access  Private
+router.put("/me/phone", blockImpersonation, async (req, res) => {
+  try {
+    const phone = normalizeAzPhone(String(req.body.phone || "").trim());
+    if (!isValidAzPhone(phone) || !req.body.code) {
+      return badRequest(res, "Phone and code are required");
+    }
+
+    await verifyOtp(phone, req.body.code);
+
+    const taken = await User.exists({ phone, is_phone_verified: true, _id: { $ne: req.user._id } });
+    if (taken) {
+      return error(res, "This phone number is already linked to another account", 409);
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) return notFound(res, "User not found");
+
+    user.phone = phone;
+    user.is_phone_verified = true;
+    await user.save();
+
+    return success(res, { phone: user.phone, is_phone_verified: true }, "Phone number verified successfully");
+  } catch (err) {
+    if (err.statusCode) return error(res, err.message, err.statusCode);
+    if (err.code === 11000) {
+      return error(res, "This phone number is already linked to another account", 409);
+    }
+    console.error("Update phone error:", err);
+    return error(res, "Failed to update phone number", 500);
+  }
+});
+
+const sessionResponse = (session, currentFamily) => ({
+  id: session._id.toString(),
+  method: session.method,
+  device_id: session.device_id,
+  user_agent: session.user_agent,
+  ip: session.ip,
+  created_at: session.created_at,
+  last_seen_at: session.last_seen_at,
+  current: session.family === currentFamily,
+});
+
+// Aktiv (revoke olunmamış) sessiyalar, sonuncu aktivlik üzrə
+const findActiveSessions = (userId) =>
+  Session.find({ user_id: userId, revoked_at: null, expires_at: { $gt: new Date() } })
+    .sort({ last_seen_at: -1 })
+    .lean();
+
+// @desc    Öz aktiv sessiyalarım (cihazlar)
+// @route   GET /api/users/me/sessions
+// @access  Private
+router.get("/me/sessions", async (req, res) => {
+  try {
+    const sessions = await findActiveSessions(req.user._id);
+    success(
+      res,
+      sessions.map((s) => sessionResponse(s, req.auth.fid)),
+      "Sessions retrieved successfully"
+    );
+  } catch (err) {
+    console.error("Get sessions error:", err);
+    error(res, "Failed to retrieve sessions", 500);
+  }
+});
+
+// @desc    Sessiyanı bağla (həmin cihazdan çıxış)
+// @route   DELETE /api/users/me/sessions/:id
+// @access  Private
+router.delete("/me/sessions/:id", blockImpersonation, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return badRequest(res, "Invalid session ID");
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+      revoked_at: null,
+    });
+    if (!session) {
+      return notFound(res, "Session not found");
+    }
+
+    await revokeFamily(session.family, "logout");
+    success(res, null, "Session revoked successfully");
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    error(res, "Failed to revoke session", 500);
+  }
+});
+
+// @desc    Xatırlatma seçimlərim
+// @route   GET /api/users/me/notification-preferences
+// @access  Private
+router.get("/me/notification-preferences", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("notification_preferences");
+    success(res, user.notification_preferences, "Notification preferences retrieved successfully");
+  } catch (err) {
+    console.error("Get notification preferences error:", err);
+    error(res, "Failed to retrieve notification preferences", 500);
+  }
+});
+
+// @desc    Xatırlatmalardan imtina və kanal seçimi
+// @route   PUT /api/users/me/notification-preferences
+// @access  Private
+router.put("/me/notification-preferences", async (req, res) => {
+  try {
+    const { reminders, channels = {} } = req.body;
+
+    const user = await User.findById(req.user._id).select("notification_preferences");
+    if (reminders !== undefined) {
+      if (typeof reminders !== "boolean") {
+        return badRequest(res, "reminders must be a boolean");
+      }
+      user.notification_preferences.reminders = reminders;
+    }
+    for (const channel of ["email", "sms", "in_app"]) {
+      if (channels[channel] === undefined) continue;
+      if (typeof channels[channel] !== "boolean") {
+        return badRequest(res, `channels.${channel} must be a boolean`);
+      }
+      user.notification_preferences.channels[channel] = channels[channel];
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    success(res, user.notification_preferences, "Notification preferences updated successfully");
+  } catch (err) {
+    console.error("Update notification preferences error:", err);
+    error(res, "Failed to update notification preferences", 500);
+  }
+});
+
+// Rezerv statusu üçün lazım olan sahələr
+const BOOKING_STANDING_FIELDS = "booking_strikes booking_strikes_reset_at booking_restricted_until";
+
+// @desc    Gec ləğv / gəlməmə qeydlərim və rezerv məhdudiyyəti
+// @route   GET /api/users/me/booking-standing
+// @access  Private
+router.get("/me/booking-standing", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(BOOKING_STANDING_FIELDS);
+    success(res, getBookingStanding(user), "Booking standing retrieved successfully");
+  } catch (err) {
+    console.error("Get booking standing error:", err);
+    error(res, "Failed to retrieve booking standing", 500);
+  }
+});
+
+// @desc    Şəxsi məlumatların ixracı (JSON və ya ZIP)
+// @route   GET /api/users/me/export?format=json|zip
+// @access  Private
+router.get("/me/export", blockImpersonation, async (req, res) => {
+  try {
+    const data = await buildUserExport(req.user._id);
+    if (!data) return notFound(res, "User not found");
+
+    const filename = `gencfit-export-${new Date().toISOString().slice(0, 10)}`;
+    if (req.query.format === "zip") {
+      return streamExportZip(data, res, `${filename}.zip`);
+    }
+
+    res.attachment(`${filename}.json`);
+    res.json(data);
+  } catch (err) {
+    console.error("Export user data error:", err);
+    if (!res.headersSent) error(res, "Failed to export user data", 500);
+  }
+});
+
+// @desc    Hesabı sil (möhlət müddətində geri qaytarmaq olar)
+// @route   DELETE /api/users/me
+// @access  Private
+router.delete("/me", blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user) return notFound(res, "User not found");
+
+    if (user.deletion?.scheduled_for) {
+      return badRequest(res, "Account deletion is already scheduled");
+    }
+
+    // Şifrəsi olan hesablarda şifrə, digərlərində açıq təsdiq tələb olunur
+    if (user.password) {
+      const isMatch = await bcrypt.compare(String(req.body.password || ""), user.password);
+      if (!isMatch) return badRequest(res, "Password is incorrect");
+    } else if (req.body.confirm !== "DELETE") {
+      return badRequest(res, 'Send confirm: "DELETE" to delete the account');
+    }
+
+    const result = await scheduleAccountDeletion(user, String(req.body.reason || ""));
+    success(res, result, "Account deletion scheduled. Log in and restore before the date to cancel it.");
+  } catch (err) {
+    console.error("Delete own account error:", err);
+    error(res, "Failed to delete account", 500);
+  }
+});
+
+// @desc    Planlaşdırılmış silinməni ləğv et
+// @route   POST /api/users/me/restore
+// @access  Private
+router.post("/me/restore", blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user?.deletion?.scheduled_for) {
+      return badRequest(res, "Account deletion is not scheduled");
+    }
+
+    await restoreAccountDeletion(user._id);
+    success(res, null, "Account deletion cancelled. Cancelled bookings are not restored.");
+  } catch (err) {
+    console.error("Restore account error:", err);
+    error(res, "Failed to restore account", 500);
+  }
+});
+
 // @desc    Şifrə dəyiş (köhnəni təsdiqlə)
 // @route   PUT /api/users/change-password
 // @access  Private
-router.put("/change-password", async (req, res) => {
+router.put("/change-password", blockImpersonation, async (req, res) => {
   try {
     const { oldPassword, newPassword } = req.body;
 
@@ -183,12 +415,16 @@ router.put("/change-password", async (req, res) => {
       return error(res, "Köhnə şifrə yanlışdır", 400);
     }
 
-    // yeni şifrəni hash edib saxla
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
+    // Hash pre-save hook-dadır (models/User)
+    user.password = newPassword;
     await user.save();
 
-    return success(res, null, "Şifrə uğurla dəyişdirildi");
+    // Digər cihazlardakı sessiyalar bağlanır, bu cihaza yeni tokenlər verilir
+    await revokeAllUserTokens(user._id, "password_change");
+    const freshUser = await User.findById(user._id);
+    const tokens = await issueTokens(freshUser, req, { deviceId: req.body.device_id });
+
+    return success(res, tokens, "Şifrə uğurla dəyişdirildi");
   } catch (err) {
     console.error("Change password error:", err);
     return error(res, "Failed to change password", 500);
@@ -201,7 +437,7 @@ router.put("/change-password", async (req, res) => {
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private/Admin
-router.get("/", validatePagination, async (req, res) => {
+router.get("/", requirePermission("users:read"), validatePagination, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -211,7 +447,7 @@ router.get("/", validatePagination, async (req, res) => {
     let query = {};
 
     // Filter by role
-    if (req.query.role && ["user", "admin"].includes(req.query.role)) {
+    if (req.query.role && ROLES.includes(req.query.role)) {
       query.role = req.query.role;
     }
 
@@ -267,9 +503,9 @@ router.get("/", validatePagination, async (req, res) => {
 // @desc    Get user statistics
 // @route   GET /api/users/stats/overview
 // @access  Private/Admin
-router.get("/stats/overview", async (req, res) => {
+router.get("/stats/overview", requirePermission("users:read"), async (req, res) => {
   try {
-    const [totalUsers, activeUsers, adminUsers, recentUsers] =
+    const [totalUsers, activeUsers, adminUsers, recentUsers, usersByRole] =
       await Promise.all([
         User.countDocuments(),
         User.countDocuments({ is_active: true }),
@@ -277,6 +513,7 @@ router.get("/stats/overview", async (req, res) => {
         User.countDocuments({
           created_at: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
         }),
+        User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
       ]);
 
     const stats = {
@@ -285,6 +522,7 @@ router.get("/stats/overview", async (req, res) => {
       inactive_users: totalUsers - activeUsers,
       admin_users: adminUsers,
       regular_users: totalUsers - adminUsers,
+      users_by_role: usersByRole,
       recent_users_30_days: recentUsers,
     };
 
@@ -295,12 +533,60 @@ router.get("/stats/overview", async (req, res) => {
   }
 });
 
+// @desc    Audit log (impersonation və s.)
+// @route   GET /api/users/audit-logs
+// @access  Private/Admin
+router.get("/audit-logs", requirePermission("audit:read"), validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.actor_id && mongoose.isValidObjectId(req.query.actor_id)) {
+      query.actor_id = req.query.actor_id;
+    }
+    if (req.query.user_id && mongoose.isValidObjectId(req.query.user_id)) {
+      query.user_id = req.query.user_id;
+    }
+    if (req.query.action) {
+      query.action = String(req.query.action);
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate("actor_id", "full_name email")
+        .populate("user_id", "full_name email")
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(query),
+    ]);
+
+    paginated(res, logs, page, limit, total, "Audit logs retrieved successfully");
+  } catch (err) {
+    console.error("Get audit logs error:", err);
+    error(res, "Failed to retrieve audit logs", 500);
+  }
+});
+
+// @desc    List roles and their permissions
+// @route   GET /api/users/roles
+// @access  Private/Admin
+router.get("/roles", requirePermission("users:read"), (req, res) => {
+  const roles = ROLES.map((role) => ({
+    role,
+    permissions: ROLE_PERMISSIONS[role],
+  }));
+  success(res, roles, "Roles retrieved successfully");
+});
+
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private/Admin
-router.get("/:id", validateObjectId, async (req, res) => {
+router.get("/:id", requirePermission("users:read"), validateObjectId, async (req, res) => {
   try {
-    const user = await User.findByCustomId(req.params.id).select("-password");
+    const user = await User.findById(req.params.id).select("-password");
     if (!user) {
       return notFound(res, "User not found");
     }
@@ -327,11 +613,11 @@ router.get("/:id", validateObjectId, async (req, res) => {
 // @desc    Update user (admin)
 // @route   PUT /api/users/:id
 // @access  Private/Admin
-router.put("/:id", validateObjectId, async (req, res) => {
+router.put("/:id", requirePermission("users:write"), validateObjectId, async (req, res) => {
   try {
     const { full_name, role, is_active, phone, location } = req.body;
 
-    const user = await User.findByCustomId(req.params.id);
+    const user = await User.findById(req.params.id);
     if (!user) {
       return notFound(res, "User not found");
     }
@@ -343,8 +629,12 @@ router.put("/:id", validateObjectId, async (req, res) => {
 
     // Update fields
     if (full_name !== undefined) user.full_name = full_name;
-    if (role !== undefined && ["user", "admin"].includes(role)) user.role = role;
+    // Rol dəyişmək ayrıca icazə tələb edir
+    if (role !== undefined && ROLES.includes(role) && hasPermission(req.user, "users:roles")) {
+      user.role = role;
+    }
     if (is_active !== undefined) user.is_active = is_active;
+    // Nömrə dəyişəndə təsdiq sıfırlanır (models/User)
     if (phone !== undefined) user.phone = phone;
     if (location !== undefined) user.location = location;
 
@@ -364,17 +654,54 @@ router.put("/:id", validateObjectId, async (req, res) => {
 
     success(res, userResponse, "User updated successfully");
   } catch (err) {
+    if (err.name === "ValidationError") {
+      return badRequest(res, Object.values(err.errors).map((e) => e.message).join(", "));
+    }
     console.error("Update user error:", err);
     error(res, "Failed to update user", 500);
   }
 });
 
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+router.put("/:id/role", requirePermission("users:roles"), validateObjectId, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return error(res, `Role must be one of: ${ROLES.join(", ")}`, 400);
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return notFound(res, "User not found");
+    }
+
+    // Admin özünü səhvən admin roldan çıxarmasın
+    if (req.user.id === user.id && role !== user.role) {
+      return error(res, "You cannot change your own role", 400);
+    }
+
+    user.role = role;
+    await user.save();
+
+    success(
+      res,
+      { id: user.id, role: user.role, permissions: ROLE_PERMISSIONS[user.role] },
+      "User role updated successfully"
+    );
+  } catch (err) {
+    console.error("Update user role error:", err);
+    error(res, "Failed to update user role", 500);
+  }
+});
+
 // @desc    Toggle user active status
 // @route   PUT /api/users/:id/toggle-active
 // @access  Private/Admin
-router.put("/:id/toggle-active", validateObjectId, async (req, res) => {
+router.put("/:id/toggle-active", requirePermission("users:write"), validateObjectId, async (req, res) => {
   try {
-    const user = await User.findByCustomId(req.params.id);
+    const user = await User.findById(req.params.id);
     if (!user) {
       return notFound(res, "User not found");
     }
@@ -400,12 +727,221 @@ router.put("/:id/toggle-active", validateObjectId, async (req, res) => {
   }
 });
 
+// @desc    Revoke all tokens of a user (oğurlanmış token üçün)
+// @route   POST /api/users/:id/revoke-tokens
+// @access  Private/Admin
+router.post("/:id/revoke-tokens", requirePermission("users:write"), validateObjectId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return notFound(res, "User not found");
+    }
+
+    await revokeAllUserTokens(user._id, "admin");
+    success(res, null, "All tokens of the user have been revoked");
+  } catch (err) {
+    console.error("Revoke user tokens error:", err);
+    error(res, "Failed to revoke user tokens", 500);
+  }
+});
+
+// @desc    Start impersonating a user (qısa ömürlü token)
+// @route   POST /api/users/:id/impersonate
+// @access  Private/Admin
+router.post(
+  "/:id/impersonate",
+  requirePermission("users:impersonate"),
+  blockImpersonation,
+  validateObjectId,
+  async (req, res) => {
+    try {
+      const reason = String(req.body.reason || "").trim();
+      if (!reason) {
+        return badRequest(res, "Reason is required for impersonation");
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user || !user.is_active) {
+        return notFound(res, "User not found or inactive");
+      }
+      if (String(user._id) === String(req.user._id)) {
+        return badRequest(res, "You cannot impersonate yourself");
+      }
+      // Adminin adından admin hüquqları ilə işləmək olmaz
+      if (hasPermission(user, "users:impersonate")) {
+        return forbidden(res, "Administrators cannot be impersonated");
+      }
+
+      const token = generateImpersonationToken(user, req.user);
+      const { exp, iat } = jwt.decode(token);
+
+      await recordAudit(req, {
+        actorId: req.user._id,
+        userId: user._id,
+        action: "impersonation.start",
+        statusCode: 200,
+        meta: { reason },
+      });
+
+      success(
+        res,
+        {
+          token,
+          token_type: "Bearer",
+          expires_in: exp - iat,
+          user: {
+            id: user._id.toString(),
+            full_name: user.full_name,
+            email: user.email,
+            role: user.role,
+          },
+        },
+        "Impersonation started"
+      );
+    } catch (err) {
+      console.error("Impersonate user error:", err);
+      error(res, "Failed to start impersonation", 500);
+    }
+  }
+);
+
+// @desc    Get active sessions of a user
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+router.get("/:id/sessions", requirePermission("users:read"), validateObjectId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id");
+    if (!user) {
+      return notFound(res, "User not found");
+    }
+
+    const sessions = await findActiveSessions(user._id);
+    success(
+      res,
+      sessions.map((s) => sessionResponse(s, req.auth.fid)),
+      "Sessions retrieved successfully"
+    );
+  } catch (err) {
+    console.error("Get user sessions error:", err);
+    error(res, "Failed to retrieve user sessions", 500);
+  }
+});
+
+// @desc    Revoke a single session of a user
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private/Admin
+router.delete("/:id/sessions/:sessionId", requirePermission("users:write"), validateObjectId, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return badRequest(res, "Invalid session ID");
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user_id: req.params.id,
+      revoked_at: null,
+    });
+    if (!session) {
+      return notFound(res, "Session not found");
+    }
+
+    await revokeFamily(session.family, "admin");
+    success(res, null, "Session revoked successfully");
+  } catch (err) {
+    console.error("Revoke user session error:", err);
+    error(res, "Failed to revoke session", 500);
+  }
+});
+
+// @desc    Get login lockout status and history
+// @route   GET /api/users/:id/lockouts
+// @access  Private/Admin
+router.get("/:id/lockouts", requirePermission("users:read"), validateObjectId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("email lockout_events");
+    if (!user) {
+      return notFound(res, "User not found");
+    }
+
+    const lockedUntil = await getAccountLock(user.email);
+    success(
+      res,
+      {
+        is_locked: Boolean(lockedUntil),
+        locked_until: lockedUntil,
+        lockout_events: user.lockout_events,
+      },
+      "Lockout status retrieved successfully"
+    );
+  } catch (err) {
+    console.error("Get user lockouts error:", err);
+    error(res, "Failed to retrieve lockout status", 500);
+  }
+});
+
+// @desc    Unlock a locked account
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+router.post("/:id/unlock", requirePermission("users:write"), validateObjectId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return notFound(res, "User not found");
+    }
+
+    await unlockAccount(user, req.user._id);
+    success(res, null, "Account unlocked successfully");
+  } catch (err) {
+    console.error("Unlock user error:", err);
+    error(res, "Failed to unlock account", 500);
+  }
+});
+
+// @desc    Get booking strikes and restriction of a user
+// @route   GET /api/users/:id/booking-standing
+// @access  Private/Admin
+router.get("/:id/booking-standing", requirePermission("users:read"), validateObjectId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(BOOKING_STANDING_FIELDS);
+    if (!user) {
+      return notFound(res, "User not found");
+    }
+
+    success(res, getBookingStanding(user), "Booking standing retrieved successfully");
+  } catch (err) {
+    console.error("Get user booking standing error:", err);
+    error(res, "Failed to retrieve booking standing", 500);
+  }
+});
+
+// @desc    Lift booking restriction and reset strike count
+// @route   DELETE /api/users/:id/booking-restriction
+// @access  Private/Admin
+router.delete("/:id/booking-restriction", requirePermission("users:write"), validateObjectId, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(BOOKING_STANDING_FIELDS);
+    if (!user) {
+      return notFound(res, "User not found");
+    }
+
+    // Köhnə qeydlər tarixçədə qalır, amma artıq hesablanmır
+    user.booking_restricted_until = null;
+    user.booking_strikes_reset_at = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    success(res, getBookingStanding(user), "Booking restriction lifted successfully");
+  } catch (err) {
+    console.error("Lift booking restriction error:", err);
+    error(res, "Failed to lift booking restriction", 500);
+  }
+});
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
-router.delete("/:id", validateObjectId, async (req, res) => {
+router.delete("/:id", requirePermission("users:delete"), validateObjectId, async (req, res) => {
   try {
-    const user = await User.findByCustomId(req.params.id);
+    const user = await User.findById(req.params.id);
     if (!user) {
       return notFound(res, "User not found");
     }
@@ -415,7 +951,7 @@ router.delete("/:id", validateObjectId, async (req, res) => {
       return error(res, "You cannot delete your own account", 400);
     }
 
-    await User.deleteOne({ id: req.params.id });
+    await User.deleteOne({ _id: user._id });
     success(res, null, "User deleted successfully");
   } catch (err) {
     console.error("Delete user error:", err);
@@ -429,7 +965,7 @@ router.delete("/:id", validateObjectId, async (req, res) => {
 router.put('/profile/:id', protect, upload.single('image'), async (req, res) => {
   try {
 
-    if (String(req.user._id) !== String(req.params.id) && req.user.role !== 'admin') {
+    if (String(req.user._id) !== String(req.params.id) && !hasPermission(req.user, "users:write")) {
       return error(res, "You are not allowed to modify this profile", 403);
     }
 
@@ -450,6 +986,13 @@ router.put('/profile/:id', protect, upload.single('image'), async (req, res) =>
       updateData.image = `/uploads/${req.file.filename}`;
     }
 
+    if (updateData.phone !== undefined) {
+      const current = await User.findById(req.params.id).select("phone is_phone_verified");
+      if (current?.is_phone_verified && current.phone !== String(updateData.phone).trim()) {
+        return badRequest(res, VERIFIED_PHONE_MESSAGE);
+      }
+    }
+
     const user = await User.findByIdAndUpdate(req.params.id, updateData, { new: true }).select("-password");
     if (!user) return notFound(res, "User not found");
 
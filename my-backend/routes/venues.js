@@ -1,13 +1,25 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Venue = require("../models/Venue");
+const User = require("../models/User");
+const Appointment = require("../models/Appointment");
 const {
   success,
   error,
   created,
   notFound,
   paginated,
+  badRequest,
+  forbidden,
 } = require("../utils/response");
-const { protect, adminOnly, optionalAuth } = require("../middleware/auth");
+const { protect, requirePermission, optionalAuth } = require("../middleware/auth");
+const { hasPermission } = require("../config/permissions");
+const {
+  canManageVenue,
+  canManageVenueStaff,
+} = require("../utils/venueAccess");
+const { sendMail } = require("../utils/mail");
+const { ACTIVE_STATUSES } = require("../utils/appointmentConflicts");
 const {
   validateVenue,
   validatePagination,
@@ -74,6 +86,22 @@ router.get("/", optionalAuth, validatePagination, async (req, res) => {
   }
 });
 
+// @desc    Get venues managed by the current user
+// @route   GET /api/venues/my/managed
+// @access  Private
+router.get("/my/managed", protect, async (req, res) => {
+  try {
+    const venues = await Venue.find({
+      $or: [{ owner_id: req.user._id }, { managers: req.user._id }],
+    }).sort({ created_at: -1 });
+
+    success(res, venues, "Managed venues retrieved successfully");
+  } catch (err) {
+    console.error("Get managed venues error:", err);
+    error(res, "Failed to retrieve managed venues", 500);
+  }
+});
+
 // @desc    Get single venue
 // @route   GET /api/venues/:id
 // @access  Public
@@ -94,7 +122,7 @@ router.get("/:id", validateObjectId, async (req, res) => {
 // @desc    Create venue
 // @route   POST /api/venues
 // @access  Private/Admin
-router.post("/", protect, adminOnly, validateVenue, async (req, res) => {
+router.post("/", protect, requirePermission("venues:write"), validateVenue, async (req, res) => {
   try {
     const {
       name,
@@ -106,9 +134,32 @@ router.post("/", protect, adminOnly, validateVenue, async (req, res) => {
       contact_phone,
       contact_email,
       image,
-      rating
+      rating,
+      owner_id,
+      opening_hours,
+      closed_dates,
+      slot_minutes,
+      booking_mode,
+      cancellation_policy,
+      pricing,
+      check_in_enabled,
+      timezone
     } = req.body;
 
+    if (owner_id) {
+      const owner = mongoose.isValidObjectId(owner_id)
+        ? await User.findById(owner_id)
+        : null;
+      if (!owner) {
+        return badRequest(res, "Owner user not found");
+      }
+      // Sahib venue-nu idarə edə bilsin
+      if (owner.role === "user") {
+        owner.role = "venue_manager";
+        await owner.save();
+      }
+    }
+
     const venue = await Venue.create({
       name,
       description,
@@ -119,13 +170,24 @@ router.post("/", protect, adminOnly, validateVenue, async (req, res) => {
       contact_phone,
       contact_email,
       image: image || "",
-      rating
+      rating,
+      owner_id: owner_id || null,
+      opening_hours,
+      closed_dates,
+      slot_minutes,
+      booking_mode,
+      cancellation_policy,
+      pricing,
+      check_in_enabled,
+      timezone
     });
 
     created(res, venue, "Venue created successfully");
   } catch (err) {
     console.error("Create venue error:", err);
-    if (err.code === 11000) {
+    if (err.name === "ValidationError") {
+      badRequest(res, Object.values(err.errors).map((e) => e.message).join(", "));
+    } else if (err.code === 11000) {
       error(res, "Venue with this name already exists", 400);
     } else {
       error(res, "Failed to create venue", 500);
@@ -135,11 +197,10 @@ router.post("/", protect, adminOnly, validateVenue, async (req, res) => {
 
 // @desc    Update venue
 // @route   PUT /api/venues/:id
-// @access  Private/Admin
+// @access  Private/Admin or venue staff
 router.put(
   "/:id",
   protect,
-  adminOnly,
   validateObjectId,
   validateVenue,
   async (req, res) => {
@@ -154,7 +215,10 @@ router.put(
         contact_phone,
         contact_email,
         image,
-        rating
+        rating,
+        booking_mode,
+        check_in_enabled,
+        timezone
       } = req.body;
 
       const venue = await Venue.findByCustomId(req.params.id);
@@ -162,6 +226,10 @@ router.put(
         return notFound(res, "Venue not found");
       }
 
+      if (!canManageVenue(req.user, venue)) {
+        return forbidden(res, "Not authorized to update this venue");
+      }
+
       // Update fields
       venue.name = name;
       venue.description = description;
@@ -172,7 +240,13 @@ router.put(
       venue.contact_phone = contact_phone;
       venue.contact_email = contact_email;
       venue.image = image || venue.image;
-      venue.rating= rating
+      if (booking_mode !== undefined) venue.booking_mode = booking_mode;
+      if (timezone !== undefined) venue.timezone = timezone;
+      if (check_in_enabled !== undefined) {
+        venue.check_in_enabled = check_in_enabled === true || check_in_enabled === "true";
+      }
+      // Reytinqi yalnız admin dəyişə bilər
+      if (hasPermission(req.user, "venues:write")) venue.rating = rating;
 
       await venue.save();
 
@@ -184,13 +258,96 @@ router.put(
   }
 );
 
+// @desc    Update venue cancellation policy
+// @route   PUT /api/venues/:id/cancellation-policy
+// @access  Private/Admin or venue staff
+router.put("/:id/cancellation-policy", protect, validateObjectId, async (req, res) => {
+  try {
+    const venue = await Venue.findByCustomId(req.params.id);
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+
+    if (!canManageVenue(req.user, venue)) {
+      return forbidden(res, "Not authorized to update this venue");
+    }
+
+    const { free_cancel_hours, late_cancel_penalty, max_reschedules } = req.body;
+    if (free_cancel_hours !== undefined) {
+      venue.cancellation_policy.free_cancel_hours = free_cancel_hours;
+    }
+    if (late_cancel_penalty !== undefined) {
+      venue.cancellation_policy.late_cancel_penalty = late_cancel_penalty === true || late_cancel_penalty === "true";
+    }
+    if (max_reschedules !== undefined) {
+      venue.cancellation_policy.max_reschedules = max_reschedules;
+    }
+
+    await venue.save();
+
+    success(res, venue.cancellation_policy, "Cancellation policy updated successfully");
+  } catch (err) {
+    if (err.name === "ValidationError" || err.name === "CastError") {
+      return badRequest(
+        res,
+        err.errors ? Object.values(err.errors).map((e) => e.message).join(", ") : err.message
+      );
+    }
+    console.error("Update cancellation policy error:", err);
+    error(res, "Failed to update cancellation policy", 500);
+  }
+});
+
+// @desc    Update venue pricing rules
+// @route   PUT /api/venues/:id/pricing
+// @access  Private/Admin or venue staff
+router.put("/:id/pricing", protect, validateObjectId, async (req, res) => {
+  try {
+    const venue = await Venue.findByCustomId(req.params.id);
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+
+    if (!canManageVenue(req.user, venue)) {
+      return forbidden(res, "Not authorized to update this venue");
+    }
+
+    const current = venue.pricing ? venue.pricing.toObject() : {};
+    const fields = [
+      "currency",
+      "hourly_rate",
+      "peak_windows",
+      "weekend_days",
+      "weekend_multiplier",
+      "per_participant_fee",
+    ];
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) current[field] = req.body[field];
+    });
+    venue.pricing = current;
+
+    await venue.save();
+
+    success(res, venue.pricing, "Pricing updated successfully");
+  } catch (err) {
+    if (err.name === "ValidationError" || err.name === "CastError") {
+      return badRequest(
+        res,
+        err.errors ? Object.values(err.errors).map((e) => e.message).join(", ") : err.message
+      );
+    }
+    console.error("Update pricing error:", err);
+    error(res, "Failed to update pricing", 500);
+  }
+});
+
 // @desc    Delete venue (soft delete)
 // @route   DELETE /api/venues/:id
 // @access  Private/Admin
 router.delete(
   "/:id",
   protect,
-  adminOnly,
+  requirePermission("venues:delete"),
   validateObjectId,
   async (req, res) => {
     try {
@@ -217,7 +374,7 @@ router.delete(
 router.put(
   "/:id/restore",
   protect,
-  adminOnly,
+  requirePermission("venues:delete"),
   validateObjectId,
   async (req, res) => {
     try {
@@ -237,10 +394,355 @@ router.put(
   }
 );
 
+// @desc    Update opening hours, closed dates, slot granularity and timezone
+// @route   PUT /api/venues/:id/schedule
+// @access  Private/Admin or venue staff
+router.put("/:id/schedule", protect, validateObjectId, async (req, res) => {
+  try {
+    const { opening_hours, closed_dates, slot_minutes, timezone } = req.body;
+
+    const venue = await Venue.findByCustomId(req.params.id);
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+    if (!canManageVenue(req.user, venue)) {
+      return forbidden(res, "Not authorized to update this venue");
+    }
+
+    if (opening_hours !== undefined) {
+      // null: iş saatı yoxdur, venue hər gün 24 saat açıqdır
+      if (opening_hours !== null && !Array.isArray(opening_hours)) {
+        return badRequest(res, "opening_hours must be an array or null");
+      }
+      venue.opening_hours = opening_hours === null ? undefined : opening_hours;
+    }
+    if (closed_dates !== undefined) {
+      if (!Array.isArray(closed_dates)) {
+        return badRequest(res, "closed_dates must be an array");
+      }
+      venue.closed_dates = closed_dates;
+    }
+    if (slot_minutes !== undefined) venue.slot_minutes = slot_minutes;
+    // İş saatları bu zonanın yerli vaxtı ilə oxunur
+    if (timezone !== undefined) venue.timezone = timezone;
+
+    await venue.save();
+
+    success(
+      res,
+      {
+        opening_hours: venue.opening_hours || null,
+        closed_dates: venue.closed_dates,
+        slot_minutes: venue.slot_minutes,
+        timezone: venue.timezone,
+      },
+      "Venue schedule updated successfully"
+    );
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return badRequest(
+        res,
+        Object.values(err.errors).map((e) => e.message).join(", ")
+      );
+    }
+    console.error("Update venue schedule error:", err);
+    error(res, "Failed to update venue schedule", 500);
+  }
+});
+
+const RESOURCE_FIELDS = [
+  "name",
+  "type",
+  "capacity",
+  "price_per_hour",
+  "pricing",
+  "booking_mode",
+  "is_active",
+];
+
+const validationMessage = (err) =>
+  Object.values(err.errors).map((e) => e.message).join(", ");
+
+// @desc    Get bookable resources (pitches, courts, rooms) of a venue
+// @route   GET /api/venues/:id/resources
+// @access  Public
+router.get("/:id/resources", validateObjectId, async (req, res) => {
+  try {
+    const venue = await Venue.findByCustomId(req.params.id).select("resources");
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+
+    const resources =
+      req.query.include_inactive === "true" ? venue.resources : venue.getActiveResources();
+
+    success(res, resources, "Venue resources retrieved successfully");
+  } catch (err) {
+    console.error("Get venue resources error:", err);
+    error(res, "Failed to retrieve venue resources", 500);
+  }
+});
+
+// @desc    Add a bookable resource to a venue
+// @route   POST /api/venues/:id/resources
+// @access  Private/Admin or venue staff
+router.post("/:id/resources", protect, validateObjectId, async (req, res) => {
+  try {
+    const venue = await Venue.findByCustomId(req.params.id);
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+    if (!canManageVenue(req.user, venue)) {
+      return forbidden(res, "Not authorized to update this venue");
+    }
+
+    const data = {};
+    RESOURCE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    venue.resources.push(data);
+    await venue.save();
+
+    created(res, venue.resources[venue.resources.length - 1], "Resource created successfully");
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return badRequest(res, validationMessage(err));
+    }
+    console.error("Create venue resource error:", err);
+    error(res, "Failed to create resource", 500);
+  }
+});
+
+// @desc    Update a venue resource
+// @route   PUT /api/venues/:id/resources/:resourceId
+// @access  Private/Admin or venue staff
+router.put("/:id/resources/:resourceId", protect, validateObjectId, async (req, res) => {
+  try {
+    const venue = await Venue.findByCustomId(req.params.id);
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+    if (!canManageVenue(req.user, venue)) {
+      return forbidden(res, "Not authorized to update this venue");
+    }
+
+    const resource = mongoose.Types.ObjectId.isValid(req.params.resourceId)
+      ? venue.resources.id(req.params.resourceId)
+      : null;
+    if (!resource) {
+      return notFound(res, "Resource not found");
+    }
+
+    RESOURCE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) resource[field] = req.body[field];
+    });
+    await venue.save();
+
+    // Köhnə rezervasiyalarda görünən adı yenilə
+    if (req.body.name !== undefined) {
+      await Appointment.updateMany(
+        { venue_id: String(venue._id), resource_id: String(resource._id) },
+        { $set: { resource_name: resource.name } }
+      );
+    }
+
+    success(res, resource, "Resource updated successfully");
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return badRequest(res, validationMessage(err));
+    }
+    console.error("Update venue resource error:", err);
+    error(res, "Failed to update resource", 500);
+  }
+});
+
+// @desc    Deactivate a venue resource (soft delete)
+// @route   DELETE /api/venues/:id/resources/:resourceId
+// @access  Private/Admin or venue staff
+router.delete("/:id/resources/:resourceId", protect, validateObjectId, async (req, res) => {
+  try {
+    const venue = await Venue.findByCustomId(req.params.id);
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+    if (!canManageVenue(req.user, venue)) {
+      return forbidden(res, "Not authorized to update this venue");
+    }
+
+    const resource = mongoose.Types.ObjectId.isValid(req.params.resourceId)
+      ? venue.resources.id(req.params.resourceId)
+      : null;
+    if (!resource || !resource.is_active) {
+      return notFound(res, "Resource not found");
+    }
+
+    // Gələcək aktiv rezervasiyası olan resurs bağlana bilməz
+    const upcoming = await Appointment.countDocuments({
+      venue_id: String(venue._id),
+      resource_id: String(resource._id),
+      status: { $in: ACTIVE_STATUSES },
+      appointment_date: { $gte: new Date() },
+    });
+    if (upcoming > 0) {
+      return badRequest(
+        res,
+        `Resource has ${upcoming} upcoming booking(s); cancel or move them first`
+      );
+    }
+
+    resource.is_active = false;
+    await venue.save();
+
+    success(res, null, "Resource deactivated successfully");
+  } catch (err) {
+    console.error("Delete venue resource error:", err);
+    error(res, "Failed to delete resource", 500);
+  }
+});
+
+const staffResponse = (user) => ({
+  id: user._id.toString(),
+  full_name: user.full_name,
+  email: user.email,
+  phone: user.phone || "",
+});
+
+// @desc    Get venue owner and managers
+// @route   GET /api/venues/:id/managers
+// @access  Private/Admin or venue staff
+router.get("/:id/managers", protect, validateObjectId, async (req, res) => {
+  try {
+    const venue = await Venue.findByCustomId(req.params.id)
+      .populate("owner_id", "full_name email phone")
+      .populate("managers", "full_name email phone");
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+
+    const plain = {
+      owner_id: venue.owner_id?._id,
+      managers: venue.managers.map((m) => m._id),
+    };
+    if (!canManageVenue(req.user, plain)) {
+      return forbidden(res, "Not authorized to view venue managers");
+    }
+
+    success(
+      res,
+      {
+        owner: venue.owner_id ? staffResponse(venue.owner_id) : null,
+        managers: venue.managers.map(staffResponse),
+      },
+      "Venue managers retrieved successfully"
+    );
+  } catch (err) {
+    console.error("Get venue managers error:", err);
+    error(res, "Failed to retrieve venue managers", 500);
+  }
+});
+
+// @desc    Invite a user as venue manager (by email)
+// @route   POST /api/venues/:id/managers
+// @access  Private/Admin or venue owner
+router.post("/:id/managers", protect, validateObjectId, async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    if (!email) {
+      return badRequest(res, "Email is required");
+    }
+
+    const venue = await Venue.findByCustomId(req.params.id);
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+    if (!canManageVenueStaff(req.user, venue)) {
+      return forbidden(res, "Only the venue owner can invite managers");
+    }
+
+    const manager = await User.findOne({ email, is_active: true });
+    if (!manager) {
+      return notFound(res, "No active user with this email");
+    }
+    if (String(venue.owner_id) === String(manager._id)) {
+      return badRequest(res, "User is already the owner of this venue");
+    }
+
+    await Venue.updateOne({ _id: venue._id }, { $addToSet: { managers: manager._id } });
+
+    // Adi istifadəçi venue meneceri roluna keçir
+    if (manager.role === "user") {
+      manager.role = "venue_manager";
+      await manager.save();
+    }
+
+    try {
+      await sendMail({
+        to: manager.email,
+        subject: `GəncFit: ${venue.name} meneceri`,
+        text: `Salam, ${manager.full_name}! Siz "${venue.name}" məkanının meneceri təyin olundunuz.`,
+      });
+    } catch (mailErr) {
+      console.error("Manager invite email error:", mailErr);
+    }
+
+    created(res, staffResponse(manager), "Manager added successfully");
+  } catch (err) {
+    console.error("Add venue manager error:", err);
+    error(res, "Failed to add venue manager", 500);
+  }
+});
+
+// @desc    Remove a venue manager
+// @route   DELETE /api/venues/:id/managers/:userId
+// @access  Private/Admin, venue owner or the manager themselves
+router.delete("/:id/managers/:userId", protect, validateObjectId, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return badRequest(res, "Invalid user ID");
+    }
+
+    const venue = await Venue.findByCustomId(req.params.id);
+    if (!venue) {
+      return notFound(res, "Venue not found");
+    }
+
+    const isSelf = String(req.user._id) === String(userId);
+    if (!isSelf && !canManageVenueStaff(req.user, venue)) {
+      return forbidden(res, "Only the venue owner can remove managers");
+    }
+
+    const result = await Venue.updateOne(
+      { _id: venue._id },
+      { $pull: { managers: userId } }
+    );
+    if (!result.modifiedCount) {
+      return notFound(res, "User is not a manager of this venue");
+    }
+
+    // Başqa venue idarə etmirsə adi istifadəçi roluna qayıdır
+    const stillManages = await Venue.exists({
+      $or: [{ owner_id: userId }, { managers: userId }],
+    });
+    if (!stillManages) {
+      await User.updateOne(
+        { _id: userId, role: "venue_manager" },
+        { $set: { role: "user" } }
+      );
+    }
+
+    success(res, null, "Manager removed successfully");
+  } catch (err) {
+    console.error("Remove venue manager error:", err);
+    error(res, "Failed to remove venue manager", 500);
+  }
+});
+
 // @desc    Get venue statistics
 // @route   GET /api/venues/stats/overview
 // @access  Private/Admin
-router.get("/stats/overview", protect, adminOnly, async (req, res) => {
+router.get("/stats/overview", protect, requirePermission("dashboard:read"), async (req, res) => {
   try {
     const [
       totalVenues,
@@ -0,0 +1,256 @@
+const express = require("express");
+const Venue = require("../models/Venue");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const {
+  success,
+  error,
+  created,
+  notFound,
+  badRequest,
+  forbidden,
+} = require("../utils/response");
+const { protect } = require("../middleware/auth");
+const { isWithinOpeningHours, getVenueTimeZone } = require("../utils/schedule");
+const { parseInTimeZone } = require("../utils/timezone");
+const { withLock, venueLockKey } = require("../utils/bookingLock");
+const { findSlotConflict, resolveResource } = require("../utils/appointmentConflicts");
+const { OPEN_STATUSES, bookFromEntry, promoteWaitlist } = require("../utils/waitlist");
+const { findBookingRestriction, restrictionMessage } = require("../utils/bookingPolicy");
+const { validateAppointment } = require("../middleware/validation");
+
+const router = express.Router();
+
+// Növbə girişi yalnız sahibinə aiddir
+const loadOwnEntry = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findByCustomId(req.params.id);
+    if (!entry) {
+      return notFound(res, "Waitlist entry not found");
+    }
+    if (entry.user_id !== req.user.id) {
+      return forbidden(res, "Not authorized to access this waitlist entry");
+    }
+    req.waitlistEntry = entry;
+    next();
+  } catch (err) {
+    console.error("Load waitlist entry error:", err);
+    error(res, "Failed to load waitlist entry", 500);
+  }
+};
+
+// @desc    Join the waitlist for a fully booked slot
+// @route   POST /api/waitlist
+// @access  Private
+router.post("/", protect, validateAppointment, async (req, res) => {
+  try {
+    const {
+      venue_id,
+      appointment_date,
+      duration_hours = 1,
+      purpose,
+      notes = "",
+      resource_id,
+      participants = 1,
+      auto_book = false,
+    } = req.body;
+
+    const restrictedUntil = await findBookingRestriction(req.user.id);
+    if (restrictedUntil) {
+      return forbidden(res, restrictionMessage(restrictedUntil));
+    }
+
+    const venue = await Venue.findByCustomId(venue_id);
+    if (!venue || venue.is_active === false) {
+      return notFound(res, "Venue not found or inactive");
+    }
+
+    const { resource, message, status } = resolveResource(venue, resource_id);
+    if (message) {
+      return status === 404 ? notFound(res, message) : badRequest(res, message);
+    }
+
+    const { capacity } = venue.getBookingRules(resource);
+    if (participants > capacity) {
+      return badRequest(res, `Participants cannot exceed capacity (${capacity})`);
+    }
+
+    // Ofsetsiz vaxt venue-nun yerli vaxtı sayılır
+    const start = parseInTimeZone(appointment_date, getVenueTimeZone(venue));
+    const end = new Date(start.getTime() + duration_hours * 60 * 60 * 1000);
+    if (!isWithinOpeningHours(venue, start, end)) {
+      return badRequest(res, "Venue is closed at the requested time");
+    }
+
+    // Slot boşdursa növbəyə ehtiyac yoxdur
+    const conflict = await findSlotConflict({
+      venue,
+      resourceId: resource?._id,
+      start,
+      end,
+      participants,
+      userId: req.user.id,
+    });
+    if (!conflict) {
+      return badRequest(res, "Time slot is available, book it directly");
+    }
+    if (conflict.appointment?.user_id === req.user.id && conflict.seats_left === 0) {
+      return badRequest(res, "You already have a booking at this time");
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      user_id: req.user.id,
+      venue_id,
+      resource_id: resource ? String(resource._id) : null,
+      start_at: start,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (existing) {
+      return badRequest(res, "You are already on the waitlist for this slot");
+    }
+
+    const entry = await WaitlistEntry.create({
+      user_id: req.user.id,
+      user_name: req.user.full_name,
+      venue_id,
+      venue_name: venue.name,
+      resource_id: resource ? String(resource._id) : null,
+      resource_name: resource ? resource.name : "",
+      start_at: start,
+      end_at: end,
+      duration_hours,
+      participants,
+      purpose: (purpose || "").trim(),
+      notes: (notes || "").trim(),
+      auto_book: auto_book === true || auto_book === "true",
+    });
+
+    // Növbədəki yer (özü daxil)
+    const position = await WaitlistEntry.countDocuments({
+      venue_id,
+      status: "waiting",
+      start_at: { $lt: end },
+      end_at: { $gt: start },
+      created_at: { $lte: entry.created_at },
+    });
+
+    created(res, { ...entry.toJSON(), position }, "Added to waitlist successfully");
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return badRequest(
+        res,
+        Object.values(err.errors).map((e) => e.message).join(", ")
+      );
+    }
+    console.error("Join waitlist error:", err);
+    error(res, "Failed to join waitlist", 500);
+  }
+});
+
+// @desc    Get my waitlist entries
+// @route   GET /api/waitlist?status=
+// @access  Private
+router.get("/", protect, async (req, res) => {
+  try {
+    const query = { user_id: req.user.id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    } else {
+      query.status = { $in: OPEN_STATUSES };
+    }
+
+    const entries = await WaitlistEntry.find(query).sort({ start_at: 1 });
+
+    success(res, entries, "Waitlist entries retrieved successfully");
+  } catch (err) {
+    console.error("Get waitlist error:", err);
+    error(res, "Failed to retrieve waitlist entries", 500);
+  }
+});
+
+// @desc    Accept a waitlist offer and book the slot
+// @route   POST /api/waitlist/:id/accept
+// @access  Private
+router.post("/:id/accept", protect, loadOwnEntry, async (req, res) => {
+  try {
+    const entry = req.waitlistEntry;
+    if (entry.status !== "offered") {
+      return badRequest(res, "There is no open offer for this entry");
+    }
+    if (entry.offer_expires_at <= new Date()) {
+      return badRequest(res, "Offer has expired");
+    }
+
+    const restrictedUntil = await findBookingRestriction(req.user.id);
+    if (restrictedUntil) {
+      return forbidden(res, restrictionMessage(restrictedUntil));
+    }
+
+    const venue = await Venue.findByCustomId(entry.venue_id);
+    if (!venue || venue.is_active === false) {
+      return notFound(res, "Venue not found or inactive");
+    }
+
+    const appointment = await withLock(venueLockKey(entry.venue_id), async () => {
+      // Təklif slotu saxlayır, amma admin əl ilə rezerv edə bilərdi
+      const conflict = await findSlotConflict({
+        venue,
+        resourceId: entry.resource_id,
+        start: entry.start_at,
+        end: entry.end_at,
+        participants: entry.participants,
+        userId: entry.user_id,
+        excludeEntryId: entry.id,
+      });
+      if (conflict) return null;
+      return bookFromEntry(entry, venue);
+    });
+
+    if (!appointment) {
+      entry.status = "expired";
+      await entry.save();
+      return badRequest(res, "Time slot is no longer available");
+    }
+
+    created(res, appointment, "Appointment booked from waitlist");
+  } catch (err) {
+    if (err.statusCode === 409) {
+      return error(res, err.message, 409);
+    }
+    console.error("Accept waitlist offer error:", err);
+    error(res, "Failed to accept offer", 500);
+  }
+});
+
+// @desc    Leave the waitlist (or decline an offer)
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+router.delete("/:id", protect, loadOwnEntry, async (req, res) => {
+  try {
+    const entry = req.waitlistEntry;
+    if (!OPEN_STATUSES.includes(entry.status)) {
+      return badRequest(res, "Waitlist entry is no longer active");
+    }
+
+    const wasOffered = entry.status === "offered";
+    entry.status = "cancelled";
+    entry.offer_expires_at = null;
+    await entry.save();
+
+    // İmtina olunan təklifin slotu növbədəki növbəti şəxsə keçir
+    if (wasOffered) {
+      await promoteWaitlist({
+        venueId: entry.venue_id,
+        resourceId: entry.resource_id,
+        start: entry.start_at,
+        end: entry.end_at,
+      }).catch((err) => console.error("Waitlist promotion error:", err));
+    }
+
+    success(res, null, "Removed from waitlist successfully");
+  } catch (err) {
+    console.error("Leave waitlist error:", err);
+    error(res, "Failed to leave waitlist", 500);
+  }
+});
+
+module.exports = router;
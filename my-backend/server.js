@@ -9,14 +9,37 @@ const rateLimit = require("express-rate-limit");
 const session = require("express-session");
 const passport = require("passport");
 require("dotenv").config();
-
-// Google OAuth strategiyan (əgər istifadə edirsənsə)
+const { corsOptions } = require("./config/cors");
+const { getProvider: getSmsProvider } = require("./utils/sms");
+const { getTransport: getMailTransport } = require("./utils/mail");
+const User = require("./models/User");
+const { registerAccountDeletionCron } = require("./cron/accountDeletionCron");
+const { registerWaitlistCron } = require("./cron/waitlistCron");
+const { registerAppointmentCron } = require("./cron/appointmentsCron");
+const { registerReminderCron } = require("./cron/reminderCron");
+
+// OAuth strategiyaları (yalnız konfiqurasiya olunmuş provider-lər)
 require("./config/passport");
 
 const app = express();
 
-// ✅ Proxy arxasında düzgün IP/cookie davranışı
-app.set("trust proxy", 1);
+// OTP kodları və bərpa linkləri production-da loga düşməsin: mock SMS provider-i
+// və ya console/file mail transportu ilə server başlamır
+if (process.env.NODE_ENV === "production") {
+  try {
+    getSmsProvider();
+    getMailTransport();
+  } catch (e) {
+    console.error("Startup configuration error:", e.message);
+    process.exit(1);
+  }
+}
+
+// ✅ Proxy arxasında düzgün IP/cookie davranışı.
+// TRUST_PROXY_HOPS: qarşıdakı proxy sayı (0 — birbaşa, proxy-siz). req.ip
+// X-Forwarded-For-dan yalnız bu qədər hop götürür, qalanı saxtalaşdırıla bilər.
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS);
+app.set("trust proxy", Number.isNaN(trustProxyHops) ? 1 : trustProxyHops);
 
 // ✅ Security middleware (CSP-ni çox sərt etmədən)
 app.use(
@@ -34,29 +57,21 @@ app.use(compression());
 app.use(morgan("combined"));
 
 // ✅ CORS (frontend domenlərini .env-dən)
-const allowedOrigins = (process.env.CORS_ORIGINS || "https://genca-deploy-uwbg.vercel.app")
-  .split(",")
-  .map((s) => s.trim());
-
-app.use(
-  cors({
-    origin: function (origin, cb) {
-      // Postman və server daxili çağırışlar üçün origin yoxdursa icazə verək
-      if (!origin) return cb(null, true);
-      if (allowedOrigins.includes(origin)) return cb(null, true);
-      return cb(new Error("CORS: origin not allowed: " + origin));
-    },
-    credentials: true,
-    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
-  })
-);
+app.use(cors(corsOptions));
 
 // Preflight
 app.options("*", cors());
 
 // ✅ Body parsing
-app.use(express.json({ limit: "10mb" }));
+// Xam gövdə ödəniş webhook-larının imzasını yoxlamaq üçün saxlanılır
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // ✅ Fayllar
@@ -102,6 +117,19 @@ app.use(passport.session());
       // options (lazım deyilsə boş burax)
     });
     console.log("MongoDB Connected:", conn.connection.host);
+
+    // Köhnə email_1 indeksini unique + sparse-ə keçir
+    if (await User.ensureEmailIndex()) {
+      console.log("Rebuilt users.email_1 index as unique + sparse");
+    }
+
+    // Fon işləri (testlərdə işə salınmır)
+    if (process.env.NODE_ENV !== "test") {
+      registerAccountDeletionCron();
+      registerWaitlistCron();
+      registerAppointmentCron();
+      registerReminderCron();
+    }
   } catch (e) {
     console.error("MongoDB connection error:", e);
     process.exit(1);
@@ -120,6 +148,9 @@ app.get("/health", (req, res) => {
 
 // ✅ Routes
 const authRoutes = require("./routes/auth");
+const twoFactorRoutes = require("./routes/twoFactor");
+const otpRoutes = require("./routes/otp");
+const oauthRoutes = require("./routes/oauth");
 const userRoutes = require("./routes/users");
 const venueRoutes = require("./routes/venues");
 const blogRoutes = require("./routes/blogs");
@@ -127,9 +158,16 @@ const partnerRoutes = require("./routes/partners");
 const reviewRoutes = require("./routes/reviews");
 const contactRoutes = require("./routes/contacts");
 const appointmentRoutes = require("./routes/appointments");
+const waitlistRoutes = require("./routes/waitlist");
+const calendarRoutes = require("./routes/calendar");
+const notificationRoutes = require("./routes/notifications");
+const paymentRoutes = require("./routes/payments");
 const dashboardRoutes = require("./routes/dashboard");
 const chatRoutes = require("./routes/chat");
 
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/auth/otp", otpRoutes);
+app.use("/api/auth/oauth", oauthRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/venues", venueRoutes);
@@ -138,6 +176,10 @@ app.use("/api/partners", partnerRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/contacts", contactRoutes);
 app.use("/api/appointments", appointmentRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/payments", paymentRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/chat", chatRoutes); // <-- /api/chat hazırdır
 
@@ -156,6 +198,7 @@ app.get("/api", (req, res) => {
       reviews: "/api/reviews",
       contacts: "/api/contacts",
       appointments: "/api/appointments",
+      waitlist: "/api/waitlist",
       dashboard: "/api/dashboard",
       chat: "/api/chat",
     },
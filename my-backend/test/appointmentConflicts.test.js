@@ -0,0 +1,43 @@
+const { overlaps } = require("../utils/schedule");
+const { buildOverlapQuery } = require("../utils/appointmentConflicts");
+
+const at = (h, m = 0) => new Date(2030, 0, 1, h, m);
+
+describe("Interval overlap", () => {
+  it("should use each booking's own duration", () => {
+    // 10:00-13:00 (3 saat) 12:30-13:30 ilə kəsişir
+    expect(overlaps(at(10), at(13), at(12, 30), at(13, 30))).toBe(true);
+    // bitiş anında başlayan rezervasiya toqquşmur
+    expect(overlaps(at(10), at(13), at(13), at(14))).toBe(false);
+    // tam içində olan
+    expect(overlaps(at(10), at(13), at(11), at(12))).toBe(true);
+  });
+
+  it("should build a query bounded by the new interval", () => {
+    const query = buildOverlapQuery({
+      venueId: "v1",
+      start: at(12, 30),
+      end: at(13, 30),
+      excludeId: "a1",
+    });
+
+    expect(query.venue_id).toBe("v1");
+    expect(query.appointment_date).toEqual({ $lt: at(13, 30) });
+    expect(query.$expr.$gt[1]).toEqual(at(12, 30));
+    expect(query.id).toEqual({ $ne: "a1" });
+    expect(query.status.$in).toEqual(["pending", "confirmed", "checked_in"]);
+  });
+
+  it("should scope resource bookings to the same resource or the whole venue", () => {
+    const query = buildOverlapQuery({
+      venueId: "v1",
+      start: at(10),
+      end: at(11),
+      resourceId: "r1",
+    });
+
+    // resurssuz rezervasiya bütün meydançaları tutur
+    expect(query.resource_id).toEqual({ $in: ["r1", null] });
+    expect(buildOverlapQuery({ venueId: "v1", start: at(10), end: at(11) }).resource_id).toBeUndefined();
+  });
+});
@@ -0,0 +1,52 @@
+const {
+  canTransition,
+  getAllowedTransitions,
+  applyTransition,
+} = require("../utils/appointmentStatus");
+
+const owner = { id: "u1", name: "Owner", type: "owner" };
+const staff = { id: "m1", name: "Manager", type: "staff" };
+
+describe("Appointment state machine", () => {
+  it("should only allow defined transitions per actor", () => {
+    expect(canTransition("pending", "confirmed", "staff")).toBe(true);
+    expect(canTransition("pending", "confirmed", "owner")).toBe(false);
+    expect(canTransition("confirmed", "cancelled", "owner")).toBe(true);
+    // admin yalnız mövcud keçidləri edə bilər
+    expect(canTransition("completed", "pending", "admin")).toBe(false);
+    expect(canTransition("cancelled", "confirmed", "admin")).toBe(false);
+
+    expect(getAllowedTransitions("confirmed", "owner")).toEqual(["cancelled"]);
+    expect(getAllowedTransitions("completed", "admin")).toEqual([]);
+  });
+
+  it("should record the actor and reason of each transition", () => {
+    const appointment = { status: "pending", status_history: [] };
+
+    applyTransition(appointment, "confirmed", { actor: staff });
+    applyTransition(appointment, "cancelled", { actor: owner, reason: " Xəstələndim " });
+
+    expect(appointment.status).toBe("cancelled");
+    expect(appointment.status_history).toEqual([
+      expect.objectContaining({ from: "pending", to: "confirmed", actor_type: "staff" }),
+      expect.objectContaining({
+        from: "confirmed",
+        to: "cancelled",
+        actor_id: "u1",
+        reason: "Xəstələndim",
+      }),
+    ]);
+  });
+
+  it("should reject invalid or forbidden transitions", () => {
+    const appointment = { status: "pending", status_history: [] };
+
+    expect(() => applyTransition(appointment, "completed", { actor: staff })).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+    expect(() => applyTransition(appointment, "confirmed", { actor: owner })).toThrow(
+      expect.objectContaining({ statusCode: 403 })
+    );
+    expect(appointment.status).toBe("pending");
+  });
+});
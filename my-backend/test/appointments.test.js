@@ -0,0 +1,121 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+const Venue = require("../models/Venue");
+const Appointment = require("../models/Appointment");
+const { generateToken } = require("../utils/auth");
+
+// Sabah + 7 gün, server vaxtı ilə verilmiş saatda
+const futureAt = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setDate(date.getDate() + 7);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+const book = (token, venueId, date, durationHours = 1) =>
+  request(app)
+    .post("/api/appointments")
+    .set("Authorization", `Bearer ${token}`)
+    .send({
+      venue_id: venueId,
+      appointment_date: date.toISOString(),
+      duration_hours: durationHours,
+      purpose: "Futbol",
+    });
+
+describe("Appointment booking conflicts", () => {
+  let user;
+  let token;
+  let venue;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connection.asPromise();
+    }
+
+    user = await User.create({
+      email: "booking-test@example.com",
+      password: "password123",
+      full_name: "Booking Test",
+    });
+    token = generateToken(user);
+
+    venue = await Venue.create({
+      name: "Booking Test Arena",
+      description: "Test venue for bookings",
+      venue_type: "sports",
+      location: "Bakı, test küçəsi",
+      capacity: 10,
+      contact_phone: "+994501234567",
+      contact_email: "arena@example.com",
+      opening_hours: [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+        day,
+        open: "00:00",
+        close: "24:00",
+      })),
+    });
+  });
+
+  afterEach(async () => {
+    await Appointment.deleteMany({ venue_id: String(venue._id) });
+  });
+
+  afterAll(async () => {
+    await User.deleteOne({ _id: user._id });
+    await Venue.deleteOne({ _id: venue._id });
+    await mongoose.connection.close();
+  });
+
+  it("should block a booking that starts inside a longer booking", async () => {
+    await book(token, venue._id, futureAt(10), 3).expect(201);
+
+    const response = await book(token, venue._id, futureAt(12, 30), 1).expect(400);
+    expect(response.body.success).toBe(false);
+  });
+
+  it("should allow back-to-back bookings", async () => {
+    await book(token, venue._id, futureAt(10), 2).expect(201);
+    await book(token, venue._id, futureAt(12), 1).expect(201);
+  });
+
+  it("should accept only one of several parallel requests for the same slot", async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => book(token, venue._id, futureAt(15), 1))
+    );
+
+    const statuses = responses.map((r) => r.status);
+    expect(statuses.filter((s) => s === 201)).toHaveLength(1);
+
+    const stored = await Appointment.countDocuments({ venue_id: String(venue._id) });
+    expect(stored).toBe(1);
+  });
+
+  it("should accept only one of parallel overlapping requests with different starts", async () => {
+    const responses = await Promise.all([
+      book(token, venue._id, futureAt(18), 2),
+      book(token, venue._id, futureAt(19), 2),
+      book(token, venue._id, futureAt(18, 30), 1),
+    ]);
+
+    expect(responses.filter((r) => r.status === 201)).toHaveLength(1);
+  });
+
+  it("should apply the overlap check when rescheduling", async () => {
+    await book(token, venue._id, futureAt(8), 2).expect(201);
+    const second = await book(token, venue._id, futureAt(11), 1).expect(201);
+
+    await request(app)
+      .put(`/api/appointments/${second.body.data.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ appointment_date: futureAt(9).toISOString() })
+      .expect(400);
+
+    await request(app)
+      .put(`/api/appointments/${second.body.data.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ appointment_date: futureAt(10).toISOString() })
+      .expect(200);
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  STRIKE_WINDOW_DAYS,
+  getCancellationTerms,
+  getRescheduleBlock,
+  getActiveStrikes,
+} = require("../utils/bookingPolicy");
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date("2030-01-10T10:00:00Z");
+const venue = {
+  cancellation_policy: { free_cancel_hours: 24, late_cancel_penalty: true, max_reschedules: 1 },
+};
+
+describe("Cancellation policy", () => {
+  it("should treat cancellations inside the window as late", () => {
+    const early = getCancellationTerms(
+      venue,
+      { appointment_date: new Date(now.getTime() + 48 * HOUR_MS) },
+      now
+    );
+    expect(early.is_late).toBe(false);
+    expect(early.penalty_applied).toBe(false);
+
+    const late = getCancellationTerms(
+      venue,
+      { appointment_date: new Date(now.getTime() + 5 * HOUR_MS) },
+      now
+    );
+    expect(late.is_late).toBe(true);
+    expect(late.penalty_applied).toBe(true);
+    expect(late.hours_before_start).toBe(5);
+
+    // Siyasəti olmayan venue-da ləğv həmişə pulsuzdur
+    expect(getCancellationTerms({}, { appointment_date: now }, now).is_late).toBe(false);
+  });
+
+  it("should block reschedules over the limit or inside the window", () => {
+    const start = new Date(now.getTime() + 48 * HOUR_MS);
+    expect(getRescheduleBlock(venue, { appointment_date: start, reschedule_count: 0 }, now)).toBeNull();
+    expect(getRescheduleBlock(venue, { appointment_date: start, reschedule_count: 1 }, now)).toMatch(
+      /at most 1/
+    );
+    expect(
+      getRescheduleBlock(
+        venue,
+        { appointment_date: new Date(now.getTime() + HOUR_MS), reschedule_count: 0 },
+        now
+      )
+    ).toMatch(/within 24 hours/);
+  });
+
+  it("should only count strikes inside the window and after a reset", () => {
+    const daysAgo = (days) => new Date(now.getTime() - days * 24 * HOUR_MS);
+    const user = {
+      booking_strikes: [
+        { type: "no_show", at: daysAgo(STRIKE_WINDOW_DAYS + 1) },
+        { type: "late_cancel", at: daysAgo(5) },
+        { type: "no_show", at: daysAgo(1) },
+      ],
+      booking_strikes_reset_at: null,
+    };
+    expect(getActiveStrikes(user, now)).toHaveLength(2);
+
+    user.booking_strikes_reset_at = daysAgo(2);
+    expect(getActiveStrikes(user, now)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,41 @@
+process.env.CHECKIN_SECRET = "test-checkin-secret";
+
+const {
+  signCheckInCode,
+  verifyCheckInCode,
+  assertCheckInAllowed,
+} = require("../utils/checkIn");
+
+const MINUTE_MS = 60 * 1000;
+const start = new Date("2030-01-01T15:00:00Z");
+const appointment = {
+  id: "a1",
+  appointment_date: start,
+  duration_hours: 2,
+  status: "confirmed",
+};
+const at = (minutes) => new Date(start.getTime() + minutes * MINUTE_MS);
+
+describe("QR check-in", () => {
+  it("should only accept the code signed for this appointment and time", () => {
+    const code = signCheckInCode(appointment);
+
+    expect(verifyCheckInCode(appointment, code)).toBe(true);
+    expect(verifyCheckInCode({ ...appointment, id: "a2" }, code)).toBe(false);
+    // Vaxt dəyişəndə köhnə kod işləmir
+    expect(verifyCheckInCode({ ...appointment, appointment_date: at(60) }, code)).toBe(false);
+    expect(verifyCheckInCode(appointment, `${code.slice(0, -2)}xx`)).toBe(false);
+  });
+
+  it("should enforce the window around the start", () => {
+    const code = signCheckInCode(appointment);
+
+    expect(() => assertCheckInAllowed(appointment, code, at(-45))).toThrow(/opens at/);
+    expect(() => assertCheckInAllowed(appointment, code, at(-10))).not.toThrow();
+    expect(() => assertCheckInAllowed(appointment, code, at(50))).not.toThrow();
+    expect(() => assertCheckInAllowed(appointment, code, at(90))).toThrow(/closed/);
+    expect(() =>
+      assertCheckInAllowed({ ...appointment, status: "pending" }, code, at(0))
+    ).toThrow(/pending/);
+  });
+});
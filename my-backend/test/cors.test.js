@@ -0,0 +1,16 @@
+process.env.CORS_ORIGINS = "https://app.gencfit.az, http://localhost:3000";
+const { isAllowedRedirect } = require("../config/cors");
+
+describe("OAuth redirect allowlist", () => {
+  it("should accept URLs on allowed origins", () => {
+    expect(isAllowedRedirect("https://app.gencfit.az/auth/callback")).toBe(true);
+    expect(isAllowedRedirect("http://localhost:3000/?next=/profile")).toBe(true);
+  });
+
+  it("should reject other origins and schemes", () => {
+    expect(isAllowedRedirect("https://evil.example/auth")).toBe(false);
+    expect(isAllowedRedirect("https://app.gencfit.az.evil.example/")).toBe(false);
+    expect(isAllowedRedirect("javascript:alert(1)")).toBe(false);
+    expect(isAllowedRedirect("/relative/path")).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+const sms = require("../utils/sms");
+const mail = require("../utils/mail");
+
+describe("SMS and mail providers in production", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.NODE_ENV = "production";
+    sms.setProvider(null);
+    mail.setTransport(null);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    sms.setProvider(null);
+    mail.setTransport(null);
+  });
+
+  it("should refuse the mock SMS provider, also when it is the default", () => {
+    delete process.env.SMS_PROVIDER;
+    expect(() => sms.getProvider()).toThrow("SMS_PROVIDER must be a real provider");
+
+    process.env.SMS_PROVIDER = "mock";
+    expect(() => sms.getProvider()).toThrow("SMS_PROVIDER must be a real provider");
+  });
+
+  it("should refuse the console and file mail transports", () => {
+    delete process.env.MAIL_TRANSPORT;
+    expect(() => mail.getTransport()).toThrow("MAIL_TRANSPORT must be a real transport");
+
+    process.env.MAIL_TRANSPORT = "file";
+    expect(() => mail.getTransport()).toThrow("MAIL_TRANSPORT must be a real transport");
+  });
+
+  it("should accept a configured SMTP transport", () => {
+    process.env.MAIL_TRANSPORT = "smtp";
+    process.env.SMTP_HOST = "smtp.example.com";
+    expect(mail.getTransport().name).toBe("smtp");
+  });
+});
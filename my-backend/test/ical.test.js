@@ -0,0 +1,69 @@
+const { buildEvent, buildCalendar, escapeText, foldLine } = require("../utils/ical");
+const { applyTransition } = require("../utils/appointmentStatus");
+
+const appointment = {
+  id: "a1",
+  venue_name: "Mərkəzi Stadion",
+  resource_name: "Meydança 1",
+  appointment_date: new Date("2030-01-01T15:00:00Z"),
+  duration_hours: 2,
+  status: "confirmed",
+  status_history: [{ to: "pending" }, { to: "confirmed" }],
+  reschedule_count: 1,
+};
+
+describe("iCalendar export", () => {
+  it("should build an RFC 5545 event with UTC times", () => {
+    const body = buildCalendar({
+      events: [buildEvent(appointment, { description: "Futbol; dostlarla, 10 nəfər" })],
+    });
+    const lines = body.split("\r\n");
+
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(body.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        "DTSTART:20300101T150000Z",
+        "DTEND:20300101T170000Z",
+        "STATUS:CONFIRMED",
+        "SEQUENCE:3",
+        "LOCATION:Mərkəzi Stadion\\, Meydança 1",
+        "DESCRIPTION:Futbol\\; dostlarla\\, 10 nəfər",
+      ])
+    );
+    expect(lines.find((l) => l.startsWith("UID:"))).toMatch(/^UID:a1@/);
+  });
+
+  it("should mark cancelled bookings and bump the sequence", () => {
+    const cancelled = buildEvent({
+      ...appointment,
+      status: "cancelled",
+      status_history: [...appointment.status_history, { to: "cancelled" }],
+    });
+    expect(cancelled).toContain("STATUS:CANCELLED");
+    expect(cancelled).toContain("SEQUENCE:4");
+  });
+
+  it("should keep a booking cancelled by its owner in the feed as CANCELLED", () => {
+    // DELETE /api/appointments/:id rezervasiyanı silmir, state machine ilə ləğv edir
+    const booking = { ...appointment, status_history: [...appointment.status_history] };
+    const before = buildEvent(booking);
+
+    applyTransition(booking, "cancelled", { actor: { id: "u1", name: "Owner", type: "owner" } });
+    const after = buildEvent(booking);
+
+    expect(after).toContain("STATUS:CANCELLED");
+    const sequence = (lines) => parseInt(lines.find((l) => l.startsWith("SEQUENCE:")).slice(9));
+    expect(sequence(after)).toBeGreaterThan(sequence(before));
+  });
+
+  it("should escape text and fold long lines without splitting characters", () => {
+    expect(escapeText("a\\b\nc")).toBe("a\\\\b\\nc");
+
+    const folded = foldLine(`SUMMARY:${"ə".repeat(60)}`);
+    folded.split("\r\n").forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, "")).toBe(`SUMMARY:${"ə".repeat(60)}`);
+  });
+});
@@ -0,0 +1,101 @@
+const { EventEmitter } = require("events");
+const AuditLog = require("../models/AuditLog");
+const { blockImpersonation } = require("../middleware/auth");
+const { applyImpersonation, IMPERSONATION_HEADER } = require("../utils/impersonation");
+const userRoutes = require("../routes/users");
+const authRoutes = require("../routes/auth");
+const calendarRoutes = require("../routes/calendar");
+
+const actor = { _id: { toString: () => "admin-1" } };
+
+// Express cavabının test üçün minimal forması (finish hadisəsi ilə)
+const mockRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.body = null;
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Route-un middleware zəncirində blockImpersonation varmı?
+const isBlocked = (router, method, path) => {
+  const layer = router.stack.find(
+    (l) => l.route && l.route.path === path && l.route.methods[method]
+  );
+  if (!layer) throw new Error(`Route not found: ${method.toUpperCase()} ${path}`);
+  return layer.route.stack.some((l) => l.handle === blockImpersonation);
+};
+
+describe("Impersonation", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should reject sensitive actions while impersonating", () => {
+    const res = mockRes();
+    const next = jest.fn();
+
+    blockImpersonation({ impersonator: actor }, res, next);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe("IMPERSONATION_FORBIDDEN");
+    expect(next).not.toHaveBeenCalled();
+
+    blockImpersonation({}, mockRes(), next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("should guard password, session, export, deletion and feed routes", () => {
+    expect(isBlocked(userRoutes, "put", "/change-password")).toBe(true);
+    expect(isBlocked(userRoutes, "put", "/me/phone")).toBe(true);
+    expect(isBlocked(userRoutes, "delete", "/me/sessions/:id")).toBe(true);
+    expect(isBlocked(userRoutes, "get", "/me/export")).toBe(true);
+    expect(isBlocked(userRoutes, "delete", "/me")).toBe(true);
+    expect(isBlocked(authRoutes, "post", "/logout-all")).toBe(true);
+    expect(isBlocked(calendarRoutes, "post", "/feeds")).toBe(true);
+    expect(isBlocked(calendarRoutes, "delete", "/feeds/:id")).toBe(true);
+  });
+
+  it("should flag responses and audit write requests", () => {
+    const create = jest.spyOn(AuditLog, "create").mockResolvedValue({});
+
+    const postReq = { method: "POST", originalUrl: "/api/appointments", headers: {}, user: { _id: "u1" } };
+    const postRes = mockRes();
+    applyImpersonation(postReq, postRes, actor);
+    postRes.json({ success: true });
+
+    expect(postRes.headers[IMPERSONATION_HEADER]).toBe("admin-1");
+    expect(postRes.body.impersonation).toEqual({ active: true, impersonator_id: "admin-1" });
+
+    postRes.statusCode = 201;
+    postRes.emit("finish");
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        actor_id: actor._id,
+        user_id: "u1",
+        action: "impersonation.write",
+        method: "POST",
+        path: "/api/appointments",
+        status_code: 201,
+      })
+    );
+
+    // Oxuma sorğuları audit-ə yazılmır
+    create.mockClear();
+    const getRes = mockRes();
+    applyImpersonation({ method: "GET", originalUrl: "/api/users/me", headers: {} }, getRes, actor);
+    getRes.emit("finish");
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const LoginThrottle = require("../models/LoginThrottle");
+const {
+  MAX_EMAIL_ATTEMPTS,
+  lockDuration,
+  checkLoginLock,
+  registerLoginFailure,
+  registerLoginSuccess,
+  unlockAccount,
+  getAccountLock,
+} = require("../utils/loginGuard");
+
+const MINUTE_MS = 60 * 1000;
+const email = "lockout-test@example.com";
+const ip = "203.0.113.10";
+
+// Kilidin indən neçə dəqiqə sonra bitdiyi
+const minutesLeft = (until) => Math.round((until - Date.now()) / MINUTE_MS);
+
+const failTimes = async (count, user) => {
+  for (let i = 0; i < count; i += 1) {
+    await registerLoginFailure(email, ip, user);
+  }
+};
+
+describe("Login lockout duration", () => {
+  it("should double the lock on each lockout up to 24 hours", () => {
+    expect(lockDuration(1)).toBe(15 * MINUTE_MS);
+    expect(lockDuration(2)).toBe(30 * MINUTE_MS);
+    expect(lockDuration(3)).toBe(60 * MINUTE_MS);
+    expect(lockDuration(20)).toBe(24 * 60 * MINUTE_MS);
+  });
+});
+
+describe("Login lockout", () => {
+  let user;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGO_URL || "mongodb://localhost:27017/sports_platform_test");
+    }
+
+    user = await User.create({
+      email,
+      password: "password123",
+      full_name: "Lockout Test",
+    });
+  });
+
+  afterEach(async () => {
+    await LoginThrottle.deleteMany({ key: { $in: [`email:${email}`, `ip:${ip}`] } });
+  });
+
+  afterAll(async () => {
+    await User.deleteOne({ _id: user._id });
+    await mongoose.connection.close();
+  });
+
+  it("should lock the account after too many failures and escalate", async () => {
+    await failTimes(MAX_EMAIL_ATTEMPTS - 1, user);
+    expect(await checkLoginLock(email, ip)).toBeNull();
+
+    await failTimes(1, user);
+    const firstLock = await getAccountLock(email);
+    expect(minutesLeft(firstLock)).toBe(15);
+    expect(await checkLoginLock(email, "198.51.100.1")).toEqual(firstLock);
+
+    // Növbəti kilid iki dəfə uzundur
+    await failTimes(MAX_EMAIL_ATTEMPTS, user);
+    expect(minutesLeft(await getAccountLock(email))).toBe(30);
+
+    const saved = await User.findById(user._id);
+    expect(saved.lockout_events.filter((e) => e.type === "locked" && e.scope === "account")).toHaveLength(2);
+  });
+
+  it("should reset the counter on success and unlock on admin request", async () => {
+    await failTimes(MAX_EMAIL_ATTEMPTS - 1, user);
+    await registerLoginSuccess(email);
+    await failTimes(1, user);
+    expect(await getAccountLock(email)).toBeNull();
+
+    await failTimes(MAX_EMAIL_ATTEMPTS, user);
+    expect(await getAccountLock(email)).not.toBeNull();
+
+    const adminId = new mongoose.Types.ObjectId();
+    await unlockAccount(user, adminId);
+    expect(await getAccountLock(email)).toBeNull();
+
+    const saved = await User.findById(user._id);
+    const lastEvent = saved.lockout_events[saved.lockout_events.length - 1];
+    expect(lastEvent).toMatchObject({ type: "unlocked", scope: "account" });
+    expect(String(lastEvent.by)).toBe(String(adminId));
+  });
+});
@@ -0,0 +1,41 @@
+const {
+  createOAuthState,
+  readOAuthState,
+  setLinkIntent,
+  takeLinkIntent,
+} = require("../utils/oauth");
+
+describe("OAuth state", () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "jwt-secret";
+  });
+
+  it("should only accept the state in the browser session that started the flow", () => {
+    const session = {};
+    const state = createOAuthState(session, { provider: "google", redirect: "https://app.test" });
+
+    // Başqa brauzer (məs. hücumçunun göndərdiyi link) — nonce yoxdur
+    expect(() => readOAuthState({}, state, "google")).toThrow("State nonce mismatch");
+
+    expect(readOAuthState(session, state, "google").redirect).toBe("https://app.test");
+    // nonce birdəfəlikdir
+    expect(() => readOAuthState(session, state, "google")).toThrow("State nonce mismatch");
+  });
+
+  it("should reject a state signed for another provider", () => {
+    const session = {};
+    const state = createOAuthState(session, { provider: "google", redirect: "https://app.test" });
+    expect(() => readOAuthState(session, state, "facebook")).toThrow("State provider mismatch");
+  });
+
+  it("should keep the link intent in the session and use it once", () => {
+    const session = {};
+    setLinkIntent(session, "user-1", "google");
+
+    expect(takeLinkIntent(session, "facebook")).toBeNull();
+    setLinkIntent(session, "user-1", "google");
+    expect(takeLinkIntent(session, "google")).toBe("user-1");
+    expect(takeLinkIntent(session, "google")).toBeNull();
+    expect(takeLinkIntent(undefined, "google")).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+process.env.PAYMENT_WEBHOOK_SECRET = "test-webhook-secret";
+
+const { SIGNATURE_HEADER, signPayload, verifySignature } = require("../utils/payments/signature");
+const { canTransitionPayment, toAppointmentPaymentStatus } = require("../utils/payments/status");
+const createMockProvider = require("../utils/payments/providers/mock");
+
+describe("Payment webhooks", () => {
+  it("should verify events signed by the mock gateway", () => {
+    const provider = createMockProvider();
+    const { body, headers } = provider.signWebhook({ type: "payment.authorized", payment_id: "mock_1" });
+
+    expect(provider.verifyWebhook(Buffer.from(body), headers)).toMatchObject({
+      type: "payment.authorized",
+      payment_id: "mock_1",
+    });
+    expect(() =>
+      provider.verifyWebhook(body.replace("authorized", "captured"), headers)
+    ).toThrow(/Invalid webhook signature/);
+    expect(() => provider.verifyWebhook(body, {})).toThrow(/Missing/);
+  });
+
+  it("should not verify webhooks without a dedicated secret", () => {
+    const provider = createMockProvider();
+    const { body, headers } = provider.signWebhook({ type: "payment.captured", payment_id: "mock_1" });
+
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    process.env.JWT_SECRET = "jwt-secret";
+    try {
+      expect(() => provider.verifyWebhook(body, headers)).toThrow(/not configured/);
+    } finally {
+      process.env.PAYMENT_WEBHOOK_SECRET = "test-webhook-secret";
+    }
+  });
+
+  it("should reject old timestamps", () => {
+    const body = JSON.stringify({ id: "evt_1" });
+    const header = signPayload(body, "secret", Math.floor(Date.now() / 1000) - 3600);
+
+    expect(() => verifySignature(body, header, "secret")).toThrow(/tolerance/);
+    expect(SIGNATURE_HEADER).toBe("x-gencfit-signature");
+  });
+
+  it("should not move a payment backwards", () => {
+    expect(canTransitionPayment("pending", "authorized")).toBe(true);
+    expect(canTransitionPayment("authorized", "paid")).toBe(true);
+    expect(canTransitionPayment("paid", "authorized")).toBe(false);
+    expect(canTransitionPayment("refunded", "paid")).toBe(false);
+    expect(toAppointmentPaymentStatus("failed")).toBe("unpaid");
+    expect(toAppointmentPaymentStatus("paid")).toBe("paid");
+  });
+});
@@ -0,0 +1,82 @@
+const { ROLES, hasPermission } = require("../config/permissions");
+const { requirePermission } = require("../middleware/auth");
+
+// Express cavabının test üçün minimal forması
+const mockRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const run = async (middleware, user) => {
+  const res = mockRes();
+  const next = jest.fn();
+  await middleware({ user }, res, next);
+  return { res, next };
+};
+
+describe("Role permissions", () => {
+  it("should grant each role only its own permissions", () => {
+    const admin = { role: "admin" };
+    const manager = { role: "venue_manager" };
+    const support = { role: "support" };
+    const user = { role: "user" };
+
+    expect(hasPermission(admin, "users:impersonate")).toBe(true);
+    expect(hasPermission(admin, "venues:delete")).toBe(true);
+
+    expect(hasPermission(manager, "venues:manage_own")).toBe(true);
+    expect(hasPermission(manager, "appointments:manage_own")).toBe(true);
+    expect(hasPermission(manager, "venues:write")).toBe(false);
+    expect(hasPermission(manager, "appointments:manage")).toBe(false);
+
+    expect(hasPermission(support, "users:read")).toBe(true);
+    expect(hasPermission(support, "users:write")).toBe(false);
+    expect(hasPermission(support, "users:impersonate")).toBe(false);
+
+    expect(hasPermission(user, "dashboard:read")).toBe(false);
+    expect(hasPermission({ role: "unknown" }, "users:read")).toBe(false);
+    expect(hasPermission(null, "users:read")).toBe(false);
+  });
+
+  it("should keep impersonation and role changes admin-only", () => {
+    ROLES.filter((role) => role !== "admin").forEach((role) => {
+      expect(hasPermission({ role }, "users:impersonate")).toBe(false);
+      expect(hasPermission({ role }, "users:roles")).toBe(false);
+    });
+  });
+});
+
+describe("requirePermission middleware", () => {
+  it("should reject unauthenticated requests", async () => {
+    const { res, next } = await run(requirePermission("users:read"), null);
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should reject users missing any of the permissions", async () => {
+    const { res, next } = await run(requirePermission("users:read", "users:write"), {
+      role: "support",
+    });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Permission required: users:write");
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should pass users that have every permission", async () => {
+    // 2FA aktiv olan istifadəçidə məcburi 2FA yoxlaması DB-yə getmir
+    const { res, next } = await run(requirePermission("users:read", "dashboard:read"), {
+      role: "support",
+      two_factor: { enabled: true },
+    });
+    expect(next).toHaveBeenCalledWith();
+    expect(res.body).toBeNull();
+  });
+});
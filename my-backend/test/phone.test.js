@@ -0,0 +1,33 @@
+const { normalizeAzPhone, isValidAzPhone } = require("../utils/phone");
+const { sendSMS, setProvider } = require("../utils/sms");
+const createMockProvider = require("../utils/sms/providers/mock");
+
+describe("normalizeAzPhone", () => {
+  it("should normalize local formats to +994", () => {
+    expect(normalizeAzPhone("050 123 45 67")).toBe("+994501234567");
+    expect(normalizeAzPhone("501234567")).toBe("+994501234567");
+    expect(normalizeAzPhone("00994501234567")).toBe("+994501234567");
+    expect(normalizeAzPhone("994501234567")).toBe("+994501234567");
+    expect(normalizeAzPhone("+994 (50) 123-45-67")).toBe("+994501234567");
+  });
+
+  it("should validate Azerbaijani numbers", () => {
+    expect(isValidAzPhone("+994501234567")).toBe(true);
+    expect(isValidAzPhone("+99450123456")).toBe(false);
+    expect(isValidAzPhone("+15551234567")).toBe(false);
+  });
+});
+
+describe("SMS mock provider", () => {
+  it("should keep sent messages in the outbox", async () => {
+    const provider = createMockProvider();
+    setProvider(provider);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    await sendSMS("+994501234567", "Kod: 123456");
+
+    expect(provider.outbox).toHaveLength(1);
+    expect(provider.outbox[0]).toMatchObject({ to: "+994501234567", text: "Kod: 123456" });
+    console.log.mockRestore();
+  });
+});
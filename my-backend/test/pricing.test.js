@@ -0,0 +1,44 @@
+const { calculatePrice } = require("../utils/pricing");
+
+const rules = {
+  currency: "AZN",
+  hourly_rate: 20,
+  peak_windows: [{ days: [1, 2, 3, 4, 5], start: "18:00", end: "22:00", multiplier: 1.5 }],
+  weekend_days: [0, 6],
+  weekend_multiplier: 1.25,
+  per_participant_fee: 2,
+};
+const timeZone = "Asia/Baku";
+
+describe("Booking pricing", () => {
+  it("should split the booking at the start of the peak window", () => {
+    // Cümə 17:00-19:00 (Bakı): 1 saat adi, 1 saat pik
+    const quote = calculatePrice(rules, {
+      start: new Date("2030-01-04T13:00:00Z"),
+      durationHours: 2,
+      participants: 3,
+      timeZone,
+    });
+
+    expect(quote.breakdown.map((item) => [item.hours, item.multiplier, item.amount])).toEqual([
+      [1, 1, 20],
+      [1, 1.5, 30],
+    ]);
+    expect(quote.breakdown[1].start.toISOString()).toBe("2030-01-04T14:00:00.000Z");
+    expect(quote).toMatchObject({ subtotal: 50, participant_fees: 6, total: 56, currency: "AZN" });
+  });
+
+  it("should apply the weekend multiplier on local weekend days", () => {
+    // Şənbə 02:00 Bakı vaxtı, UTC-də hələ cümədir
+    const quote = calculatePrice(rules, {
+      start: new Date("2030-01-04T22:00:00Z"),
+      durationHours: 1,
+      participants: 1,
+      timeZone,
+    });
+
+    expect(quote.breakdown).toHaveLength(1);
+    expect(quote.breakdown[0]).toMatchObject({ is_weekend: true, multiplier: 1.25 });
+    expect(quote.total).toBe(27);
+  });
+});
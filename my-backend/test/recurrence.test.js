@@ -0,0 +1,44 @@
+const { parseRRule, formatRRule, expandOccurrences } = require("../utils/recurrence");
+
+// 2030-01-01 çərşənbə axşamıdır
+const dtstart = new Date(2030, 0, 1, 19, 0);
+
+describe("Recurrence rules", () => {
+  it("should expand a weekly rule with COUNT on the start weekday", () => {
+    const dates = expandOccurrences(dtstart, parseRRule("FREQ=WEEKLY;COUNT=3"));
+
+    expect(dates).toEqual([
+      new Date(2030, 0, 1, 19),
+      new Date(2030, 0, 8, 19),
+      new Date(2030, 0, 15, 19),
+    ]);
+  });
+
+  it("should honour BYDAY, INTERVAL and an inclusive UNTIL date", () => {
+    const rule = parseRRule("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20300115");
+    const dates = expandOccurrences(dtstart, rule);
+
+    expect(dates).toEqual([
+      new Date(2030, 0, 1, 19),
+      new Date(2030, 0, 3, 19),
+      // 8-10 yanvar həftəsi buraxılır (INTERVAL=2)
+      new Date(2030, 0, 15, 19),
+    ]);
+    expect(formatRRule(rule)).toMatch(/^FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=/);
+  });
+
+  it("should expand daily rules", () => {
+    const dates = expandOccurrences(dtstart, parseRRule("FREQ=DAILY;INTERVAL=3;COUNT=2"));
+    expect(dates).toEqual([new Date(2030, 0, 1, 19), new Date(2030, 0, 4, 19)]);
+  });
+
+  it("should reject unbounded or unsupported rules", () => {
+    expect(() => parseRRule("FREQ=WEEKLY")).toThrow(/UNTIL or COUNT/);
+    expect(() => parseRRule("FREQ=MONTHLY;COUNT=2")).toThrow(/DAILY or WEEKLY/);
+    expect(() => parseRRule("FREQ=WEEKLY;BYMONTH=1;COUNT=2")).toThrow(/Unsupported/);
+    expect(() => parseRRule("FREQ=WEEKLY;COUNT=2;UNTIL=20300101")).toThrow();
+    expect(() =>
+      expandOccurrences(dtstart, parseRRule("FREQ=DAILY;UNTIL=20350101"))
+    ).toThrow(/more than/);
+  });
+});
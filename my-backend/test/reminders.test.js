@@ -0,0 +1,21 @@
+const { parseOffsets, getDueOffset } = require("../utils/reminders");
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date("2030-01-01T10:00:00Z");
+const startingIn = (minutes) => ({ appointment_date: new Date(now.getTime() + minutes * MINUTE_MS) });
+
+describe("Appointment reminders", () => {
+  it("should parse configured offsets", () => {
+    expect(parseOffsets("60, 1440,60,abc,-5")).toEqual([1440, 60]);
+  });
+
+  it("should pick the reminder whose window the appointment is in", () => {
+    const offsets = [1440, 60];
+    expect(getDueOffset(startingIn(2000), now, offsets)).toBeNull();
+    expect(getDueOffset(startingIn(1440), now, offsets)).toBe(1440);
+    expect(getDueOffset(startingIn(300), now, offsets)).toBe(1440);
+    // Gec edilən rezervasiya yalnız 1 saatlıq xatırlatmanı alır
+    expect(getDueOffset(startingIn(45), now, offsets)).toBe(60);
+    expect(getDueOffset(startingIn(-5), now, offsets)).toBeNull();
+  });
+});
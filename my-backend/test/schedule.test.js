@@ -0,0 +1,112 @@
+const {
+  isWithinOpeningHours,
+  generateFreeSlots,
+  peakParticipants,
+} = require("../utils/schedule");
+
+// 2030-01-01 çərşənbə axşamıdır (getDay() === 2)
+const venue = {
+  timezone: "Asia/Baku",
+  slot_minutes: 30,
+  opening_hours: [
+    { day: 2, open: "09:00", close: "12:00" },
+    { day: 2, open: "14:00", close: "16:00" },
+  ],
+  closed_dates: [{ date: "2030-01-03", type: "holiday", reason: "Bayram" }],
+};
+
+// Bakı vaxtı ilə 2030-01-<day> <h>:<m> (UTC+4)
+const baku = (day, h = 0, m = 0) => new Date(Date.UTC(2030, 0, day, h - 4, m));
+const localTime = (slot) => slot.start_local.slice(11, 16);
+
+describe("Venue schedule", () => {
+  it("should only accept bookings fully inside an opening interval", () => {
+    expect(isWithinOpeningHours(venue, baku(1, 9), baku(1, 10))).toBe(true);
+    expect(isWithinOpeningHours(venue, baku(1, 11, 30), baku(1, 12, 30))).toBe(false);
+    expect(isWithinOpeningHours(venue, baku(1, 12), baku(1, 13))).toBe(false);
+    expect(isWithinOpeningHours(venue, baku(2, 9), baku(2, 10))).toBe(false);
+  });
+
+  it("should generate free slots around bookings", () => {
+    const [day] = generateFreeSlots(venue, baku(1), baku(1, 23, 59), {
+      durationMinutes: 60,
+      booked: [{ start: baku(1, 10), end: baku(1, 11) }],
+      now: baku(-1),
+    });
+
+    expect(day.free_slots.map(localTime)).toEqual(["09:00", "11:00", "14:00", "14:30", "15:00"]);
+  });
+
+  it("should use the venue timezone for day boundaries and local times", () => {
+    // UTC 05:00 Bakıda 09:00-dır, server zonasından asılı deyil
+    expect(isWithinOpeningHours(venue, new Date(Date.UTC(2030, 0, 1, 5)), new Date(Date.UTC(2030, 0, 1, 6)))).toBe(true);
+
+    const [day] = generateFreeSlots(venue, baku(1), baku(1, 23, 59), {
+      durationMinutes: 60,
+      now: baku(-1),
+    });
+    expect(day.date).toBe("2030-01-01");
+    expect(day.free_slots[0].start).toEqual(new Date("2030-01-01T05:00:00Z"));
+    expect(day.free_slots[0].start_local).toBe("2030-01-01T09:00:00+04:00");
+
+    const utcVenue = { ...venue, timezone: "UTC" };
+    expect(isWithinOpeningHours(utcVenue, baku(1, 9), baku(1, 10))).toBe(false);
+    expect(
+      isWithinOpeningHours(utcVenue, new Date(Date.UTC(2030, 0, 1, 9)), new Date(Date.UTC(2030, 0, 1, 10)))
+    ).toBe(true);
+  });
+
+  it("should treat venues without opening hours as always open", () => {
+    const { opening_hours: _hours, ...alwaysOpen } = venue;
+
+    expect(isWithinOpeningHours(alwaysOpen, baku(1, 23), baku(2, 1))).toBe(true);
+    expect(isWithinOpeningHours(alwaysOpen, baku(2, 23), baku(3, 1))).toBe(false);
+
+    const [day] = generateFreeSlots(alwaysOpen, baku(1), baku(1, 23, 59), {
+      durationMinutes: 60,
+      now: baku(-1),
+    });
+    expect(day.is_open).toBe(true);
+    expect(localTime(day.free_slots[0])).toBe("00:00");
+    expect(localTime(day.free_slots[day.free_slots.length - 1])).toBe("23:00");
+  });
+
+  it("should mark closed dates", () => {
+    const [day] = generateFreeSlots(venue, baku(3), baku(3, 23, 59), {
+      durationMinutes: 60,
+    });
+    expect(day.is_open).toBe(false);
+    expect(day.closed_reason).toBe("Bayram");
+    expect(day.free_slots).toHaveLength(0);
+  });
+
+  it("should count only concurrently used seats", () => {
+    const at = (h, m = 0) => baku(1, h, m);
+    const booked = [
+      { start: at(9), end: at(10), participants: 4 },
+      { start: at(10), end: at(11), participants: 3 },
+      { start: at(9, 30), end: at(10, 30), participants: 2 },
+    ];
+
+    // 9:30-10:00 arası 4 + 2, 10:00-da birinci bitir
+    expect(peakParticipants(booked, at(9), at(11))).toBe(6);
+    expect(peakParticipants(booked, at(10, 30), at(11))).toBe(3);
+  });
+
+  it("should keep shared slots open until capacity is reached", () => {
+    const [day] = generateFreeSlots(venue, baku(1), baku(1, 23, 59), {
+      durationMinutes: 60,
+      booked: [
+        { start: baku(1, 9), end: baku(1, 10), participants: 8 },
+        { start: baku(1, 10), end: baku(1, 11), participants: 10 },
+      ],
+      now: baku(-1),
+      capacity: 10,
+      participants: 2,
+    });
+
+    const nineAm = day.free_slots.find((s) => localTime(s) === "09:00");
+    expect(nineAm.seats_left).toBe(2);
+    expect(day.free_slots.some((s) => localTime(s).startsWith("10"))).toBe(false);
+  });
+});
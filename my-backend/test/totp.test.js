@@ -0,0 +1,41 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+} = require("../utils/totp");
+
+// RFC 6238 Appendix B (SHA1) test vectors, son 6 rəqəm
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP (RFC 6238)", () => {
+  it("should round-trip base32", () => {
+    expect(SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(base32Decode(SECRET).toString()).toBe("12345678901234567890");
+  });
+
+  it("should match the RFC test vectors", () => {
+    expect(generateTotp(SECRET, 59 * 1000)).toBe("287082");
+    expect(generateTotp(SECRET, 1111111109 * 1000)).toBe("081804");
+    expect(generateTotp(SECRET, 1234567890 * 1000)).toBe("005924");
+    expect(generateTotp(SECRET, 2000000000 * 1000)).toBe("279037");
+  });
+
+  it("should accept codes within the drift window only", () => {
+    const time = 1234567890 * 1000;
+    const previous = generateTotp(SECRET, time - 30 * 1000);
+    const old = generateTotp(SECRET, time - 90 * 1000);
+
+    expect(verifyTotp(SECRET, generateTotp(SECRET, time), { time })).not.toBeNull();
+    expect(verifyTotp(SECRET, previous, { time })).not.toBeNull();
+    expect(verifyTotp(SECRET, old, { time })).toBeNull();
+    expect(verifyTotp(SECRET, "abc123", { time })).toBeNull();
+  });
+
+  it("should build an otpauth URI", () => {
+    const url = buildOtpAuthUrl(SECRET, "admin@example.com");
+    expect(url.startsWith("otpauth://totp/GencFit%3Aadmin%40example.com?")).toBe(true);
+    expect(url).toContain(`secret=${SECRET}`);
+  });
+});
@@ -0,0 +1,34 @@
+const User = require("../models/User");
+
+describe("User email index", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should rebuild a non-sparse email_1 index as unique + sparse", async () => {
+    jest
+      .spyOn(User.collection, "indexes")
+      .mockResolvedValue([{ name: "email_1", key: { email: 1 }, unique: true }]);
+    const drop = jest.spyOn(User.collection, "dropIndex").mockResolvedValue({});
+    const create = jest.spyOn(User.collection, "createIndex").mockResolvedValue("email_1");
+
+    expect(await User.ensureEmailIndex()).toBe(true);
+    expect(drop).toHaveBeenCalledWith("email_1");
+    expect(create).toHaveBeenCalledWith(
+      { email: 1 },
+      { name: "email_1", unique: true, sparse: true }
+    );
+  });
+
+  it("should leave an up-to-date index alone", async () => {
+    jest
+      .spyOn(User.collection, "indexes")
+      .mockResolvedValue([{ name: "email_1", key: { email: 1 }, unique: true, sparse: true }]);
+    const drop = jest.spyOn(User.collection, "dropIndex");
+    const create = jest.spyOn(User.collection, "createIndex");
+
+    expect(await User.ensureEmailIndex()).toBe(false);
+    expect(drop).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+});
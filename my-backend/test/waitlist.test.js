@@ -0,0 +1,125 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server");
+const User = require("../models/User");
+const Venue = require("../models/Venue");
+const Appointment = require("../models/Appointment");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { generateToken } = require("../utils/auth");
+
+const futureAt = (hours) => {
+  const date = new Date();
+  date.setDate(date.getDate() + 7);
+  date.setHours(hours, 0, 0, 0);
+  return date;
+};
+
+const slot = (venueId, extra = {}) => ({
+  venue_id: venueId,
+  appointment_date: futureAt(10).toISOString(),
+  duration_hours: 1,
+  purpose: "Futbol",
+  ...extra,
+});
+
+describe("Waitlist", () => {
+  let owner;
+  let waiter;
+  let ownerToken;
+  let waiterToken;
+  let venue;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connection.asPromise();
+    }
+
+    [owner, waiter] = await User.create([
+      { email: "waitlist-owner@example.com", password: "password123", full_name: "Slot Owner" },
+      { email: "waitlist-waiter@example.com", password: "password123", full_name: "Slot Waiter" },
+    ]);
+    ownerToken = generateToken(owner);
+    waiterToken = generateToken(waiter);
+
+    venue = await Venue.create({
+      name: "Waitlist Test Arena",
+      description: "Test venue for waitlist",
+      venue_type: "sports",
+      location: "Bakı, test küçəsi",
+      capacity: 10,
+      contact_phone: "+994501234567",
+      contact_email: "waitlist@example.com",
+    });
+  });
+
+  afterEach(async () => {
+    await Appointment.deleteMany({ venue_id: String(venue._id) });
+    await WaitlistEntry.deleteMany({ venue_id: String(venue._id) });
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({ _id: { $in: [owner._id, waiter._id] } });
+    await Venue.deleteOne({ _id: venue._id });
+    await mongoose.connection.close();
+  });
+
+  const bookAndJoin = async (extra) => {
+    const booking = await request(app)
+      .post("/api/appointments")
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send(slot(venue._id))
+      .expect(201);
+
+    const entry = await request(app)
+      .post("/api/waitlist")
+      .set("Authorization", `Bearer ${waiterToken}`)
+      .send(slot(venue._id, extra))
+      .expect(201);
+
+    return { appointment: booking.body.data, entry: entry.body.data };
+  };
+
+  const cancel = (appointmentId) =>
+    request(app)
+      .put(`/api/appointments/${appointmentId}/status`)
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ status: "cancelled" })
+      .expect(200);
+
+  it("should offer a cancelled slot and hold it for the first waiter", async () => {
+    const { appointment, entry } = await bookAndJoin();
+    await cancel(appointment.id);
+
+    const offered = await WaitlistEntry.findByCustomId(entry.id);
+    expect(offered.status).toBe("offered");
+
+    // Təklif müddətində slot başqasına verilmir
+    await request(app)
+      .post("/api/appointments")
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send(slot(venue._id))
+      .expect(400);
+
+    await request(app)
+      .post(`/api/waitlist/${entry.id}/accept`)
+      .set("Authorization", `Bearer ${waiterToken}`)
+      .expect(201);
+  });
+
+  it("should book automatically when auto_book is set", async () => {
+    const { appointment, entry } = await bookAndJoin({ auto_book: true });
+    await cancel(appointment.id);
+
+    const booked = await WaitlistEntry.findByCustomId(entry.id);
+    expect(booked.status).toBe("booked");
+    expect(await Appointment.findByCustomId(booked.appointment_id)).not.toBeNull();
+  });
+
+  it("should reject joining the waitlist for a free slot", async () => {
+    await request(app)
+      .post("/api/waitlist")
+      .set("Authorization", `Bearer ${waiterToken}`)
+      .send(slot(venue._id))
+      .expect(400);
+  });
+});
@@ -0,0 +1,147 @@
+const User = require("../models/User");
+const Appointment = require("../models/Appointment");
+const AppointmentSeries = require("../models/AppointmentSeries");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Review = require("../models/Review");
+const Blog = require("../models/Blog");
+const Contact = require("../models/Contact");
+const Partner = require("../models/Partner");
+const Venue = require("../models/Venue");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const UserToken = require("../models/UserToken");
+const OtpCode = require("../models/OtpCode");
+const LoginThrottle = require("../models/LoginThrottle");
+const CalendarFeed = require("../models/CalendarFeed");
+const Notification = require("../models/Notification");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const { revokeAllUserTokens } = require("./auth");
+const { transitionMany } = require("./appointmentStatus");
+const { releaseAppointmentPayment } = require("./payments");
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const DELETED_NAME = "Silinmiş istifadəçi";
+
+// Gələcək rezervasiyaları ləğv et (slotlar digər istifadəçilərə açılsın),
+// ödənişləri qaytar
+const cancelFutureAppointments = async (userId) => {
+  const cancelled = await transitionMany(
+    {
+      user_id: String(userId),
+      appointment_date: { $gt: new Date() },
+      status: { $in: ["pending", "confirmed"] },
+    },
+    "cancelled",
+    { reason: "Account deletion" }
+  );
+  for (const appointment of cancelled) {
+    await releaseAppointmentPayment(appointment).catch((err) =>
+      console.error("Payment release error:", err)
+    );
+  }
+  return cancelled;
+};
+
+// Təkrarlanan seriyalar, növbə girişləri və təqvim feed-ləri də dayandırılır
+const cancelOpenBookingRequests = (userId) =>
+  Promise.all([
+    CalendarFeed.updateMany(
+      { user_id: String(userId), revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    ),
+    AppointmentSeries.updateMany(
+      { user_id: String(userId), status: "active" },
+      { $set: { status: "cancelled", cancelled_at: new Date() } }
+    ),
+    WaitlistEntry.updateMany(
+      { user_id: String(userId), status: { $in: ["waiting", "offered"] } },
+      { $set: { status: "cancelled", offer_expires_at: null, updated_at: new Date() } }
+    ),
+  ]);
+
+// Silinməni planlaşdır: sessiyalar bağlanır, gələcək rezervasiyalar ləğv olunur.
+// Möhlət bitənə qədər restoreAccountDeletion ilə geri qaytarmaq olar.
+const scheduleAccountDeletion = async (user, reason = "") => {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        deletion: { requested_at: now, scheduled_for: scheduledFor, reason },
+      },
+    }
+  );
+  const cancelled = await cancelFutureAppointments(user._id);
+  await cancelOpenBookingRequests(user._id);
+  await revokeAllUserTokens(user._id, "logout_all");
+
+  return { scheduled_for: scheduledFor, cancelled_appointments: cancelled.length };
+};
+
+const restoreAccountDeletion = (userId) =>
+  User.updateOne({ _id: userId }, { $unset: { deletion: "" } });
+
+// Möhlət bitib: denormalizə olunmuş nüsxələri anonimləşdir və hesabı sil
+const purgeUser = async (user) => {
+  const id = String(user._id);
+
+  await cancelFutureAppointments(id);
+  await cancelOpenBookingRequests(id);
+  await Promise.all([
+    Appointment.updateMany(
+      { user_id: id },
+      { $set: { user_name: DELETED_NAME, purpose: "-", notes: "" } }
+    ),
+    // Status tarixçəsində (staff kimi etdiyi keçidlər də daxil) adı gizlət
+    Appointment.updateMany(
+      { "status_history.actor_id": id },
+      { $set: { "status_history.$[change].actor_name": DELETED_NAME } },
+      { arrayFilters: [{ "change.actor_id": id }] }
+    ),
+    AppointmentSeries.updateMany({ user_id: id }, { $set: { purpose: "-" } }),
+    WaitlistEntry.deleteMany({ user_id: id }),
+    CalendarFeed.deleteMany({ user_id: id }),
+    Notification.deleteMany({ user_id: id }),
+    NotificationDelivery.deleteMany({ user_id: id }),
+    Review.updateMany(
+      { user_id: id },
+      { $set: { user_name: DELETED_NAME, user_avatar: null } }
+    ),
+    Blog.updateMany({ author_id: user._id }, { $set: { author_name: DELETED_NAME } }),
+    user.email ? Contact.deleteMany({ email: user.email }) : null,
+    Partner.updateMany({ user: user._id }, { $set: { user: null } }),
+    Partner.updateMany({ "claim.user": user._id }, { $unset: { claim: "" } }),
+    Venue.updateMany({ owner_id: user._id }, { $set: { owner_id: null } }),
+    Venue.updateMany({ managers: user._id }, { $pull: { managers: user._id } }),
+    Session.deleteMany({ user_id: user._id }),
+    RefreshToken.deleteMany({ user_id: user._id }),
+    UserToken.deleteMany({ user_id: user._id }),
+    user.phone ? OtpCode.deleteMany({ phone: user.phone }) : null,
+    user.email ? LoginThrottle.deleteMany({ key: `email:${user.email}` }) : null,
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+};
+
+// Möhləti bitmiş bütün hesabları sil (cron-dan çağırılır)
+const purgeDueAccounts = async () => {
+  const due = await User.find({ "deletion.scheduled_for": { $lte: new Date() } });
+  for (const user of due) {
+    try {
+      await purgeUser(user);
+    } catch (err) {
+      console.error("Account purge error:", user._id, err);
+    }
+  }
+  return due.length;
+};
+
+module.exports = {
+  GRACE_DAYS,
+  scheduleAccountDeletion,
+  restoreAccountDeletion,
+  purgeUser,
+  purgeDueAccounts,
+};
@@ -0,0 +1,128 @@
+const Appointment = require("../models/Appointment");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { peakParticipants } = require("./schedule");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Slot tutan statuslar (bax: utils/appointmentStatus)
+const ACTIVE_STATUSES = ["pending", "confirmed", "checked_in"];
+
+// [start, end) ilə kəsişən rezervasiyalar üçün sorğu.
+// Hər rezervasiyanın öz bitişi = appointment_date + duration_hours.
+// resourceId verilibsə yalnız həmin resurs (və bütün venue-nu tutan köhnə
+// resurssuz rezervasiyalar) nəzərə alınır.
+const buildOverlapQuery = ({ venueId, resourceId, start, end, excludeId }) => {
+  const query = {
+    venue_id: venueId,
+    status: { $in: ACTIVE_STATUSES },
+    appointment_date: { $lt: end },
+    $expr: {
+      $gt: [
+        { $add: ["$appointment_date", { $multiply: ["$duration_hours", HOUR_MS] }] },
+        start,
+      ],
+    },
+  };
+  if (resourceId) query.resource_id = { $in: [String(resourceId), null] };
+  if (excludeId) query.id = { $ne: excludeId };
+  return query;
+};
+
+// [start, end) ilə kəsişən, vaxtı keçməmiş növbə təklifləri (başqasına saxlanılan slot)
+const buildHeldOfferQuery = ({ venueId, resourceId, start, end, userId, excludeEntryId }) => {
+  const query = {
+    venue_id: venueId,
+    status: "offered",
+    offer_expires_at: { $gt: new Date() },
+    start_at: { $lt: end },
+    end_at: { $gt: start },
+  };
+  if (resourceId) query.resource_id = { $in: [String(resourceId), null] };
+  if (userId) query.user_id = { $ne: userId };
+  if (excludeEntryId) query.id = { $ne: excludeEntryId };
+  return query;
+};
+
+// Kəsişən ilk rezervasiya, yoxdursa null
+const findConflictingAppointment = (params) =>
+  Appointment.findOne(buildOverlapQuery(params));
+
+const appointmentEnd = (appointment) =>
+  new Date(appointment.appointment_date.getTime() + appointment.duration_hours * HOUR_MS);
+
+// Slot bu rezervasiyanı qəbul edə bilərmi? Mümkündürsə null, deyilsə
+// { appointment, offer, seats_left } qaytarır.
+// exclusive: istənilən kəsişmə toqquşmadır; shared: eyni anda tutulan
+// yerlər + participants tutumu (capacity) keçməməlidir.
+const findSlotConflict = async ({
+  venue,
+  resourceId,
+  start,
+  end,
+  participants = 1,
+  excludeId,
+  userId,
+  excludeEntryId,
+}) => {
+  const venueId = String(venue._id);
+  const resource = resourceId
+    ? (venue.resources || []).find((r) => String(r._id) === String(resourceId))
+    : null;
+  const { booking_mode: mode, capacity } = venue.getBookingRules(resource);
+
+  const [appointments, offers] = await Promise.all([
+    Appointment.find(buildOverlapQuery({ venueId, resourceId, start, end, excludeId })),
+    WaitlistEntry.find(
+      buildHeldOfferQuery({ venueId, resourceId, start, end, userId, excludeEntryId })
+    ),
+  ]);
+
+  if (mode !== "shared") {
+    if (!appointments.length && !offers.length) return null;
+    return { appointment: appointments[0] || null, offer: offers[0] || null, seats_left: 0 };
+  }
+
+  const taken = peakParticipants(
+    [
+      ...appointments.map((a) => ({
+        start: a.appointment_date,
+        end: appointmentEnd(a),
+        participants: a.participants,
+      })),
+      ...offers.map((o) => ({ start: o.start_at, end: o.end_at, participants: o.participants })),
+    ],
+    start,
+    end
+  );
+  const seatsLeft = Math.max(capacity - taken, 0);
+  if (participants <= seatsLeft) return null;
+  return { appointment: appointments[0] || null, offer: offers[0] || null, seats_left: seatsLeft };
+};
+
+// Resursu olan venue-da konkret meydança/kort seçilməlidir.
+// { resource } və ya { message, status } qaytarır.
+const resolveResource = (venue, resourceId) => {
+  const resources = venue.getActiveResources();
+  if (!resources.length) {
+    return resourceId
+      ? { message: "This venue has no bookable resources", status: 400 }
+      : { resource: null };
+  }
+  if (!resourceId) {
+    return { message: "Resource ID is required for this venue", status: 400 };
+  }
+  const resource = resources.find((r) => String(r._id) === String(resourceId));
+  return resource
+    ? { resource }
+    : { message: "Resource not found or inactive", status: 404 };
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  buildOverlapQuery,
+  findConflictingAppointment,
+  appointmentEnd,
+  buildHeldOfferQuery,
+  findSlotConflict,
+  resolveResource,
+};
@@ -0,0 +1,166 @@
+const Appointment = require("../models/Appointment");
+const Venue = require("../models/Venue");
+const { recordStrike } = require("./bookingPolicy");
+const { releaseAppointmentPayment } = require("./payments");
+
+// Rezervasiya statusları və icazəli keçidlər (state machine).
+// Hər keçid üçün kim edə bilər: owner (rezervasiya sahibi), staff (venue
+// sahibi/meneceri), system (cron). appointments:manage icazəsi olan admin
+// istənilən icazəli keçidi edə bilər.
+const STATUSES = [
+  "pending",
+  "confirmed",
+  "rejected",
+  "cancelled",
+  "checked_in",
+  "no_show",
+  "completed",
+  "expired",
+];
+
+const TRANSITIONS = {
+  pending: {
+    confirmed: ["staff"],
+    rejected: ["staff"],
+    cancelled: ["owner", "staff"],
+    // başlanğıca qədər təsdiqlənmədi
+    expired: ["system"],
+  },
+  confirmed: {
+    checked_in: ["staff"],
+    no_show: ["staff", "system"],
+    cancelled: ["owner", "staff"],
+    completed: ["staff", "system"],
+  },
+  checked_in: {
+    completed: ["staff", "system"],
+  },
+};
+
+const FINAL_STATUSES = STATUSES.filter((status) => !TRANSITIONS[status]);
+
+const statusError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+// from -> to keçidi mümkündürmü (aktordan asılı olmayaraq)
+const isValidTransition = (from, to) => Boolean(TRANSITIONS[from]?.[to]);
+
+// Aktor bu keçidi edə bilərmi? actorType: admin | staff | owner | system
+const canTransition = (from, to, actorType) => {
+  const actors = TRANSITIONS[from]?.[to];
+  if (!actors) return false;
+  return actorType === "admin" || actors.includes(actorType);
+};
+
+// Mövcud statusdan aktorun edə biləcəyi keçidlər
+const getAllowedTransitions = (from, actorType) =>
+  Object.keys(TRANSITIONS[from] || {}).filter((to) => canTransition(from, to, actorType));
+
+// Statusu dəyiş və tarixçəyə yaz (save çağıranın işidir).
+// actor: { id, name, type }, type: admin | staff | owner | system
+const applyTransition = (appointment, to, { actor, reason = "" } = {}) => {
+  const from = appointment.status;
+  if (!isValidTransition(from, to)) {
+    throw statusError(`Cannot change status from ${from} to ${to}`);
+  }
+  if (!canTransition(from, to, actor.type)) {
+    throw statusError(`Not allowed to change status from ${from} to ${to}`, 403);
+  }
+
+  const now = new Date();
+  appointment.status = to;
+  appointment.updated_at = now;
+  appointment.status_history.push({
+    from,
+    to,
+    actor_id: actor.id ? String(actor.id) : null,
+    actor_name: actor.name || "",
+    actor_type: actor.type,
+    reason: (reason || "").trim(),
+    at: now,
+  });
+  return appointment;
+};
+
+const SYSTEM_ACTOR = { id: null, name: "system", type: "system" };
+
+// Sorğuya uyğun rezervasiyaları bir-bir keçirt (hər birinin tarixçəsi yazılır).
+// Keçid mümkün olmayanlar buraxılır. Keçirilən rezervasiyaları qaytarır.
+const transitionMany = async (query, to, { actor = SYSTEM_ACTOR, reason = "" } = {}) => {
+  const appointments = await Appointment.find(query);
+  const changed = [];
+  for (const appointment of appointments) {
+    if (!canTransition(appointment.status, to, actor.type)) continue;
+    applyTransition(appointment, to, { actor, reason });
+    await appointment.save({ validateBeforeSave: false });
+    // Gəlməmə istifadəçinin rezerv qeydinə düşür
+    if (to === "no_show") {
+      await recordStrike(appointment.user_id, "no_show", appointment, appointment.appointment_date);
+    }
+    changed.push(appointment);
+  }
+  return changed;
+};
+
+// Cron: vaxtı keçmiş rezervasiyaları növbəti statusa keçir.
+// QR girişi açıq olan venue-larda son NO_SHOW_LOOKBACK_HOURS saatda bitmiş,
+// giriş edilməmiş təsdiqli rezervasiya no_show sayılır; qalanları completed olur
+// (cron ilk dəfə işləyəndə köhnə rezervasiyalar cəza yazmasın).
+const HOUR_MS = 60 * 60 * 1000;
+const NO_SHOW_LOOKBACK_HOURS = parseInt(process.env.NO_SHOW_LOOKBACK_HOURS) || 24;
+
+const appointmentEndExpr = {
+  $add: ["$appointment_date", { $multiply: ["$duration_hours", HOUR_MS] }],
+};
+
+const advanceAppointmentStatuses = async (now = new Date()) => {
+  const endedBefore = { $expr: { $lt: [appointmentEndExpr, now] } };
+  const endedRecently = {
+    $expr: {
+      $and: [
+        { $lt: [appointmentEndExpr, now] },
+        { $gte: [appointmentEndExpr, new Date(now.getTime() - NO_SHOW_LOOKBACK_HOURS * HOUR_MS)] },
+      ],
+    },
+  };
+
+  const expired = await transitionMany(
+    { status: "pending", appointment_date: { $lte: now } },
+    "expired",
+    { reason: "Not confirmed before start" }
+  );
+  // Təsdiqlənməmiş rezervasiyanın ödəniş təsdiqi (authorization) buraxılır
+  for (const appointment of expired) {
+    await releaseAppointmentPayment(appointment).catch((err) =>
+      console.error("Payment release error:", err)
+    );
+  }
+  const checkInVenueIds = (await Venue.find({ check_in_enabled: true }).distinct("_id")).map(String);
+  const noShows = checkInVenueIds.length
+    ? await transitionMany(
+        { status: "confirmed", venue_id: { $in: checkInVenueIds }, ...endedRecently },
+        "no_show",
+        { reason: "Not checked in" }
+      )
+    : [];
+  const completed = await transitionMany(
+    { status: { $in: ["confirmed", "checked_in"] }, ...endedBefore },
+    "completed"
+  );
+
+  return { expired: expired.length, no_show: noShows.length, completed: completed.length };
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  FINAL_STATUSES,
+  SYSTEM_ACTOR,
+  NO_SHOW_LOOKBACK_HOURS,
+  isValidTransition,
+  canTransition,
+  getAllowedTransitions,
+  applyTransition,
+  transitionMany,
+  advanceAppointmentStatuses,
+};
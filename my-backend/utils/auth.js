@@ -1,48 +1,278 @@
-const jwt = require('jsonwebtoken');
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const User = require("../models/User");
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: process.env.JWT_EXPIRE || '24h',
-      issuer: 'sports-platform',
-      audience: 'sports-platform-users'
-    }
-  );
-};
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || "1h";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const IMPERSONATION_TOKEN_EXPIRE = process.env.IMPERSONATION_TOKEN_EXPIRE || "15m";
+// last_seen_at hər sorğuda yox, ən çoxu bu intervalda bir yazılır
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Bu səbəblərlə revoke olunan family-nin access tokenləri də etibarsızdır
+// ("rotated" yalnız köhnə refresh tokeni bağlayır, family yaşayır)
+const FAMILY_REVOKE_REASONS = [
+  "logout",
+  "logout_all",
+  "reuse_detected",
+  "admin",
+  "password_reset",
+  "password_change",
+];
 
-const { generateToken } = require('../utils/auth');
+// Route-ların status kodu ilə cavab verə bilməsi üçün
+const authError = (message, statusCode = 401) =>
+  Object.assign(new Error(message), { statusCode });
 
-// Login və ya register sonrası
-const token = generateToken(user._id);
-res.json({
-  success: true,
-  token,
-  user: user.toJSON()
-});
+// Hash a random token before storing it
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
 
+// X-Forwarded-For-u özümüz oxumuruq (müştəri istədiyini yaza bilər):
+// req.ip yalnız "trust proxy" qədər etibarlı proxy hop-unu nəzərə alır (server.js)
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || "";
 
-// Verify JWT token
+// Generate JWT access token
+const generateToken = (user, { family } = {}) => {
+  const payload = {
+    id: user._id.toString(),
+    email: user.email,
+    tv: user.token_version || 0,
+  };
+  if (family) payload.fid = family;
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  });
+};
+
+// Admin başqa istifadəçi kimi: act claim-i real adminin ID-sini daşıyır.
+// Refresh token verilmir, müddət bitəndə yenidən başlatmaq lazımdır.
+const generateImpersonationToken = (user, actor) =>
+  jwt.sign(
+    {
+      id: user._id.toString(),
+      email: user.email,
+      tv: user.token_version || 0,
+      act: { sub: actor._id.toString(), tv: actor.token_version || 0 },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_TOKEN_EXPIRE }
+  );
+
+// Verify JWT access token (xüsusi təyinatlı tokenlər qəbul edilmir)
 const verifyToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.JWT_SECRET);
-  } catch (error) {
-    throw new Error('Invalid token');
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError("Token cannot be used for authentication");
+  }
+  return decoded;
+};
+
+// Qısa ömürlü xüsusi təyinatlı token (məs. 2FA challenge)
+const signPurposeToken = (payload, purpose, expiresIn) =>
+  jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError("Invalid token purpose");
   }
+  return decoded;
 };
 
 // Extract token from request
 const extractToken = (req) => {
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    return req.headers.authorization.split(' ')[1];
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+  return authHeader.split(" ")[1];
+};
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Yeni refresh token yarat (yalnız hash DB-yə yazılır)
+const createRefreshToken = async (user, req, { family, deviceId = "" }) => {
+  const raw = crypto.randomBytes(48).toString("hex");
+  const doc = await RefreshToken.create({
+    user_id: user._id,
+    token_hash: hashToken(raw),
+    family,
+    device_id: deviceId,
+    user_agent: req.headers["user-agent"] || "",
+    ip: getClientIp(req),
+    expires_at: refreshExpiry(),
+  });
+  return { raw, doc };
+};
+
+const buildTokenResponse = (accessToken, refreshToken) => {
+  const { exp, iat } = jwt.decode(accessToken);
+  return {
+    token: accessToken,
+    refresh_token: refreshToken,
+    token_type: "Bearer",
+    expires_in: exp - iat,
+  };
+};
+
+// Revoke every token in a family (və ona bağlı sessiyanı)
+const revokeFamily = async (family, reason) => {
+  await RefreshToken.updateMany(
+    { family, $or: [{ revoked_at: null }, { revoked_reason: "rotated" }] },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  await Session.updateOne(
+    { family, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+};
+
+// Login/register sonrası access + refresh token cütü ver.
+// Eyni cihazdan yenidən login olunarsa köhnə family bağlanır.
+const issueTokens = async (user, req, { deviceId = "", method = "password" } = {}) => {
+  if (deviceId) {
+    const families = await RefreshToken.distinct("family", {
+      user_id: user._id,
+      device_id: deviceId,
+      revoked_at: null,
+    });
+    await Promise.all(families.map((f) => revokeFamily(f, "logout")));
   }
-  return null;
+
+  const family = uuidv4();
+  await Session.create({
+    user_id: user._id,
+    family,
+    method,
+    device_id: deviceId,
+    user_agent: req.headers["user-agent"] || "",
+    ip: getClientIp(req),
+    expires_at: refreshExpiry(),
+  });
+  const { raw } = await createRefreshToken(user, req, { family, deviceId });
+  return buildTokenResponse(generateToken(user, { family }), raw);
+};
+
+// Refresh tokeni dəyiş: köhnəsi "rotated" olur, yenisi eyni family-də yaranır.
+// Artıq istifadə olunmuş token yenidən gəlsə bütün family revoke edilir.
+const rotateRefreshToken = async (rawToken, req) => {
+  if (!rawToken) throw authError("Refresh token is required", 400);
+
+  const existing = await RefreshToken.findOne({ token_hash: hashToken(rawToken) });
+  if (!existing) throw authError("Invalid refresh token");
+
+  if (existing.revoked_at) {
+    if (existing.revoked_reason === "rotated") {
+      console.warn("⚠️ Refresh token reuse detected, family:", existing.family);
+      await revokeFamily(existing.family, "reuse_detected");
+      throw authError("Refresh token reuse detected");
+    }
+    throw authError("Refresh token has been revoked");
+  }
+
+  if (existing.expires_at <= new Date()) {
+    throw authError("Refresh token expired");
+  }
+
+  const user = await User.findById(existing.user_id);
+  if (!user || !user.is_active) throw authError("User not found or inactive");
+
+  // Eyni tokenlə paralel iki refresh gəlsə yalnız biri keçsin
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: "rotated" } },
+    { new: true }
+  );
+  if (!claimed) {
+    await revokeFamily(existing.family, "reuse_detected");
+    throw authError("Refresh token reuse detected");
+  }
+
+  const { raw, doc } = await createRefreshToken(user, req, {
+    family: existing.family,
+    deviceId: existing.device_id,
+  });
+  claimed.replaced_by = doc._id;
+  await claimed.save();
+
+  await Session.updateOne(
+    { family: existing.family },
+    {
+      $set: {
+        last_seen_at: new Date(),
+        ip: getClientIp(req),
+        user_agent: req.headers["user-agent"] || "",
+        expires_at: refreshExpiry(),
+      },
+    }
+  );
+
+  return {
+    user,
+    tokens: buildTokenResponse(generateToken(user, { family: existing.family }), raw),
+  };
+};
+
+// Revoke all tokens of a user (logout-all, admin revoke, password change)
+const revokeAllUserTokens = async (userId, reason) => {
+  await User.updateOne({ _id: userId }, { $inc: { token_version: 1 } });
+  await RefreshToken.updateMany(
+    { user_id: userId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  await Session.updateMany(
+    { user_id: userId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+};
+
+// Access token hələ də etibarlıdırmı? (token_version, sessiya və family yoxlanışı)
+const isTokenRevoked = async (decoded, user) => {
+  if ((decoded.tv || 0) !== (user.token_version || 0)) return true;
+  if (!decoded.fid) return false;
+
+  const session = await Session.findOne({ family: decoded.fid }).select("revoked_at").lean();
+  if (session) return Boolean(session.revoked_at);
+
+  // Sessiya modelindən əvvəl verilmiş tokenlər
+  const revoked = await RefreshToken.exists({
+    family: decoded.fid,
+    revoked_reason: { $in: FAMILY_REVOKE_REASONS },
+  });
+  return Boolean(revoked);
+};
+
+// Sessiyanın son aktivlik vaxtını yenilə (throttled, gözlənilmir)
+const touchSession = (family, req) => {
+  if (!family) return;
+  const now = new Date();
+  Session.updateOne(
+    {
+      family,
+      revoked_at: null,
+      last_seen_at: { $lt: new Date(now.getTime() - SESSION_TOUCH_INTERVAL_MS) },
+    },
+    { $set: { last_seen_at: now, ip: getClientIp(req) } }
+  ).catch((err) => console.error("Session touch error:", err));
 };
 
 module.exports = {
+  authError,
+  hashToken,
+  getClientIp,
   generateToken,
+  generateImpersonationToken,
   verifyToken,
-  extractToken
-};
\ No newline at end of file
+  signPurposeToken,
+  verifyPurposeToken,
+  extractToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllUserTokens,
+  isTokenRevoked,
+  touchSession,
+};
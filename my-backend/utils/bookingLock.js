@@ -0,0 +1,64 @@
+const { v4: uuidv4 } = require("uuid");
+const BookingLock = require("../models/BookingLock");
+
+const LOCK_TTL_MS = 10 * 1000;
+const RETRY_DELAY_MS = 50;
+const MAX_WAIT_MS = 5 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Kilidi tutmağa çalış; alınsa owner qaytarır, tutulubsa null
+const tryAcquire = async (key, ttlMs) => {
+  const owner = uuidv4();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+
+  try {
+    // Kilid yoxdursa yaradılır, vaxtı keçibsə ələ keçirilir.
+    // Aktiv kilid varsa upsert unikal açarda 11000 ilə düşür.
+    await BookingLock.findOneAndUpdate(
+      { key, expires_at: { $lte: now } },
+      { $set: { owner, expires_at: expiresAt, created_at: now } },
+      { upsert: true }
+    );
+    return owner;
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+const releaseLock = (key, owner) => BookingLock.deleteOne({ key, owner });
+
+// fn-i kilid altında işlət (eyni key üçün sorğular növbəyə düşür).
+// Kilid MAX_WAIT_MS ərzində alınmasa statusCode 409 ilə xəta atılır.
+const withLock = async (key, fn, { ttlMs = LOCK_TTL_MS, maxWaitMs = MAX_WAIT_MS } = {}) => {
+  const deadline = Date.now() + maxWaitMs;
+  let owner = await tryAcquire(key, ttlMs);
+
+  while (!owner) {
+    if (Date.now() >= deadline) {
+      throw Object.assign(new Error("Booking is busy, please try again"), {
+        statusCode: 409,
+      });
+    }
+    await sleep(RETRY_DELAY_MS + Math.floor(Math.random() * RETRY_DELAY_MS));
+    owner = await tryAcquire(key, ttlMs);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(key, owner).catch((err) =>
+      console.error("Release booking lock error:", err)
+    );
+  }
+};
+
+// Venue üzrə bütün rezervasiya yazılışları eyni kilidi paylaşır
+const venueLockKey = (venueId) => `venue:${venueId}`;
+
+module.exports = {
+  withLock,
+  venueLockKey,
+};
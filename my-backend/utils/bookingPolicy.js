@@ -0,0 +1,142 @@
+const User = require("../models/User");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// STRIKE_WINDOW_DAYS ərzində STRIKE_LIMIT gec ləğv / gəlməmə olsa,
+// istifadəçi RESTRICTION_DAYS gün rezerv edə bilmir
+const STRIKE_LIMIT = parseInt(process.env.BOOKING_STRIKE_LIMIT) || 3;
+const STRIKE_WINDOW_DAYS = parseInt(process.env.BOOKING_STRIKE_WINDOW_DAYS) || 30;
+const RESTRICTION_DAYS = parseInt(process.env.BOOKING_RESTRICTION_DAYS) || 7;
+
+const DEFAULT_POLICY = {
+  free_cancel_hours: 0,
+  late_cancel_penalty: false,
+  max_reschedules: null,
+};
+
+const getCancellationPolicy = (venue) => {
+  const policy = venue?.cancellation_policy;
+  return {
+    ...DEFAULT_POLICY,
+    ...(policy?.toObject ? policy.toObject() : policy || {}),
+  };
+};
+
+// Bu an ləğv etmək / vaxtı dəyişmək gecdirmi və cəza düşürmü?
+const getCancellationTerms = (venue, appointment, now = new Date()) => {
+  const policy = getCancellationPolicy(venue);
+  const start = appointment.appointment_date;
+  const freeUntil = new Date(start.getTime() - policy.free_cancel_hours * HOUR_MS);
+  const isLate = policy.free_cancel_hours > 0 && now > freeUntil;
+
+  return {
+    policy,
+    hours_before_start: Math.round(((start - now) / HOUR_MS) * 10) / 10,
+    free_cancel_until: freeUntil,
+    is_late: isLate,
+    penalty_applied: isLate && policy.late_cancel_penalty,
+  };
+};
+
+// Vaxt dəyişməyə icazə varmı? Yoxdursa səbəbi qaytarır
+const getRescheduleBlock = (venue, appointment, now = new Date()) => {
+  const terms = getCancellationTerms(venue, appointment, now);
+  const { max_reschedules: maxReschedules } = terms.policy;
+
+  if (maxReschedules !== null && appointment.reschedule_count >= maxReschedules) {
+    return `This booking can be rescheduled at most ${maxReschedules} time(s)`;
+  }
+  if (terms.penalty_applied) {
+    return `Bookings cannot be rescheduled within ${terms.policy.free_cancel_hours} hours of the start`;
+  }
+  return null;
+};
+
+// Hesablamaya düşən (pəncərə daxilində və admin sıfırlamasından sonrakı) qeydlər
+const getActiveStrikes = (user, now = new Date()) => {
+  const since = Math.max(
+    now.getTime() - STRIKE_WINDOW_DAYS * DAY_MS,
+    user.booking_strikes_reset_at ? user.booking_strikes_reset_at.getTime() : 0
+  );
+  return (user.booking_strikes || []).filter((strike) => strike.at.getTime() > since);
+};
+
+// Məhdudiyyət aktivdirsə bitmə tarixi, deyilsə null
+const getBookingRestriction = (user, now = new Date()) =>
+  user?.booking_restricted_until && user.booking_restricted_until > now
+    ? user.booking_restricted_until
+    : null;
+
+// Rezerv edən istifadəçinin məhdudiyyəti (req.user bu sahəni yükləmir)
+const findBookingRestriction = async (userId) => {
+  const user = await User.findById(userId).select("booking_restricted_until");
+  return getBookingRestriction(user);
+};
+
+const restrictionMessage = (until) =>
+  `Booking is restricted until ${until.toISOString()} due to repeated late cancellations or no-shows`;
+
+// Gec ləğv / gəlməmə qeydi; limit dolanda məhdudiyyət qoyulur.
+// at: qeydin vaxtı (gəlməmədə rezervasiyanın vaxtı, ki, köhnə rezervasiyalar
+// pəncərədən kənarda qalsın)
+const recordStrike = async (userId, type, appointment, at = new Date()) => {
+  const user = await User.findById(userId).select(
+    "booking_strikes booking_strikes_reset_at booking_restricted_until"
+  );
+  if (!user) return null;
+
+  const now = new Date();
+  const strike = {
+    type,
+    appointment_id: appointment.id,
+    venue_id: appointment.venue_id,
+    at,
+  };
+  const active = getActiveStrikes(
+    {
+      booking_strikes: [...(user.booking_strikes || []), strike],
+      booking_strikes_reset_at: user.booking_strikes_reset_at,
+    },
+    now
+  );
+  const activeCount = active.length;
+
+  const update = { $push: { booking_strikes: { $each: [strike], $slice: -50 } } };
+  if (active.includes(strike) && activeCount >= STRIKE_LIMIT) {
+    update.$set = { booking_restricted_until: new Date(now.getTime() + RESTRICTION_DAYS * DAY_MS) };
+  }
+  await User.updateOne({ _id: user._id }, update);
+
+  return {
+    strikes: activeCount,
+    restricted_until: update.$set ? update.$set.booking_restricted_until : getBookingRestriction(user, now),
+  };
+};
+
+// İstifadəçinin rezerv statusu (özü və admin üçün)
+const getBookingStanding = (user, now = new Date()) => {
+  const strikes = getActiveStrikes(user, now);
+  return {
+    strikes: strikes.length,
+    strike_limit: STRIKE_LIMIT,
+    window_days: STRIKE_WINDOW_DAYS,
+    restricted_until: getBookingRestriction(user, now),
+    recent_strikes: strikes,
+  };
+};
+
+module.exports = {
+  STRIKE_LIMIT,
+  STRIKE_WINDOW_DAYS,
+  RESTRICTION_DAYS,
+  getCancellationPolicy,
+  getCancellationTerms,
+  getRescheduleBlock,
+  getActiveStrikes,
+  getBookingRestriction,
+  findBookingRestriction,
+  restrictionMessage,
+  getBookingStanding,
+  recordStrike,
+};
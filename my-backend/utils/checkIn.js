@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+
+// QR ilə giriş: kod rezervasiya id-si və başlanğıc vaxtı üzərində HMAC-dır.
+// Vaxt dəyişəndə (reschedule) köhnə kod avtomatik etibarsız olur.
+const CODE_PREFIX = "GFCI1";
+const WINDOW_BEFORE_MINUTES = parseInt(process.env.CHECKIN_WINDOW_BEFORE_MINUTES) || 30;
+const WINDOW_AFTER_MINUTES = parseInt(process.env.CHECKIN_WINDOW_AFTER_MINUTES) || 60;
+
+const MINUTE_MS = 60 * 1000;
+
+const checkInError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const signature = (appointmentId, appointmentDate) =>
+  crypto
+    .createHmac("sha256", process.env.CHECKIN_SECRET || process.env.JWT_SECRET)
+    .update(`checkin:${appointmentId}:${appointmentDate.getTime()}`)
+    .digest("base64url");
+
+// QR-a yazılan kod: "GFCI1.<appointment id>.<imza>"
+const signCheckInCode = (appointment) =>
+  `${CODE_PREFIX}.${appointment.id}.${signature(appointment.id, appointment.appointment_date)}`;
+
+// Koddan rezervasiya id-si; format səhvdirsə null
+const parseCheckInCode = (code) => {
+  const parts = String(code || "").trim().split(".");
+  if (parts.length !== 3 || parts[0] !== CODE_PREFIX || !parts[1] || !parts[2]) return null;
+  return { appointmentId: parts[1], signature: parts[2] };
+};
+
+const verifyCheckInCode = (appointment, code) => {
+  const parsed = parseCheckInCode(code);
+  if (!parsed || parsed.appointmentId !== appointment.id) return false;
+  const expected = Buffer.from(signature(appointment.id, appointment.appointment_date));
+  const actual = Buffer.from(parsed.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Başlanğıcdan WINDOW_BEFORE əvvəl açılır, WINDOW_AFTER sonra (ən gec bitişdə) bağlanır
+const getCheckInWindow = (appointment) => {
+  const start = appointment.appointment_date.getTime();
+  const end = start + appointment.duration_hours * 60 * MINUTE_MS;
+  return {
+    opens_at: new Date(start - WINDOW_BEFORE_MINUTES * MINUTE_MS),
+    closes_at: new Date(Math.min(end, start + WINDOW_AFTER_MINUTES * MINUTE_MS)),
+  };
+};
+
+// Kod və vaxt yoxlaması; uyğun deyilsə statusCode-lu xəta atır
+const assertCheckInAllowed = (appointment, code, now = new Date()) => {
+  if (!verifyCheckInCode(appointment, code)) {
+    throw checkInError("Invalid check-in code");
+  }
+  if (appointment.status === "checked_in") {
+    throw checkInError("Appointment is already checked in", 409);
+  }
+  if (appointment.status !== "confirmed") {
+    throw checkInError(`Cannot check in ${appointment.status} appointments`);
+  }
+
+  const { opens_at: opensAt, closes_at: closesAt } = getCheckInWindow(appointment);
+  if (now < opensAt) {
+    throw checkInError(`Check-in opens at ${opensAt.toISOString()}`);
+  }
+  if (now > closesAt) {
+    throw checkInError("Check-in window has closed");
+  }
+};
+
+module.exports = {
+  CODE_PREFIX,
+  WINDOW_BEFORE_MINUTES,
+  WINDOW_AFTER_MINUTES,
+  signCheckInCode,
+  parseCheckInCode,
+  verifyCheckInCode,
+  getCheckInWindow,
+  assertCheckInAllowed,
+};
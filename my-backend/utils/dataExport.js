@@ -0,0 +1,106 @@
+const archiver = require("archiver");
+const User = require("../models/User");
+const Appointment = require("../models/Appointment");
+const AppointmentSeries = require("../models/AppointmentSeries");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Review = require("../models/Review");
+const Blog = require("../models/Blog");
+const Contact = require("../models/Contact");
+const Partner = require("../models/Partner");
+const Venue = require("../models/Venue");
+const Session = require("../models/Session");
+const Notification = require("../models/Notification");
+const Payment = require("../models/Payment");
+
+// İstifadəçiyə aid bütün məlumatlar (gizli sahələr — şifrə, 2FA secret — daxil deyil)
+const buildUserExport = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const id = String(user._id);
+  delete user.password;
+  delete user.token_version;
+  if (user.two_factor) {
+    user.two_factor = {
+      enabled: user.two_factor.enabled,
+      enabled_at: user.two_factor.enabled_at,
+    };
+  }
+
+  const [
+    appointments,
+    appointmentSeries,
+    waitlist,
+    reviews,
+    blogs,
+    contacts,
+    partners,
+    venues,
+    sessions,
+    notifications,
+    payments,
+  ] = await Promise.all([
+    Appointment.find({ user_id: id }).sort({ appointment_date: -1 }).lean(),
+    AppointmentSeries.find({ user_id: id }).sort({ created_at: -1 }).lean(),
+    WaitlistEntry.find({ user_id: id }).sort({ created_at: -1 }).lean(),
+    Review.find({ user_id: id }).sort({ created_at: -1 }).lean(),
+    Blog.find({ author_id: user._id }).sort({ createdAt: -1 }).lean(),
+    user.email
+      ? Contact.find({ email: user.email }).sort({ created_at: -1 }).lean()
+      : [],
+    Partner.find({ $or: [{ user: user._id }, { "claim.user": user._id }] }).lean(),
+    Venue.find({ $or: [{ owner_id: user._id }, { managers: user._id }] })
+      .select("name location owner_id managers")
+      .lean(),
+    Session.find({ user_id: user._id })
+      .select("method device_id user_agent ip created_at last_seen_at revoked_at")
+      .sort({ created_at: -1 })
+      .lean(),
+    Notification.find({ user_id: id }).sort({ created_at: -1 }).lean(),
+    Payment.find({ user_id: id }).sort({ created_at: -1 }).lean(),
+  ]);
+
+  return {
+    generated_at: new Date(),
+    user,
+    appointments,
+    appointment_series: appointmentSeries,
+    waitlist,
+    reviews,
+    blogs,
+    contacts,
+    partners,
+    venues,
+    sessions,
+    notifications,
+    payments,
+  };
+};
+
+// ZIP arxivi: hər bölmə ayrı JSON faylı kimi
+const streamExportZip = (data, res, filename) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+
+  res.attachment(filename);
+  archive.on("error", (err) => {
+    console.error("Export archive error:", err);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  const { generated_at: generatedAt, ...sections } = data;
+  Object.entries(sections).forEach(([section, value]) => {
+    archive.append(JSON.stringify(value, null, 2), { name: `${section}.json` });
+  });
+  archive.append(
+    JSON.stringify({ generated_at: generatedAt, sections: Object.keys(sections) }, null, 2),
+    { name: "manifest.json" }
+  );
+
+  return archive.finalize();
+};
+
+module.exports = {
+  buildUserExport,
+  streamExportZip,
+};
@@ -0,0 +1,112 @@
+// RFC 5545 (iCalendar) çıxışı: tək rezervasiya üçün .ics və abunə feed-ləri.
+// Vaxtlar UTC ilə yazılır, təqvim proqramı özü yerli vaxta çevirir.
+
+const PRODID = "-//GencFit//Bookings//AZ";
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || "gencfit.az";
+
+// Rezervasiya statusu -> VEVENT STATUS
+const EVENT_STATUS = {
+  pending: "TENTATIVE",
+  confirmed: "CONFIRMED",
+  checked_in: "CONFIRMED",
+  completed: "CONFIRMED",
+  no_show: "CONFIRMED",
+  cancelled: "CANCELLED",
+  rejected: "CANCELLED",
+  expired: "CANCELLED",
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Date -> "20300101T150000Z"
+const formatUtc = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// TEXT dəyərlərində \ ; , və sətir sonu escape olunur
+const escapeText = (value) =>
+  String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Sətirlər 75 baytdan uzun olmamalıdır; davamı boşluqla başlayır.
+// UTF-8 simvolları (ə, ş, ç) ortadan bölünmür.
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length ? 74 : 75;
+    if (bytes + size > limit) {
+      chunks.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+// Hər dəyişiklikdə (status, vaxt) artır ki, təqvim hadisəni yeniləsin
+const eventSequence = (appointment) =>
+  (appointment.status_history || []).length + (appointment.reschedule_count || 0);
+
+const buildEvent = (appointment, { summary, description = "", now = new Date() } = {}) => {
+  const start = appointment.appointment_date;
+  const end = new Date(start.getTime() + appointment.duration_hours * 60 * 60 * 1000);
+  const location = [appointment.venue_name, appointment.resource_name].filter(Boolean).join(", ");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${appointment.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary || appointment.venue_name)}`,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    `STATUS:${EVENT_STATUS[appointment.status] || "CONFIRMED"}`,
+    `SEQUENCE:${eventSequence(appointment)}`,
+    appointment.updated_at ? `LAST-MODIFIED:${formatUtc(appointment.updated_at)}` : null,
+    "END:VEVENT",
+  ].filter(Boolean);
+};
+
+// VCALENDAR: events buildEvent-in qaytardığı sətir massivləridir
+const buildCalendar = ({ name, timezone, events = [] }) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    timezone ? `X-WR-TIMEZONE:${timezone}` : null,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ]
+    .filter(Boolean)
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+// .ics cavabı
+const sendCalendar = (res, body, filename) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(body);
+};
+
+module.exports = {
+  EVENT_STATUS,
+  formatUtc,
+  escapeText,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+  sendCalendar,
+};
@@ -0,0 +1,70 @@
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const { hasPermission } = require("../config/permissions");
+const { getClientIp } = require("./auth");
+
+const IMPERSONATION_HEADER = "X-Impersonated-By";
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Audit qeydi yaz; log xətası sorğunu pozmasın
+const recordAudit = (req, { actorId, userId, action, statusCode, meta }) =>
+  AuditLog.create({
+    actor_id: actorId,
+    user_id: userId || null,
+    action,
+    method: req.method,
+    path: req.originalUrl,
+    status_code: statusCode ?? null,
+    ip: getClientIp(req),
+    user_agent: req.headers["user-agent"] || "",
+    meta,
+  }).catch((err) => console.error("Audit log error:", err));
+
+// Token-dakı act claim-i üzrə adminin hələ də icazəli olduğunu yoxla.
+// Admin çıxış edibsə (token_version dəyişib) və ya icazəsi alınıbsa null.
+const loadImpersonator = async (decoded) => {
+  if (!decoded.act?.sub) return null;
+
+  const actor = await User.findById(decoded.act.sub).select(
+    "_id full_name email role is_active token_version"
+  );
+  if (!actor || !actor.is_active) return null;
+  if ((decoded.act.tv || 0) !== (actor.token_version || 0)) return null;
+  if (!hasPermission(actor, "users:impersonate")) return null;
+  return actor;
+};
+
+// Sorğunu impersonation kimi işarələ: header, cavab bayrağı və yazma əməliyyatlarının auditi
+const applyImpersonation = (req, res, actor) => {
+  req.impersonator = actor;
+  res.set(IMPERSONATION_HEADER, actor._id.toString());
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === "object" && !Array.isArray(body)) {
+      body = {
+        ...body,
+        impersonation: { active: true, impersonator_id: actor._id.toString() },
+      };
+    }
+    return originalJson(body);
+  };
+
+  if (!READ_METHODS.includes(req.method)) {
+    res.on("finish", () => {
+      recordAudit(req, {
+        actorId: actor._id,
+        userId: req.user?._id,
+        action: "impersonation.write",
+        statusCode: res.statusCode,
+      });
+    });
+  }
+};
+
+module.exports = {
+  IMPERSONATION_HEADER,
+  recordAudit,
+  loadImpersonator,
+  applyImpersonation,
+};
@@ -0,0 +1,129 @@
+const bcrypt = require("bcryptjs");
+const LoginThrottle = require("../models/LoginThrottle");
+const User = require("../models/User");
+
+const WINDOW_MS = 15 * 60 * 1000;
+const MAX_EMAIL_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+const BASE_LOCK_MS = 15 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+const MAX_LOCKOUT_EVENTS = 50;
+
+// Naməlum email-lər üçün də bcrypt işləsin ki, cavab vaxtı fərqlənməsin
+const DUMMY_HASH = bcrypt.hashSync("gencfit-dummy-password", 10);
+
+const emailKey = (email) => `email:${String(email || "").trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// 1-ci kilid 15 dəq, sonra 30, 60... maksimum 24 saat
+const lockDuration = (lockoutCount) =>
+  Math.min(BASE_LOCK_MS * 2 ** Math.max(lockoutCount - 1, 0), MAX_LOCK_MS);
+
+// Return the lock expiry for a key, or null if not locked
+const getLock = async (key) => {
+  const doc = await LoginThrottle.findOne({ key, lock_until: { $gt: new Date() } });
+  return doc ? doc.lock_until : null;
+};
+
+// Uğursuz cəhdi say; limit keçilibsə kilid qoy və kilid bitmə vaxtını qaytar
+const registerFailure = async (key, maxAttempts) => {
+  const now = new Date();
+
+  // Pəncərə bitibsə sayğacı sıfırla
+  await LoginThrottle.updateOne(
+    { key, window_started_at: { $lt: new Date(now.getTime() - WINDOW_MS) } },
+    { $set: { failed_attempts: 0, window_started_at: now } }
+  );
+
+  const doc = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failed_attempts: 1 },
+      $set: { last_failed_at: now },
+      $setOnInsert: { window_started_at: now, lockout_count: 0 },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (doc.failed_attempts < maxAttempts) return null;
+
+  const lockUntil = new Date(now.getTime() + lockDuration(doc.lockout_count + 1));
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { key, failed_attempts: { $gte: maxAttempts } },
+    {
+      $set: { failed_attempts: 0, window_started_at: now, lock_until: lockUntil },
+      $inc: { lockout_count: 1 },
+    },
+    { new: true }
+  );
+  return locked ? lockUntil : null;
+};
+
+const recordUserEvent = (userId, event) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        lockout_events: {
+          $each: [{ ...event, at: new Date() }],
+          $slice: -MAX_LOCKOUT_EVENTS,
+        },
+      },
+    }
+  );
+
+// Login-dən əvvəl: IP və ya email kilidlidirsə kilidin bitmə vaxtı
+const checkLoginLock = async (email, ip) => {
+  const [ipLock, emailLock] = await Promise.all([
+    getLock(ipKey(ip)),
+    getLock(emailKey(email)),
+  ]);
+  if (!ipLock) return emailLock;
+  if (!emailLock) return ipLock;
+  return ipLock > emailLock ? ipLock : emailLock;
+};
+
+// Uğursuz login: həm IP, həm email sayğacı artır (email mövcud olmasa belə)
+const registerLoginFailure = async (email, ip, user = null) => {
+  const [ipLock, emailLock] = await Promise.all([
+    registerFailure(ipKey(ip), MAX_IP_ATTEMPTS),
+    registerFailure(emailKey(email), MAX_EMAIL_ATTEMPTS),
+  ]);
+
+  if (user) {
+    if (emailLock) {
+      await recordUserEvent(user._id, { type: "locked", scope: "account", ip, until: emailLock });
+    }
+    if (ipLock) {
+      await recordUserEvent(user._id, { type: "locked", scope: "ip", ip, until: ipLock });
+    }
+  }
+};
+
+// Uğurlu login hesab sayğacını sıfırlayır (IP sayğacı qalır)
+const registerLoginSuccess = (email) =>
+  LoginThrottle.deleteOne({ key: emailKey(email) });
+
+// Admin: hesabın kilidini aç
+const unlockAccount = async (user, adminId) => {
+  await LoginThrottle.deleteOne({ key: emailKey(user.email) });
+  await recordUserEvent(user._id, { type: "unlocked", scope: "account", by: adminId });
+};
+
+const getAccountLock = (email) => getLock(emailKey(email));
+
+// Naməlum email üçün saxta müqayisə (timing attack-a qarşı)
+const fakePasswordCompare = (password) =>
+  bcrypt.compare(String(password || ""), DUMMY_HASH);
+
+module.exports = {
+  MAX_EMAIL_ATTEMPTS,
+  MAX_IP_ATTEMPTS,
+  lockDuration,
+  checkLoginLock,
+  registerLoginFailure,
+  registerLoginSuccess,
+  unlockAccount,
+  getAccountLock,
+  fakePasswordCompare,
+};
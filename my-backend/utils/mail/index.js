@@ -0,0 +1,49 @@
+const createSmtpTransport = require("./transports/smtp");
+const createFileTransport = require("./transports/file");
+const createConsoleTransport = require("./transports/console");
+
+// Hər transport { name, send({ to, subject, text, html }) } formasındadır
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+// Məktubları loga/fayla yazanlar: production-da real transport məcburidir
+const DEV_TRANSPORTS = ["console", "file"];
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const factory = transports[name];
+    if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+    if (process.env.NODE_ENV === "production" && DEV_TRANSPORTS.includes(name)) {
+      throw new Error(`MAIL_TRANSPORT must be a real transport in production (got "${name}")`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+// Testlərdə öz transportunu qoşmaq üçün
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Send an email through the active transport
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "GəncFit <no-reply@gencfit.az>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+};
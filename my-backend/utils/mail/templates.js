@@ -0,0 +1,102 @@
+const { DEFAULT_TIMEZONE } = require("../timezone");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+const escapeHtml = (value) =>
+  String(value || "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const passwordReset = (user, token) => {
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+  return {
+    to: user.email,
+    subject: "GəncFit: Şifrənin bərpası",
+    text:
+      `Salam, ${user.full_name}!\n\n` +
+      `Şifrənizi yeniləmək üçün linkə keçin (1 saat etibarlıdır):\n${link}\n\n` +
+      "Bu sorğunu siz göndərməmisinizsə, məktubu nəzərə almayın.",
+    html:
+      `<p>Salam, ${escapeHtml(user.full_name)}!</p>` +
+      `<p>Şifrənizi yeniləmək üçün <a href="${link}">bu linkə</a> keçin (1 saat etibarlıdır).</p>` +
+      "<p>Bu sorğunu siz göndərməmisinizsə, məktubu nəzərə almayın.</p>",
+  };
+};
+
+const emailVerification = (user, token) => {
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+  return {
+    to: user.email,
+    subject: "GəncFit: E-poçtunuzu təsdiqləyin",
+    text:
+      `Salam, ${user.full_name}!\n\n` +
+      `E-poçt ünvanınızı təsdiqləmək üçün linkə keçin:\n${link}`,
+    html:
+      `<p>Salam, ${escapeHtml(user.full_name)}!</p>` +
+      `<p>E-poçt ünvanınızı təsdiqləmək üçün <a href="${link}">bu linkə</a> keçin.</p>`,
+  };
+};
+
+// Rezervasiya vaxtı (default olaraq Bakı vaxtı ilə)
+const formatSlot = (date, timeZone = DEFAULT_TIMEZONE) =>
+  new Date(date).toLocaleString("az-AZ", { timeZone });
+
+// Növbədəki istifadəçiyə slot boşaldı
+const waitlistOffer = (user, entry) => {
+  const link = `${FRONTEND_URL}/waitlist/${entry.id}`;
+  const slot = `${entry.venue_name}, ${formatSlot(entry.start_at)}`;
+  const until = formatSlot(entry.offer_expires_at);
+  return {
+    to: user.email,
+    subject: "GəncFit: Gözlədiyiniz vaxt boşaldı",
+    text:
+      `Salam, ${user.full_name}!\n\n` +
+      `${slot} üçün yer boşaldı. ${until} qədər təsdiqləyin:\n${link}`,
+    html:
+      `<p>Salam, ${escapeHtml(user.full_name)}!</p>` +
+      `<p>${escapeHtml(slot)} üçün yer boşaldı. ` +
+      `<a href="${link}">${escapeHtml(until)} qədər təsdiqləyin</a>.</p>`,
+  };
+};
+
+// Növbədən avtomatik rezerv olundu
+const waitlistBooked = (user, entry) => {
+  const slot = `${entry.venue_name}, ${formatSlot(entry.start_at)}`;
+  return {
+    to: user.email,
+    subject: "GəncFit: Rezervasiyanız təsdiqləndi",
+    text: `Salam, ${user.full_name}!\n\nNövbədə olduğunuz ${slot} sizin üçün rezerv olundu.`,
+    html:
+      `<p>Salam, ${escapeHtml(user.full_name)}!</p>` +
+      `<p>Növbədə olduğunuz ${escapeHtml(slot)} sizin üçün rezerv olundu.</p>`,
+  };
+};
+
+// "24 saat", "45 dəqiqə"
+const formatDuration = (minutes) =>
+  minutes >= 60 ? `${Math.round(minutes / 60)} saat` : `${minutes} dəqiqə`;
+
+// Rezervasiyadan əvvəl xatırlatma (minutesLeft: başlanğıca nə qədər qalıb)
+const appointmentReminder = (user, appointment, minutesLeft) => {
+  const link = `${FRONTEND_URL}/appointments/${appointment.id}`;
+  const slot = `${appointment.venue_name}, ${formatSlot(appointment.appointment_date, appointment.timezone)}`;
+  const text = `${formatDuration(minutesLeft)} sonra rezervasiyanız var: ${slot}.`;
+  return {
+    to: user.email,
+    subject: "GəncFit: Rezervasiya xatırlatması",
+    text: `Salam, ${user.full_name}!\n\n${text}\n${link}`,
+    html:
+      `<p>Salam, ${escapeHtml(user.full_name)}!</p>` +
+      `<p>${escapeHtml(text)} <a href="${link}">Ətraflı</a></p>`,
+    // SMS və tətbiqdaxili bildiriş üçün qısa variant
+    sms: `GencFit: ${text}`,
+    title: "Rezervasiya xatırlatması",
+    body: text,
+  };
+};
+
+module.exports = {
+  passwordReset,
+  emailVerification,
+  waitlistOffer,
+  waitlistBooked,
+  appointmentReminder,
+};
@@ -0,0 +1,11 @@
+// Məktubu sadəcə log-a yazır (development default)
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log("[MAIL MOCK] to:", message.to, "subject:", message.subject);
+    console.log(message.text);
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,23 @@
+const fs = require("fs");
+const path = require("path");
+
+// Məktubları .json faylı kimi diskə yazır (offline test üçün)
+const createFileTransport = () => {
+  const dir =
+    process.env.MAIL_FILE_DIR || path.join(__dirname, "../../../tmp/mails");
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`
+      );
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { messageId: path.basename(file), file };
+    },
+  };
+};
+
+module.exports = createFileTransport;
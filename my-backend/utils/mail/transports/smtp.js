@@ -0,0 +1,24 @@
+const nodemailer = require("nodemailer");
+
+// SMTP transport (real mail server)
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,11 @@
+const { sendMail } = require("../../mail");
+
+// E-poçt kanalı: mail transportu ilə
+const createEmailChannel = () => ({
+  name: "email",
+  canDeliver: (user) => Boolean(user.email),
+  send: (user, message) =>
+    sendMail({ to: user.email, subject: message.subject, text: message.text, html: message.html }),
+});
+
+module.exports = createEmailChannel;
@@ -0,0 +1,17 @@
+const Notification = require("../../../models/Notification");
+
+// Tətbiqdaxili kanal: bildiriş bazaya yazılır, GET /api/notifications ilə oxunur
+const createInAppChannel = () => ({
+  name: "in_app",
+  canDeliver: () => true,
+  send: (user, message) =>
+    Notification.create({
+      user_id: String(user._id),
+      type: message.type,
+      title: message.title || message.subject,
+      body: message.body || message.text,
+      data: message.data,
+    }),
+});
+
+module.exports = createInAppChannel;
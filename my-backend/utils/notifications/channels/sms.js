@@ -0,0 +1,10 @@
+const { sendSMS } = require("../../sms");
+
+// SMS kanalı: yalnız təsdiqlənmiş nömrəyə
+const createSmsChannel = () => ({
+  name: "sms",
+  canDeliver: (user) => Boolean(user.phone && user.is_phone_verified),
+  send: (user, message) => sendSMS(user.phone, message.sms || message.text),
+});
+
+module.exports = createSmsChannel;
@@ -0,0 +1,36 @@
+const createEmailChannel = require("./channels/email");
+const createSmsChannel = require("./channels/sms");
+const createInAppChannel = require("./channels/inApp");
+
+// Hər kanal { name, canDeliver(user), send(user, message) } formasındadır.
+// message: { type, subject, text, html, sms, title, body, data }
+const channels = new Map(
+  [createEmailChannel(), createSmsChannel(), createInAppChannel()].map((channel) => [
+    channel.name,
+    channel,
+  ])
+);
+
+const getChannels = () => [...channels.values()];
+
+const getChannel = (name) => channels.get(name) || null;
+
+// Yeni kanal qoşmaq (məs. push) və ya testlərdə mövcudunu əvəz etmək üçün
+const registerChannel = (channel) => {
+  channels.set(channel.name, channel);
+};
+
+// İstifadəçinin seçimlərinə görə aktiv kanallar (seçimi olmayan kanal açıqdır)
+const getUserChannels = (user) => {
+  const preferences = user.notification_preferences?.channels || {};
+  return getChannels().filter(
+    (channel) => preferences[channel.name] !== false && channel.canDeliver(user)
+  );
+};
+
+module.exports = {
+  getChannels,
+  getChannel,
+  registerChannel,
+  getUserChannels,
+};
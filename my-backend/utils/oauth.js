@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { signPurposeToken, verifyPurposeToken } = require("./auth");
+
+// Link niyyəti sessiyada bu qədər saxlanır
+const LINK_INTENT_TTL_MS = 5 * 60 * 1000;
+
+// Redirect-də frontend-ə ötürülən xəta kodu ilə
+const oauthError = (oauthCode, message) =>
+  Object.assign(new Error(message || oauthCode), { oauthCode });
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// State JWT: redirect və link məlumatı (10 dəq). nonce axını başladan brauzerin
+// sessiyasında da saxlanır, callback-də tutuşdurulur (login CSRF / yad link qarşısına)
+const createOAuthState = (session, { provider, redirect, linkUserId }) => {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  session.oauth_nonce = nonce;
+  return signPurposeToken(
+    { provider, redirect, nonce, link_user_id: linkUserId || undefined },
+    "oauth_state",
+    "10m"
+  );
+};
+
+// nonce birdəfəlikdir: uğurlu və ya uğursuz, sessiyadan silinir
+const readOAuthState = (session, token, provider) => {
+  const expected = session && session.oauth_nonce;
+  if (session) delete session.oauth_nonce;
+
+  const decoded = verifyPurposeToken(token, "oauth_state");
+  if (decoded.provider !== provider) throw new Error("State provider mismatch");
+  if (!safeEqual(decoded.nonce, expected)) throw new Error("State nonce mismatch");
+  return decoded;
+};
+
+// Login olmuş istifadəçinin "bu provider-i bağla" niyyəti sessiyada qalır
+// (URL-də token gəzmir, başqasına göndərilən link işləmir)
+const setLinkIntent = (session, userId, provider) => {
+  session.oauth_link = {
+    user_id: String(userId),
+    provider,
+    expires_at: Date.now() + LINK_INTENT_TTL_MS,
+  };
+};
+
+// Niyyəti götür və sil; yoxdursa və ya vaxtı keçibsə null
+const takeLinkIntent = (session, provider) => {
+  const intent = session && session.oauth_link;
+  if (!intent) return null;
+  delete session.oauth_link;
+  if (intent.provider !== provider || intent.expires_at <= Date.now()) return null;
+  return intent.user_id;
+};
+
+// Redirect URL-ə query parametrləri əlavə et
+const buildRedirectUrl = (base, params) => {
+  const url = new URL(base);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const findByIdentity = (provider, providerId) =>
+  User.findOne({
+    identities: { $elemMatch: { provider, provider_id: providerId } },
+  });
+
+// Mövcud hesaba provider identity-si bağla
+const linkIdentity = async (userId, provider, profile) => {
+  const owner = await findByIdentity(provider, profile.provider_id);
+  if (owner && String(owner._id) !== String(userId)) {
+    throw oauthError("identity_in_use", "This account is already linked to another user");
+  }
+  if (owner) return owner;
+
+  const user = await User.findById(userId);
+  if (!user || !user.is_active) throw oauthError("user_not_found");
+  if (user.identities.some((i) => i.provider === provider)) {
+    throw oauthError("provider_already_linked", "Another account of this provider is already linked");
+  }
+
+  user.identities.push({
+    provider,
+    provider_id: profile.provider_id,
+    email: profile.email,
+  });
+  await user.save();
+  return user;
+};
+
+// Provider profilinə görə istifadəçini tap, bağla və ya yarat.
+// linkUserId verilibsə, identity həmin (login olmuş) istifadəçiyə bağlanır.
+const resolveOAuthUser = async (provider, profile, { linkUserId } = {}) => {
+  if (!profile.provider_id) throw oauthError("invalid_profile");
+
+  if (linkUserId) return linkIdentity(linkUserId, provider, profile);
+
+  const existing = await findByIdentity(provider, profile.provider_id);
+  if (existing) return existing;
+
+  if (!profile.email) throw oauthError("email_required");
+
+  const byEmail = await User.findOne({ email: profile.email });
+  if (byEmail) {
+    // Təsdiqlənməmiş email ilə başqasının hesabını ələ keçirməmək üçün
+    if (!profile.email_verified) throw oauthError("email_not_verified");
+
+    byEmail.identities.push({
+      provider,
+      provider_id: profile.provider_id,
+      email: profile.email,
+    });
+    byEmail.is_email_verified = true;
+    await byEmail.save();
+    return byEmail;
+  }
+
+  return User.create({
+    email: profile.email,
+    full_name: profile.full_name || profile.email,
+    is_email_verified: Boolean(profile.email_verified),
+    identities: [
+      { provider, provider_id: profile.provider_id, email: profile.email },
+    ],
+  });
+};
+
+module.exports = {
+  oauthError,
+  createOAuthState,
+  readOAuthState,
+  setLinkIntent,
+  takeLinkIntent,
+  buildRedirectUrl,
+  resolveOAuthUser,
+};
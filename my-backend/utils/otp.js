@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const OtpCode = require("../models/OtpCode");
+const { authError } = require("./auth");
+const { sendSMS } = require("./sms");
+
+const CODE_TTL_MS = (parseInt(process.env.OTP_TTL_MINUTES) || 5) * 60 * 1000;
+const RESEND_COOLDOWN_MS = (parseInt(process.env.OTP_RESEND_SECONDS) || 60) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const MAX_SENDS_PER_WINDOW = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+// 6 rəqəmli kod üçün sadə sha256 brute-force-a açıqdır, ona görə HMAC
+const hashOtp = (phone, code) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${phone}:${code}`)
+    .digest("hex");
+
+const otpError = (message, statusCode, retryAfterMs) =>
+  Object.assign(authError(message, statusCode), {
+    retryAfter: retryAfterMs ? Math.ceil(retryAfterMs / 1000) : undefined,
+  });
+
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+// Yeni kod yarat və SMS ilə göndər (cooldown və saatlıq limitlə)
+const requestOtp = async (phone) => {
+  const now = Date.now();
+  const existing = await OtpCode.findOne({ phone });
+
+  let sendCount = 1;
+  let windowStartedAt = new Date(now);
+
+  if (existing) {
+    const sinceLastSend = now - existing.last_sent_at.getTime();
+    if (sinceLastSend < RESEND_COOLDOWN_MS) {
+      throw otpError(
+        "Please wait before requesting a new code",
+        429,
+        RESEND_COOLDOWN_MS - sinceLastSend
+      );
+    }
+
+    const windowEnd = existing.window_started_at.getTime() + SEND_WINDOW_MS;
+    if (windowEnd > now) {
+      if (existing.send_count >= MAX_SENDS_PER_WINDOW) {
+        throw otpError("Too many codes requested. Please try again later.", 429, windowEnd - now);
+      }
+      sendCount = existing.send_count + 1;
+      windowStartedAt = existing.window_started_at;
+    }
+  }
+
+  const code = generateCode();
+  await OtpCode.findOneAndUpdate(
+    { phone },
+    {
+      $set: {
+        code_hash: hashOtp(phone, code),
+        attempts: 0,
+        expires_at: new Date(now + CODE_TTL_MS),
+        consumed_at: null,
+        send_count: sendCount,
+        window_started_at: windowStartedAt,
+        last_sent_at: new Date(now),
+      },
+      $setOnInsert: { created_at: new Date(now) },
+    },
+    { upsert: true }
+  );
+
+  await sendSMS(phone, `GəncFit təsdiq kodunuz: ${code}. Kod ${CODE_TTL_MS / 60000} dəqiqə etibarlıdır.`);
+
+  return {
+    expires_in: CODE_TTL_MS / 1000,
+    resend_in: RESEND_COOLDOWN_MS / 1000,
+  };
+};
+
+// Kodu yoxla; uğurlu olarsa kod istifadə olunmuş sayılır.
+// Hər yoxlama cəhdi atomik sayılır, limit keçiləndə yeni kod lazımdır.
+const verifyOtp = async (phone, code) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    throw otpError("Code is invalid or expired", 400);
+  }
+
+  const doc = await OtpCode.findOneAndUpdate(
+    {
+      phone,
+      consumed_at: null,
+      expires_at: { $gt: new Date() },
+      attempts: { $lt: MAX_ATTEMPTS },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!doc) {
+    const exhausted = await OtpCode.exists({ phone, attempts: { $gte: MAX_ATTEMPTS } });
+    if (exhausted) {
+      throw otpError("Too many attempts. Please request a new code.", 429);
+    }
+    throw otpError("Code is invalid or expired", 400);
+  }
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(doc.code_hash),
+    Buffer.from(hashOtp(phone, normalized))
+  );
+  if (!matches) {
+    throw otpError("Code is invalid or expired", 400);
+  }
+
+  // Eyni kodla paralel iki yoxlama gəlsə yalnız biri keçsin
+  const consumed = await OtpCode.findOneAndUpdate(
+    { _id: doc._id, consumed_at: null },
+    { $set: { consumed_at: new Date() } }
+  );
+  if (!consumed) {
+    throw otpError("Code is invalid or expired", 400);
+  }
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+};
@@ -0,0 +1,187 @@
+const Payment = require("../../models/Payment");
+const Appointment = require("../../models/Appointment");
+const createMockProvider = require("./providers/mock");
+const {
+  PAYMENT_STATUSES,
+  OPEN_PAYMENT_STATUSES,
+  EVENT_STATUS,
+  canTransitionPayment,
+  toAppointmentPaymentStatus,
+} = require("./status");
+
+// Hər provider { name, createPayment, capturePayment, refundPayment,
+// cancelPayment, verifyWebhook(rawBody, headers) } formasındadır
+const providers = {
+  mock: createMockProvider,
+};
+
+let activeProvider = null;
+
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || "mock";
+    const factory = providers[name];
+    if (!factory) throw new Error(`Unknown payment provider: ${name}`);
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+// Testlərdə öz provider-ini qoşmaq üçün
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+const paymentError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+// Statusu atomik dəyiş: eyni webhook hadisəsi iki dəfə emal olunmur, köhnə
+// hadisə statusu geri qaytarmır. Rezervasiyanın payment_status-u da yenilənir.
+const applyPaymentStatus = async (payment, status, { type, eventId = null } = {}) => {
+  if (!canTransitionPayment(payment.status, status)) {
+    return { payment, changed: false };
+  }
+
+  const allowedFrom = PAYMENT_STATUSES.filter((from) => canTransitionPayment(from, status));
+  const now = new Date();
+  const updated = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: allowedFrom },
+      ...(eventId ? { "events.event_id": { $ne: eventId } } : {}),
+    },
+    {
+      $set: { status, updated_at: now },
+      $push: { events: { event_id: eventId, type, status, at: now } },
+    },
+    { new: true }
+  );
+  if (!updated) return { payment, changed: false };
+
+  await Appointment.updateOne(
+    { id: updated.appointment_id },
+    { $set: { payment_status: toAppointmentPaymentStatus(status), updated_at: now } }
+  );
+  return { payment: updated, changed: true };
+};
+
+// Rezervasiya üçün ödəniş başlat (qiymət rezerv anında hesablanıb)
+const createPayment = async (appointment) => {
+  const provider = getProvider();
+  const result = await provider.createPayment({
+    amount: appointment.price.amount,
+    currency: appointment.price.currency,
+    reference: appointment.id,
+    description: [appointment.venue_name, appointment.resource_name].filter(Boolean).join(", "),
+  });
+
+  const payment = await Payment.create({
+    appointment_id: appointment.id,
+    user_id: appointment.user_id,
+    provider: provider.name,
+    provider_payment_id: result.provider_payment_id,
+    amount: appointment.price.amount,
+    currency: appointment.price.currency,
+    checkout_url: result.checkout_url || null,
+    events: [{ type: "created", status: "pending" }],
+  });
+
+  // Bəzi provider-lər ödənişi dərhal təsdiqləyir
+  if (result.status && result.status !== "pending") {
+    return (await applyPaymentStatus(payment, result.status, { type: "created" })).payment;
+  }
+  return payment;
+};
+
+// Provider əməliyyatı (capture/refund/cancel) və cavabdakı status
+const runProviderAction = async (payment, action, type) => {
+  const provider = getProvider();
+  if (payment.provider !== provider.name) {
+    throw paymentError(`Payment provider ${payment.provider} is not active`, 409);
+  }
+  const result = await provider[action]({
+    provider_payment_id: payment.provider_payment_id,
+    amount: payment.amount,
+    currency: payment.currency,
+  });
+  return (await applyPaymentStatus(payment, result.status, { type })).payment;
+};
+
+const capturePayment = (payment) => {
+  if (payment.status !== "authorized") {
+    throw paymentError(`Cannot capture ${payment.status} payments`);
+  }
+  return runProviderAction(payment, "capturePayment", "capture");
+};
+
+const refundPayment = (payment) => {
+  if (payment.status !== "paid") {
+    throw paymentError(`Cannot refund ${payment.status} payments`);
+  }
+  return runProviderAction(payment, "refundPayment", "refund");
+};
+
+const cancelPayment = (payment) => {
+  if (!["pending", "authorized"].includes(payment.status)) {
+    throw paymentError(`Cannot cancel ${payment.status} payments`);
+  }
+  return runProviderAction(payment, "cancelPayment", "cancel");
+};
+
+const findOpenPayment = (appointmentId) =>
+  Payment.findOne({ appointment_id: appointmentId, status: { $in: OPEN_PAYMENT_STATUSES } }).sort({
+    created_at: -1,
+  });
+
+// Rezervasiya ləğv / imtina olunanda: təsdiq (authorization) ləğv olunur,
+// ödənilmiş məbləğ qaytarılır. Gec ləğvdə pul venue-da qalır.
+const releaseAppointmentPayment = async (appointment) => {
+  if (appointment.late_cancellation) return null;
+  const payment = await findOpenPayment(appointment.id);
+  if (!payment) return null;
+  return payment.status === "paid" ? refundPayment(payment) : cancelPayment(payment);
+};
+
+// İmzalı webhook: hadisə provider tərəfindən yoxlanılır və statusa çevrilir
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider();
+  if (provider.name !== providerName) {
+    throw paymentError("Unknown payment provider", 404);
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody || "", headers);
+  } catch (err) {
+    throw paymentError(err.message, err.statusCode || 400);
+  }
+
+  const status = EVENT_STATUS[event.type];
+  if (!status) return { handled: false, reason: "ignored_event_type" };
+
+  const payment = await Payment.findOne({
+    provider: provider.name,
+    provider_payment_id: event.payment_id,
+  });
+  if (!payment) return { handled: false, reason: "unknown_payment" };
+
+  const result = await applyPaymentStatus(payment, status, { type: event.type, eventId: event.id });
+  return {
+    handled: result.changed,
+    reason: result.changed ? null : "duplicate_or_stale",
+    payment: result.payment,
+  };
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  applyPaymentStatus,
+  createPayment,
+  capturePayment,
+  refundPayment,
+  cancelPayment,
+  findOpenPayment,
+  releaseAppointmentPayment,
+  handleWebhook,
+};
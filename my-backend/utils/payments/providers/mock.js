@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const { SIGNATURE_HEADER, signPayload, verifySignature } = require("../signature");
+
+// Pul çəkmir: hər əməliyyat dərhal uğurlu olur (development və testlər).
+// Müştərinin ödəməsi signWebhook ilə imzalanmış hadisə kimi simulyasiya olunur.
+const createMockProvider = () => {
+  // Ayrıca secret olmadan webhook qəbul edilmir
+  const webhookSecret = () => {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      throw Object.assign(new Error("PAYMENT_WEBHOOK_SECRET is not configured"), { statusCode: 400 });
+    }
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+  };
+
+  return {
+    name: "mock",
+    createPayment: async ({ amount, currency }) => {
+      console.log("[PAYMENT MOCK] create:", amount, currency);
+      return { provider_payment_id: `mock_${crypto.randomUUID()}`, status: "pending", checkout_url: null };
+    },
+    capturePayment: async ({ provider_payment_id: id }) => {
+      console.log("[PAYMENT MOCK] capture:", id);
+      return { status: "paid" };
+    },
+    refundPayment: async ({ provider_payment_id: id }) => {
+      console.log("[PAYMENT MOCK] refund:", id);
+      return { status: "refunded" };
+    },
+    cancelPayment: async ({ provider_payment_id: id }) => {
+      console.log("[PAYMENT MOCK] cancel:", id);
+      return { status: "cancelled" };
+    },
+    // { type, payment_id } -> webhook sorğusunun xam gövdəsi və başlıqları
+    signWebhook: ({ type, payment_id: paymentId }) => {
+      const body = JSON.stringify({
+        id: `evt_${crypto.randomUUID()}`,
+        type,
+        payment_id: paymentId,
+        created_at: new Date().toISOString(),
+      });
+      return { body, headers: { [SIGNATURE_HEADER]: signPayload(body, webhookSecret()) } };
+    },
+    // İmza yoxlanılır və hadisə { id, type, payment_id } kimi qaytarılır
+    verifyWebhook: (rawBody, headers = {}) => {
+      verifySignature(rawBody, headers[SIGNATURE_HEADER], webhookSecret());
+      const event = JSON.parse(String(rawBody));
+      return { id: event.id, type: event.type, payment_id: event.payment_id };
+    },
+  };
+};
+
+module.exports = createMockProvider;
@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+
+// Webhook imzası: "t=<unix saniyə>,v1=<HMAC-SHA256(t.body)>".
+// Vaxt möhürü köhnə sorğuların təkrar göndərilməsinin qarşısını alır.
+const SIGNATURE_HEADER = "x-gencfit-signature";
+const TOLERANCE_SECONDS = parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+const signatureError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const computeSignature = (payload, timestamp, secret) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+
+// payload: xam sorğu gövdəsi (Buffer və ya string); uyğun deyilsə statusCode-lu xəta atır
+const verifySignature = (payload, header, secret, { now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+      .filter((pair) => pair.length === 2)
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) {
+    throw signatureError("Missing or malformed webhook signature");
+  }
+  if (Math.abs(now / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    throw signatureError("Webhook timestamp is outside the tolerance window");
+  }
+
+  const expected = Buffer.from(computeSignature(String(payload), timestamp, secret));
+  const actual = Buffer.from(parts.v1);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw signatureError("Invalid webhook signature");
+  }
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TOLERANCE_SECONDS,
+  signPayload,
+  verifySignature,
+};
@@ -0,0 +1,39 @@
+// Ödəniş statusları və keçidləri (provider-dən asılı deyil)
+const PAYMENT_STATUSES = ["pending", "authorized", "paid", "refunded", "failed", "cancelled"];
+
+// Gecikmiş və ya təkrar gələn webhook statusu geri qaytara bilməz
+const PAYMENT_TRANSITIONS = {
+  pending: ["authorized", "paid", "failed", "cancelled"],
+  authorized: ["paid", "failed", "cancelled"],
+  paid: ["refunded"],
+  refunded: [],
+  failed: [],
+  cancelled: [],
+};
+
+// Hələ bağlanmamış ödəniş (eyni rezervasiya üçün ikincisi yaradılmır)
+const OPEN_PAYMENT_STATUSES = ["pending", "authorized", "paid"];
+
+// Provider hadisəsi -> Payment statusu
+const EVENT_STATUS = {
+  "payment.authorized": "authorized",
+  "payment.captured": "paid",
+  "payment.refunded": "refunded",
+  "payment.failed": "failed",
+  "payment.cancelled": "cancelled",
+};
+
+const canTransitionPayment = (from, to) => (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+// Payment statusu -> Appointment.payment_status
+const toAppointmentPaymentStatus = (status) =>
+  ["authorized", "paid", "refunded"].includes(status) ? status : "unpaid";
+
+module.exports = {
+  PAYMENT_STATUSES,
+  PAYMENT_TRANSITIONS,
+  OPEN_PAYMENT_STATUSES,
+  EVENT_STATUS,
+  canTransitionPayment,
+  toAppointmentPaymentStatus,
+};
@@ -0,0 +1,19 @@
+// Azərbaycan nömrələri: +994 + 9 rəqəm (operator kodu + nömrə)
+const AZ_PHONE_REGEX = /^\+994\d{9}$/;
+
+function normalizeAzPhone(input) {
+  // +99450xxxxxxx, 050xxxxxxx, 50xxxxxxx -> +99450xxxxxxx
+  let p = (input || "").replace(/[^\d+]/g, "");
+  if (p.startsWith("00")) p = "+" + p.slice(2);
+  if (p.startsWith("0")) p = "+994" + p.slice(1);
+  if (p.startsWith("994")) p = "+" + p;
+  if (/^\d{9}$/.test(p)) p = "+994" + p; // təkcə 9 rəqəm yazıbsa
+  return p;
+}
+
+const isValidAzPhone = (phone) => AZ_PHONE_REGEX.test(String(phone || ""));
+
+module.exports = {
+  normalizeAzPhone,
+  isValidAzPhone,
+};
@@ -0,0 +1,96 @@
+// Rezervasiyanın qiyməti: saatlıq qiymət x (pik əmsalı) x (həftə sonu əmsalı)
+// + iştirakçı başına haqq. Saatlar venue-nun vaxt zonasında hesablanır.
+
+const { parseTime, getVenueTimeZone } = require("./schedule");
+const { DEFAULT_TIMEZONE, getZonedParts } = require("./timezone");
+
+const DAY_MINUTES = 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+// Qəpiyə qədər yuvarlaqlaşdır
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Həmin dəqiqəyə düşən ən böyük pik əmsalı (pik deyilsə 1)
+const peakMultiplierAt = (rules, weekday, minuteOfDay) =>
+  (rules.peak_windows || []).reduce((max, window) => {
+    const days = window.days || [];
+    if (days.length && !days.includes(weekday)) return max;
+    if (minuteOfDay < parseTime(window.start) || minuteOfDay >= parseTime(window.end)) return max;
+    return Math.max(max, window.multiplier);
+  }, 1);
+
+// { total, subtotal, participant_fees, breakdown: [{ start, end, hours, multiplier, ... }] }
+const calculatePrice = (
+  rules,
+  { start, durationHours, participants = 1, timeZone = DEFAULT_TIMEZONE }
+) => {
+  const hourlyRate = rules.hourly_rate || 0;
+  const weekendDays = rules.weekend_days || [];
+  const weekendMultiplier = rules.weekend_multiplier || 1;
+
+  // Başlanğıcın yerli vaxtından dəqiqə-dəqiqə irəliləyirik (ən çox 24 saat)
+  const local = getZonedParts(start, timeZone);
+  const startMinute = local.hour * 60 + local.minute;
+  const totalMinutes = Math.round(durationHours * 60);
+
+  const breakdown = [];
+  for (let offset = 0; offset < totalMinutes; offset += 1) {
+    const dayOffset = Math.floor((startMinute + offset) / DAY_MINUTES);
+    const weekday = (local.weekday + dayOffset) % 7;
+    const peak = peakMultiplierAt(rules, weekday, (startMinute + offset) % DAY_MINUTES);
+    const weekend = weekendDays.includes(weekday);
+    const multiplier = peak * (weekend ? weekendMultiplier : 1);
+
+    const last = breakdown[breakdown.length - 1];
+    if (last && last.multiplier === multiplier && last.weekend === weekend && last.peak === peak) {
+      last.minutes += 1;
+    } else {
+      breakdown.push({ offset, minutes: 1, multiplier, peak, weekend });
+    }
+  }
+
+  const items = breakdown.map((item) => {
+    const itemStart = new Date(start.getTime() + item.offset * MINUTE_MS);
+    const hours = item.minutes / 60;
+    return {
+      start: itemStart,
+      end: new Date(itemStart.getTime() + item.minutes * MINUTE_MS),
+      hours: roundMoney(hours),
+      hourly_rate: hourlyRate,
+      multiplier: item.multiplier,
+      is_peak: item.peak !== 1,
+      is_weekend: item.weekend,
+      amount: roundMoney(hourlyRate * hours * item.multiplier),
+    };
+  });
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+  const participantFees = roundMoney((rules.per_participant_fee || 0) * participants);
+
+  return {
+    currency: rules.currency || "AZN",
+    subtotal,
+    participant_fees: participantFees,
+    total: roundMoney(subtotal + participantFees),
+    breakdown: items,
+  };
+};
+
+// Venue (və resurs) üçün qiymət: venue.getPricingRules + venue-nun vaxt zonası
+const quoteBooking = (venue, resource, { start, durationHours, participants }) =>
+  calculatePrice(venue.getPricingRules(resource), {
+    start,
+    durationHours,
+    participants,
+    timeZone: getVenueTimeZone(venue),
+  });
+
+// Appointment.price üçün
+const toAppointmentPrice = (quote) => ({ amount: quote.total, currency: quote.currency });
+
+module.exports = {
+  roundMoney,
+  calculatePrice,
+  quoteBooking,
+  toAppointmentPrice,
+};
@@ -0,0 +1,164 @@
+// Təkrarlanan rezervasiyalar üçün RRULE (RFC 5545) alt çoxluğu:
+// FREQ=DAILY|WEEKLY, INTERVAL, BYDAY (yalnız WEEKLY), UNTIL və ya COUNT.
+// Məs: "FREQ=WEEKLY;BYDAY=TU;UNTIL=20270531"
+
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc } = require("./timezone");
+
+// Bir seriyada ən çox bu qədər rezervasiya yaranır (təxminən iki mövsüm)
+const MAX_OCCURRENCES = 104;
+
+const DAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQUENCIES = ["DAILY", "WEEKLY"];
+
+const invalid = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// "20270531", "20270531T210000Z" və ya ISO tarix (ofsetsiz vaxt zonadakı yerli vaxtdır)
+const parseUntil = (value, timeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  let date;
+  if (!match) {
+    date = new Date(value);
+  } else if (!match[4]) {
+    // Yalnız tarix verilibsə həmin gün daxildir
+    date = new Date(
+      zonedTimeToUtc(Number(match[1]), Number(match[2]), Number(match[3]), 24 * 60, timeZone) - 1000
+    );
+  } else {
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+    const minutesOfDay = hours * 60 + minutes;
+    date = match[7]
+      ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+      : new Date(zonedTimeToUtc(year, month, day, minutesOfDay, timeZone).getTime() + seconds * 1000);
+  }
+  if (isNaN(date.getTime())) throw invalid("UNTIL is not a valid date");
+  return date;
+};
+
+// RRULE string-i obyektə çevir: { freq, interval, byDay, until, count }
+const parseRRule = (input, timeZone = DEFAULT_TIMEZONE) => {
+  if (typeof input !== "string" || !input.trim()) {
+    throw invalid("Recurrence rule is required");
+  }
+
+  const parts = {};
+  input
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [key, value] = pair.split("=");
+      if (!key || value === undefined) throw invalid(`Invalid recurrence part: ${pair}`);
+      parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+
+  const supported = ["FREQ", "INTERVAL", "BYDAY", "UNTIL", "COUNT"];
+  const unsupported = Object.keys(parts).filter((key) => !supported.includes(key));
+  if (unsupported.length) {
+    throw invalid(`Unsupported recurrence parts: ${unsupported.join(", ")}`);
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw invalid("FREQ must be DAILY or WEEKLY");
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    throw invalid("INTERVAL must be an integer between 1 and 52");
+  }
+
+  let byDay = null;
+  if (parts.BYDAY !== undefined) {
+    if (parts.FREQ !== "WEEKLY") throw invalid("BYDAY is only supported with FREQ=WEEKLY");
+    byDay = parts.BYDAY.split(",").map((code) => {
+      const day = DAY_CODES.indexOf(code);
+      if (day === -1) throw invalid(`Invalid BYDAY value: ${code}`);
+      return day;
+    });
+    byDay = [...new Set(byDay)];
+  }
+
+  if (parts.UNTIL !== undefined && parts.COUNT !== undefined) {
+    throw invalid("UNTIL and COUNT cannot be used together");
+  }
+  if (parts.UNTIL === undefined && parts.COUNT === undefined) {
+    throw invalid("Recurrence must end: provide UNTIL or COUNT");
+  }
+
+  let count = null;
+  if (parts.COUNT !== undefined) {
+    count = Number(parts.COUNT);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      throw invalid(`COUNT must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+  }
+
+  return {
+    freq: parts.FREQ,
+    interval,
+    byDay,
+    until: parts.UNTIL !== undefined ? parseUntil(parts.UNTIL, timeZone) : null,
+    count,
+  };
+};
+
+// Qaydanı normallaşdırılmış RRULE string-ə qaytar (seriyada saxlanılır)
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.map((d) => DAY_CODES[d]).join(",")}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]|\.\d{3}/g, "")}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(";");
+};
+
+// Eyni yerli saat, n gün sonra (venue zonası ilə, DST-də saat sürüşmür)
+const shiftDays = (date, days, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return zonedTimeToUtc(p.year, p.month, p.day + days, p.hour * 60 + p.minute, timeZone);
+};
+
+// dtstart-dan başlayaraq bütün başlanğıc anlarını qaytar (dtstart daxil).
+// Günlər və həftənin günləri venue-nun vaxt zonasına görə sayılır.
+const expandOccurrences = (dtstart, rule, timeZone = DEFAULT_TIMEZONE) => {
+  const occurrences = [];
+  const isDone = (date) =>
+    (rule.count && occurrences.length >= rule.count) || (rule.until && date > rule.until);
+
+  const push = (date) => {
+    if (occurrences.length >= MAX_OCCURRENCES) {
+      throw invalid(`Recurrence cannot produce more than ${MAX_OCCURRENCES} occurrences`);
+    }
+    occurrences.push(date);
+  };
+
+  if (rule.freq === "DAILY") {
+    for (let date = dtstart; !isDone(date); date = shiftDays(date, rule.interval, timeZone)) {
+      push(date);
+    }
+    return occurrences;
+  }
+
+  // WEEKLY: həftə bazar ertəsindən başlayır (RFC 5545 WKST=MO)
+  const startDay = getZonedParts(dtstart, timeZone).weekday;
+  const byDay = rule.byDay || [startDay];
+  const offsets = byDay.map((day) => (day + 6) % 7).sort((a, b) => a - b);
+  const weekStart = shiftDays(dtstart, -((startDay + 6) % 7), timeZone);
+
+  for (let week = 0; ; week += rule.interval) {
+    for (const offset of offsets) {
+      const date = shiftDays(weekStart, week * 7 + offset, timeZone);
+      if (date < dtstart) continue;
+      if (isDone(date)) return occurrences;
+      push(date);
+    }
+  }
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  DAY_CODES,
+  parseRRule,
+  formatRRule,
+  expandOccurrences,
+};
@@ -0,0 +1,97 @@
+const Appointment = require("../models/Appointment");
+const User = require("../models/User");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const { getUserChannels } = require("./notifications");
+const mailTemplates = require("./mail/templates");
+
+const MINUTE_MS = 60 * 1000;
+
+// Başlanğıcdan neçə dəqiqə əvvəl xatırlatma getsin, məs. "1440,60"
+const parseOffsets = (value) =>
+  [...new Set(String(value || "").split(",").map((v) => parseInt(v)))]
+    .filter((v) => Number.isInteger(v) && v > 0)
+    .sort((a, b) => b - a);
+
+const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS_MINUTES || "1440,60");
+
+// İndi hansı xatırlatmanın vaxtıdır? Başlanğıca qalan vaxtı əhatə edən ən
+// kiçik offset; gec edilən rezervasiya keçmiş offsetlərin hamısını almır.
+const getDueOffset = (appointment, now = new Date(), offsets = REMINDER_OFFSETS) => {
+  const minutesLeft = (appointment.appointment_date - now) / MINUTE_MS;
+  if (minutesLeft <= 0) return null;
+  const due = offsets.filter((offset) => offset >= minutesLeft);
+  return due.length ? due[due.length - 1] : null;
+};
+
+// Kanal üzrə göndərişi "tut": unikal qeyd artıq varsa null
+const claimDelivery = async (appointment, user, offset, channel) => {
+  try {
+    return await NotificationDelivery.create({
+      appointment_id: appointment.id,
+      user_id: String(user._id),
+      offset_minutes: offset,
+      channel: channel.name,
+      appointment_date: appointment.appointment_date,
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+// Təsdiqlənmiş rezervasiyalar üçün vaxtı çatmış xatırlatmaları göndər.
+// Uğursuz göndəriş "failed" kimi qalır və təkrarlanmır.
+const sendDueReminders = async (now = new Date()) => {
+  if (!REMINDER_OFFSETS.length) return 0;
+
+  const appointments = await Appointment.find({
+    status: "confirmed",
+    appointment_date: { $gt: now, $lte: new Date(now.getTime() + REMINDER_OFFSETS[0] * MINUTE_MS) },
+  });
+  if (!appointments.length) return 0;
+
+  const users = await User.find({
+    _id: { $in: [...new Set(appointments.map((a) => a.user_id))] },
+  }).select("full_name email phone is_phone_verified notification_preferences");
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+
+  let sent = 0;
+  for (const appointment of appointments) {
+    const offset = getDueOffset(appointment, now);
+    const user = usersById.get(appointment.user_id);
+    if (!offset || !user || user.notification_preferences?.reminders === false) continue;
+
+    const minutesLeft = Math.round((appointment.appointment_date - now) / MINUTE_MS);
+    const message = {
+      type: "appointment_reminder",
+      ...mailTemplates.appointmentReminder(user, appointment, minutesLeft),
+      data: { appointment_id: appointment.id, offset_minutes: offset },
+    };
+
+    for (const channel of getUserChannels(user)) {
+      const delivery = await claimDelivery(appointment, user, offset, channel);
+      if (!delivery) continue;
+
+      try {
+        await channel.send(user, message);
+        delivery.status = "sent";
+        delivery.sent_at = new Date();
+        sent += 1;
+      } catch (err) {
+        console.error(`Reminder ${channel.name} error:`, err);
+        delivery.status = "failed";
+        delivery.error = String(err.message || err).slice(0, 500);
+      }
+      await delivery.save();
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  REMINDER_OFFSETS,
+  parseOffsets,
+  getDueOffset,
+  sendDueReminders,
+};
@@ -0,0 +1,194 @@
+// Venue iş saatları və boş slotların hesablanması.
+// Saatlar "HH:mm" formatındadır, gün 0 = bazar, 6 = şənbə (Date#getDay kimi).
+// Günlər və saatlar venue-nun vaxt zonasındadır (venue.timezone).
+
+const {
+  DEFAULT_TIMEZONE,
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  toLocalISOString,
+} = require("./timezone");
+
+const MINUTE_MS = 60 * 1000;
+const TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseTime = (value) => {
+  const [hours, minutes] = String(value).split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const getVenueTimeZone = (venue) => resolveTimeZone(venue?.timezone);
+
+// Date -> "YYYY-MM-DD" (zonadakı təqvim günü)
+const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// "YYYY-MM-DD" -> zonada həmin günün 00:00-ı (UTC anı kimi)
+const fromDateKey = (key, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return zonedTimeToUtc(year, month, day, 0, timeZone);
+};
+
+const startOfDay = (date, timeZone = DEFAULT_TIMEZONE) =>
+  fromDateKey(toDateKey(date, timeZone), timeZone);
+
+// "YYYY-MM-DD" + n gün
+const addDaysToKey = (key, days) => {
+  const [year, month, day] = key.split("-").map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + days));
+  return `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-${pad(next.getUTCDate())}`;
+};
+
+// Həftənin günü (0 = bazar) açarın özündən, zonadan asılı deyil
+const weekdayOfKey = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE_MS);
+
+// [a1, a2) və [b1, b2) kəsişirmi?
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+// [start, end) ərzində eyni anda tutulan ən çox yer.
+// items: [{ start, end, participants }]
+const peakParticipants = (items, start, end) => {
+  const events = [];
+  items.forEach((item) => {
+    if (!overlaps(start, end, item.start, item.end)) return;
+    const seats = item.participants || 1;
+    events.push([Math.max(item.start, start), seats]);
+    events.push([Math.min(item.end, end), -seats]);
+  });
+  // Eyni anda bitən rezervasiya başlayandan əvvəl çıxılır
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+};
+
+// Həmin gün üçün bağlı tarix qeydi (bayram / blackout), yoxdursa null.
+// day: Date və ya "YYYY-MM-DD"
+const getClosedDate = (venue, day) => {
+  const key = typeof day === "string" ? day : toDateKey(day, getVenueTimeZone(venue));
+  return (venue.closed_dates || []).find((c) => c.date === key) || null;
+};
+
+// İş saatları təyin olunubmu? (olmayan venue hər gün 24 saat açıqdır)
+const hasOpeningHours = (venue) => Array.isArray(venue.opening_hours);
+
+// Günün açıq intervalları: [{ start: Date, end: Date }]
+const getOpeningIntervals = (venue, day) => {
+  const timeZone = getVenueTimeZone(venue);
+  const key = typeof day === "string" ? day : toDateKey(day, timeZone);
+  if (getClosedDate(venue, key)) return [];
+  if (!hasOpeningHours(venue)) {
+    return [{ start: fromDateKey(key, timeZone), end: fromDateKey(addDaysToKey(key, 1), timeZone) }];
+  }
+
+  const [year, month, date] = key.split("-").map(Number);
+  // Yay/qış vaxtı keçən gün də düzgün olsun deyə hər saat ayrıca çevrilir
+  const at = (time) => zonedTimeToUtc(year, month, date, parseTime(time), timeZone);
+
+  return (venue.opening_hours || [])
+    .filter((h) => h.day === weekdayOfKey(key))
+    .map((h) => ({ start: at(h.open), end: at(h.close) }))
+    .sort((a, b) => a.start - b.start);
+};
+
+// Rezervasiya tam olaraq bir açıq intervalın içindədirmi?
+// İş saatı olmayan venue-da yalnız bağlı tarixlər yoxlanılır (gecəyarısını keçə bilər)
+const isWithinOpeningHours = (venue, start, end) => {
+  if (!hasOpeningHours(venue)) {
+    return !getClosedDate(venue, start) && !getClosedDate(venue, new Date(end.getTime() - 1));
+  }
+  return getOpeningIntervals(venue, start).some(
+    (interval) => start >= interval.start && end <= interval.end
+  );
+};
+
+// Tarix aralığında boş slotlar. booked: [{ start, end, participants }]
+// Slotlar venue.slot_minutes addımı ilə başlayır, uzunluğu durationMinutes-dir.
+// capacity verilibsə (shared rejim) slot participants qədər yer qalana kimi
+// boş sayılır və seats_left qaytarılır. Slotlarda UTC ilə yanaşı
+// venue-nun yerli vaxtı (start_local, end_local) da var.
+const generateFreeSlots = (
+  venue,
+  from,
+  to,
+  { durationMinutes, booked = [], now = new Date(), capacity = null, participants = 1 }
+) => {
+  const step = venue.slot_minutes || 60;
+  const timeZone = getVenueTimeZone(venue);
+  const lastKey = toDateKey(to, timeZone);
+  const withLocal = (slot) => ({
+    ...slot,
+    start_local: toLocalISOString(slot.start, timeZone),
+    end_local: toLocalISOString(slot.end, timeZone),
+  });
+  const days = [];
+
+  for (let key = toDateKey(from, timeZone); key <= lastKey; key = addDaysToKey(key, 1)) {
+    const intervals = getOpeningIntervals(venue, key);
+    const closed = getClosedDate(venue, key);
+    const slots = [];
+
+    intervals.forEach((interval) => {
+      for (
+        let start = interval.start;
+        addMinutes(start, durationMinutes) <= interval.end;
+        start = addMinutes(start, step)
+      ) {
+        const end = addMinutes(start, durationMinutes);
+        if (start <= now) continue;
+        if (capacity === null) {
+          if (booked.some((b) => overlaps(start, end, b.start, b.end))) continue;
+          slots.push(withLocal({ start, end }));
+          continue;
+        }
+        const seatsLeft = capacity - peakParticipants(booked, start, end);
+        if (seatsLeft < participants) continue;
+        slots.push(withLocal({ start, end, seats_left: seatsLeft }));
+      }
+    });
+
+    days.push({
+      date: key,
+      is_open: intervals.length > 0,
+      closed_reason: closed ? closed.reason || closed.type : null,
+      opening_hours: intervals.map(withLocal),
+      free_slots: slots,
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  TIME_REGEX,
+  DATE_KEY_REGEX,
+  parseTime,
+  getVenueTimeZone,
+  toDateKey,
+  fromDateKey,
+  startOfDay,
+  addDaysToKey,
+  overlaps,
+  peakParticipants,
+  getClosedDate,
+  hasOpeningHours,
+  getOpeningIntervals,
+  isWithinOpeningHours,
+  generateFreeSlots,
+};
@@ -0,0 +1,40 @@
+const createMockProvider = require("./providers/mock");
+const createTwilioProvider = require("./providers/twilio");
+
+// Hər provider { name, send({ to, text }) } formasındadır
+const providers = {
+  mock: createMockProvider,
+  twilio: createTwilioProvider,
+};
+
+// Mock kodları loga yazır: production-da real provider məcburidir
+const DEV_PROVIDERS = ["mock"];
+
+let activeProvider = null;
+
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.SMS_PROVIDER || "mock";
+    const factory = providers[name];
+    if (!factory) throw new Error(`Unknown SMS provider: ${name}`);
+    if (process.env.NODE_ENV === "production" && DEV_PROVIDERS.includes(name)) {
+      throw new Error(`SMS_PROVIDER must be a real provider in production (got "${name}")`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+// Testlərdə öz provider-ini qoşmaq üçün
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+// Send an SMS through the active provider
+const sendSMS = (to, text) => getProvider().send({ to, text });
+
+module.exports = {
+  sendSMS,
+  getProvider,
+  setProvider,
+};
@@ -0,0 +1,17 @@
+// SMS göndərmir: log-a yazır və yaddaşda saxlayır (development və testlər)
+const createMockProvider = () => {
+  const outbox = [];
+
+  return {
+    name: "mock",
+    outbox,
+    send: async ({ to, text }) => {
+      console.log("[SMS MOCK] to:", to, "text:", text);
+      const message = { id: `mock-${Date.now()}-${outbox.length}`, to, text, sent_at: new Date() };
+      outbox.push(message);
+      return { messageId: message.id };
+    },
+  };
+};
+
+module.exports = createMockProvider;
@@ -0,0 +1,122 @@
+// IANA vaxt zonası ilə iş (Intl əsasında, əlavə paket olmadan).
+// Bazada vaxt həmişə UTC saxlanılır; gün sərhədləri, iş saatları və
+// cavablardakı yerli vaxt venue-nun zonasına görə hesablanır.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Baku";
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+
+// Anın həmin zonadakı təqvim hissələri (month 1-12, weekday 0 = bazar)
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  getFormatter(resolveTimeZone(timeZone))
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+// Zonanın UTC-dən fərqi (ms), məs. Asia/Baku üçün +4 saat
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Zonadakı yerli vaxt (il, ay 1-12, gün, gün başlanğıcından dəqiqə) -> UTC anı.
+// Dəqiqə 24:00 kimi daşa bilər, Date.UTC bunu növbəti günə keçirir.
+const zonedTimeToUtc = (year, month, day, minutes = 0, timeZone = DEFAULT_TIMEZONE) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  // Yay/qış vaxtı keçidi üçün ofset iki dəfə yoxlanılır
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+  return new Date(utc);
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Date -> zonadakı "YYYY-MM-DDTHH:mm:ss+04:00"
+const toLocalISOString = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (!date) return null;
+  const p = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getTimeZoneOffset(date, timeZone) / MINUTE_MS);
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+  );
+};
+
+// Tarix parametri: "YYYY-MM-DD" zonadakı günün başlanğıcı, ofsetsiz
+// "YYYY-MM-DDTHH:mm" zonadakı yerli vaxt, ofsetli ISO isə olduğu kimi.
+const LOCAL_DATE_TIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const parseInTimeZone = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (value instanceof Date) return value;
+  const match = LOCAL_DATE_TIME_REGEX.exec(String(value || "").trim());
+  if (!match) return new Date(value);
+
+  const [, year, month, day, hours = "0", minutes = "0", seconds = "0"] = match;
+  const date = zonedTimeToUtc(
+    Number(year),
+    Number(month),
+    Number(day),
+    Number(hours) * 60 + Number(minutes),
+    timeZone
+  );
+  return new Date(date.getTime() + Number(seconds) * 1000);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  toLocalISOString,
+  parseInTimeZone,
+};
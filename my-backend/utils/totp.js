@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+// RFC 6238 TOTP (HMAC-SHA1, 30 saniyə, 6 rəqəm — Google Authenticator default-u)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bit)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226) — counter üçün kod
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(code % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Generate the TOTP code for a moment in time
+const generateTotp = (secret, time = Date.now()) =>
+  generateHotp(secret, timeStep(time));
+
+// Kodu yoxla; saat fərqi üçün ±window addım qəbul olunur.
+// Uyğun gələn addımı qaytarır (replay qorunması üçün), tapılmasa null.
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = timeStep(time);
+  for (let i = -window; i <= window; i++) {
+    const candidate = Buffer.from(generateHotp(secret, current + i));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return current + i;
+    }
+  }
+  return null;
+};
+
+// Authenticator tətbiqləri üçün otpauth:// URI (QR kimi göstərilir)
+const buildOtpAuthUrl = (secret, accountName, issuer = "GencFit") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+};
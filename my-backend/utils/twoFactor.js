@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const Setting = require("../models/Setting");
+const { hashToken } = require("./auth");
+const { verifyTotp } = require("./totp");
+
+// Setting açarı: 2FA məcburi olan rolların siyahısı
+const REQUIRED_ROLES_KEY = "two_factor_required_roles";
+const RECOVERY_CODE_COUNT = 10;
+
+const getRequiredRoles = () => Setting.getValue(REQUIRED_ROLES_KEY, []);
+
+// Is 2FA mandatory for this role?
+const isTwoFactorRequired = async (role) => {
+  const roles = await getRequiredRoles();
+  return Array.isArray(roles) && roles.includes(role);
+};
+
+// Generate one-time recovery codes; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((c) => hashToken(c.toLowerCase())) };
+};
+
+// TOTP kodu və ya bərpa kodu ilə ikinci faktoru yoxla
+const verifySecondFactor = async (userId, { code, recovery_code }) => {
+  const user = await User.findById(userId).select(
+    "+two_factor.secret +two_factor.recovery_codes +two_factor.last_used_step"
+  );
+  if (!user || !user.two_factor?.enabled) return false;
+
+  if (code) {
+    const step = verifyTotp(user.two_factor.secret, code);
+    if (step === null) return false;
+
+    // Eyni kod ikinci dəfə qəbul edilmir
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "two_factor.last_used_step": { $exists: false } },
+          { "two_factor.last_used_step": { $lt: step } },
+        ],
+      },
+      { $set: { "two_factor.last_used_step": step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recovery_code) {
+    const hash = hashToken(String(recovery_code).trim().toLowerCase());
+    const result = await User.updateOne(
+      { _id: user._id, "two_factor.recovery_codes": hash },
+      { $pull: { "two_factor.recovery_codes": hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+module.exports = {
+  REQUIRED_ROLES_KEY,
+  getRequiredRoles,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+const UserToken = require("../models/UserToken");
+const { hashToken } = require("./auth");
+
+// Token növünə görə etibarlılıq müddəti (dəqiqə)
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60,
+  // OAuth callback-dən sonra frontend-in token almaq üçün kodu
+  oauth_code: 1,
+};
+
+// Create a single-use token; the user's older unused tokens of the same type are dropped
+const createUserToken = async (userId, type, data) => {
+  await UserToken.deleteMany({ user_id: userId, type, used_at: null });
+
+  const raw = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    user_id: userId,
+    type,
+    token_hash: hashToken(raw),
+    data,
+    expires_at: new Date(Date.now() + TOKEN_TTL_MINUTES[type] * 60 * 1000),
+  });
+  return raw;
+};
+
+// Tokeni atomik şəkildə "istifadə olunmuş" et; etibarsızdırsa null qaytarır
+const consumeUserToken = (raw, type) =>
+  UserToken.findOneAndUpdate(
+    {
+      token_hash: hashToken(raw),
+      type,
+      used_at: null,
+      expires_at: { $gt: new Date() },
+    },
+    { $set: { used_at: new Date() } },
+    { new: true }
+  );
+
+module.exports = {
+  createUserToken,
+  consumeUserToken,
+};
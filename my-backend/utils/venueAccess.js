@@ -0,0 +1,44 @@
+const Venue = require("../models/Venue");
+const { hasPermission } = require("../config/permissions");
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Is the user the owner or a manager of the venue?
+const isVenueStaff = (user, venue) =>
+  Boolean(
+    user &&
+      venue &&
+      (sameId(venue.owner_id, user._id) ||
+        (venue.managers || []).some((m) => sameId(m, user._id)))
+  );
+
+// Venue-ni redaktə edə bilərmi? (qlobal icazə və ya öz venue-su)
+const canManageVenue = (user, venue) =>
+  hasPermission(user, "venues:write") ||
+  (hasPermission(user, "venues:manage_own") && isVenueStaff(user, venue));
+
+// Venue-nun rezervasiyalarını idarə edə bilərmi? (təsdiq/ləğv)
+const canManageVenueAppointments = (user, venue) =>
+  hasPermission(user, "appointments:manage") ||
+  (hasPermission(user, "appointments:manage_own") && isVenueStaff(user, venue));
+
+// Venue-nun menecerlərini dəyişə bilərmi? (yalnız sahibi və ya admin)
+const canManageVenueStaff = (user, venue) =>
+  hasPermission(user, "venues:write") || sameId(venue.owner_id, user._id);
+
+// IDs (string) of venues the user owns or manages
+const getManagedVenueIds = async (user) => {
+  if (!user || !hasPermission(user, "appointments:manage_own")) return [];
+  const ids = await Venue.find({
+    $or: [{ owner_id: user._id }, { managers: user._id }],
+  }).distinct("_id");
+  return ids.map(String);
+};
+
+module.exports = {
+  isVenueStaff,
+  canManageVenue,
+  canManageVenueAppointments,
+  canManageVenueStaff,
+  getManagedVenueIds,
+};
@@ -0,0 +1,169 @@
+const Appointment = require("../models/Appointment");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Venue = require("../models/Venue");
+const User = require("../models/User");
+const { withLock, venueLockKey } = require("./bookingLock");
+const { findSlotConflict } = require("./appointmentConflicts");
+const { isWithinOpeningHours, getVenueTimeZone } = require("./schedule");
+const { quoteBooking, toAppointmentPrice } = require("./pricing");
+const { sendMail } = require("./mail");
+const mailTemplates = require("./mail/templates");
+
+// Təklif neçə dəqiqə slotu saxlayır
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+// Slotu tutan növbə statusları
+const OPEN_STATUSES = ["waiting", "offered"];
+
+// Növbə girişindən rezervasiya yarat (çağıran venue kilidini tutmalıdır)
+const bookFromEntry = async (entry, venue) => {
+  const resource = entry.resource_id
+    ? venue.resources.find((r) => String(r._id) === entry.resource_id) || null
+    : null;
+  const appointment = await Appointment.create({
+    user_id: entry.user_id,
+    user_name: entry.user_name,
+    venue_id: entry.venue_id,
+    venue_name: entry.venue_name,
+    timezone: getVenueTimeZone(venue),
+    resource_id: entry.resource_id,
+    resource_name: entry.resource_name,
+    appointment_date: entry.start_at,
+    duration_hours: entry.duration_hours,
+    participants: entry.participants,
+    price: toAppointmentPrice(
+      quoteBooking(venue, resource, {
+        start: entry.start_at,
+        durationHours: entry.duration_hours,
+        participants: entry.participants,
+      })
+    ),
+    purpose: entry.purpose,
+    notes: entry.notes,
+  });
+
+  entry.status = "booked";
+  entry.appointment_id = appointment.id;
+  entry.offer_expires_at = null;
+  await entry.save();
+
+  return appointment;
+};
+
+const notifyEntry = async (entry, template) => {
+  try {
+    const user = await User.findById(entry.user_id).select("full_name email");
+    if (user?.email) await sendMail(mailTemplates[template](user, entry));
+  } catch (err) {
+    console.error("Waitlist notification error:", err);
+  }
+};
+
+// Slot növbədəki giriş üçün indi boşdurmu?
+const isSlotFree = async (venue, entry) =>
+  entry.start_at > new Date() &&
+  isWithinOpeningHours(venue, entry.start_at, entry.end_at) &&
+  !(await findSlotConflict({
+    venue,
+    resourceId: entry.resource_id,
+    start: entry.start_at,
+    end: entry.end_at,
+    participants: entry.participants,
+    userId: entry.user_id,
+    excludeEntryId: entry.id,
+  }));
+
+// Boşalan [start, end) aralığı üçün növbəni irəlilət: növbə sırası ilə
+// hər uyğun giriş ya rezerv olunur, ya da OFFER_MINUTES müddətli təklif alır.
+const promoteWaitlist = async ({ venueId, resourceId, start, end }) => {
+  const query = {
+    venue_id: venueId,
+    status: "waiting",
+    start_at: { $lt: end, $gt: new Date() },
+    end_at: { $gt: start },
+  };
+  // Resurssuz slot boşalıbsa bütün resursların növbəsi uyğundur
+  if (resourceId) query.resource_id = String(resourceId);
+
+  const candidates = await WaitlistEntry.find(query).sort({ created_at: 1 });
+  if (!candidates.length) return [];
+
+  const venue = await Venue.findByCustomId(venueId);
+  if (!venue || venue.is_active === false) return [];
+
+  const promoted = await withLock(venueLockKey(venueId), async () => {
+    const result = [];
+    for (const entry of candidates) {
+      if (!(await isSlotFree(venue, entry))) continue;
+
+      if (entry.auto_book) {
+        await bookFromEntry(entry, venue);
+      } else {
+        const now = new Date();
+        entry.status = "offered";
+        entry.offered_at = now;
+        entry.offer_expires_at = new Date(
+          Math.min(now.getTime() + OFFER_MINUTES * 60 * 1000, entry.start_at.getTime())
+        );
+        await entry.save();
+      }
+      result.push(entry);
+    }
+    return result;
+  });
+
+  await Promise.all(
+    promoted.map((entry) =>
+      notifyEntry(entry, entry.status === "booked" ? "waitlistBooked" : "waitlistOffer")
+    )
+  );
+  return promoted;
+};
+
+// Ləğv olunan / silinən rezervasiyanın slotunu növbəyə ötür
+const promoteForAppointment = (appointment) =>
+  promoteWaitlist({
+    venueId: appointment.venue_id,
+    resourceId: appointment.resource_id,
+    start: appointment.appointment_date,
+    end: new Date(
+      appointment.appointment_date.getTime() + appointment.duration_hours * 60 * 60 * 1000
+    ),
+  });
+
+// Vaxtı keçmiş təkliflər və başlanğıcı keçmiş girişlər bağlanır,
+// təklifin saxladığı slot isə növbədəki növbəti şəxsə keçir.
+const expireWaitlist = async () => {
+  const now = new Date();
+
+  const stale = await WaitlistEntry.updateMany(
+    { status: { $in: OPEN_STATUSES }, start_at: { $lte: now } },
+    { $set: { status: "expired", offer_expires_at: null, updated_at: now } }
+  );
+
+  const expiredOffers = await WaitlistEntry.find({
+    status: "offered",
+    offer_expires_at: { $lte: now },
+  });
+  for (const entry of expiredOffers) {
+    entry.status = "expired";
+    await entry.save();
+    await promoteWaitlist({
+      venueId: entry.venue_id,
+      resourceId: entry.resource_id,
+      start: entry.start_at,
+      end: entry.end_at,
+    });
+  }
+
+  return stale.modifiedCount + expiredOffers.length;
+};
+
+module.exports = {
+  OFFER_MINUTES,
+  OPEN_STATUSES,
+  bookFromEntry,
+  promoteWaitlist,
+  promoteForAppointment,
+  expireWaitlist,
+};